@@ -12,12 +12,28 @@ module.exports = {
         script: "./src/worker.js",
         watch: ["src"],
         ignore_watch: ["node_modules", ".git"],
+        // Time to drain on restart before SIGKILL; above WORKER_SHUTDOWN_TIMEOUT_SECONDS
+        kill_timeout: 60000,
       },
       {
         name: "dataforseo-worker",
         script: "./src/dataForSeoWorker.js",
         watch: ["src"],
         ignore_watch: ["node_modules", ".git"],
+        kill_timeout: 60000,
+      },
+      {
+        name: "openai-worker",
+        script: "./src/openaiWorker.js",
+        watch: ["src"],
+        ignore_watch: ["node_modules", ".git"],
+        kill_timeout: 60000,
+      },
+      {
+        name: "dataforseo-sweeper",
+        script: "./src/callbackSweeper.js",
+        watch: ["src"],
+        ignore_watch: ["node_modules", ".git"],
       },
       // {
       //   name: "nightly",
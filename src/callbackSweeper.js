@@ -0,0 +1,384 @@
+// src/callbackSweeper.js
+//
+// Missed-callback sweeper for DataForSEO tasks and Bright Data webhook snapshots
+//
+// When a postback never reaches us (deploy, downtime, wrong DATAFORSEO_CALLBACK_URL)
+// the tracking_results row stays pending/processing forever. This process looks
+// for such rows, asks DataForSEO for the task and feeds the payload through the
+// same processing as the /api/dataforseo/callback route. Tasks DataForSEO no
+// longer knows about, or that never finish, are marked failed with a reason.
+//
+// Nightly DataForSEO tasks have no tracking_results row until their postback
+// arrives, so they cannot be swept. Each row is checked on the endpoints of its
+// engine (utils/engines.js); live engines have no task to fetch, so their rows
+// are only failed once lost.
+//
+// Bright Data snapshots delivered by webhook (BRIGHTDATA_DELIVERY=webhook) are
+// swept too: a snapshot still waiting for its notification is checked with
+// Bright Data and processed, failed over or failed like the webhook would. One
+// whose processing was interrupted (server restart) is processed again.
+//
+// Environment Variables:
+// - DATAFORSEO_SWEEPER_SCHEDULE=<schedule>  : Cron schedule (defaults to every 15 minutes)
+// - DATAFORSEO_SWEEPER_STALE_MINUTES=<n>    : Age before a row is checked (defaults to 30)
+// - DATAFORSEO_SWEEPER_LOST_HOURS=<n>       : Age after which an unfinished task is failed (defaults to 6)
+// - DATAFORSEO_SWEEPER_BATCH_LIMIT=<n>      : Rows checked per run (defaults to 100)
+// - BRIGHTDATA_SWEEPER_STALE_MINUTES=<n>    : Age before a waiting snapshot is checked, and
+//                                             time without progress before processing is retried (defaults to 30)
+//   Snapshots still running after BRIGHTDATA_MAX_WAIT_MINUTES are cancelled and failed.
+//
+// Usage: node src/callbackSweeper.js          (scheduled)
+//        node src/callbackSweeper.js --once   (single run, e.g. after an outage)
+//
+require("dotenv").config();
+const cron = require("node-cron");
+const axios = require("axios");
+const { supabase, dataForSeo, bright, metrics } = require("./config");
+const { retryWithBackoff } = require("./utils/apiHelpers");
+const {
+  consumePostbackNonce,
+  releasePostbackNonce,
+} = require("./utils/postbackToken");
+const { processTaskResult } = require("./routes/dataForSEO");
+const { processWebhookSnapshot } = require("./routes/brightData");
+const {
+  getSnapshotStatus,
+  cancelSnapshot,
+} = require("./service/brightDataService");
+const {
+  claimWebhookSnapshot,
+  findStaleWebhookSnapshots,
+  reclaimWebhookSnapshot,
+} = require("./utils/brightDataSnapshots");
+const { getEngine } = require("./utils/engines");
+const { startHeartbeat } = require("./utils/heartbeat");
+const { startMetricsServer } = require("./utils/metrics");
+const {
+  createLogger,
+  withLogContext,
+  batchLogContext,
+} = require("./utils/logger");
+
+const API_BASE = "https://api.dataforseo.com/v3";
+
+const log = createLogger("callback-sweeper");
+
+const SCHEDULE = process.env.DATAFORSEO_SWEEPER_SCHEDULE || "*/15 * * * *";
+const STALE_MINUTES =
+  Number(process.env.DATAFORSEO_SWEEPER_STALE_MINUTES) || 30;
+const LOST_HOURS = Number(process.env.DATAFORSEO_SWEEPER_LOST_HOURS) || 6;
+const BATCH_LIMIT = Number(process.env.DATAFORSEO_SWEEPER_BATCH_LIMIT) || 100;
+const SNAPSHOT_STALE_MINUTES =
+  Number(process.env.BRIGHTDATA_SWEEPER_STALE_MINUTES) || 30;
+
+// DataForSEO task status codes for tasks that are still being worked on
+const IN_PROGRESS_STATUS_CODES = [40601, 40602]; // Task Handed, Task In Queue
+
+function getAuthHeader() {
+  const credentials = `${dataForSeo.login}:${dataForSeo.password}`;
+  return `Basic ${Buffer.from(credentials).toString("base64")}`;
+}
+
+async function dataForSeoGet(path, label) {
+  const response = await retryWithBackoff(
+    () =>
+      axios.get(`${API_BASE}/${path}`, {
+        headers: { Authorization: getAuthHeader() },
+        timeout: 30000,
+      }),
+    3,
+    label
+  );
+  return response.data;
+}
+
+/**
+ * Ids of finished tasks DataForSEO has not handed out yet, for the postback
+ * engines of the given rows
+ */
+async function fetchReadyTaskIds(rows) {
+  const ready = new Set();
+  const engines = [...new Set(rows.map((row) => row.engine || "chatgpt"))]
+    .map((id) => getEngine(id))
+    .filter((engine) => engine.dataForSeo.delivery === "postback");
+
+  for (const engine of engines) {
+    const data = await dataForSeoGet(
+      `${engine.dataForSeo.basePath}/tasks_ready`,
+      `DataForSEO ${engine.label} tasks_ready`
+    );
+    (data.tasks || []).forEach((task) => {
+      (task.result || []).forEach((entry) => entry?.id && ready.add(entry.id));
+    });
+  }
+  return ready;
+}
+
+/**
+ * Pending/processing DataForSEO rows that were submitted but never heard back from
+ */
+async function findStaleTrackingResults() {
+  const cutoff = Date.now() - STALE_MINUTES * 60 * 1000;
+
+  const { data, error } = await supabase
+    .from("tracking_results")
+    .select("id, user_id, job_batch_id, snapshot_id, status, timestamp, engine")
+    .eq("source", "DataForSEO")
+    .in("status", ["pending", "processing"])
+    .not("snapshot_id", "is", null)
+    .lt("timestamp", cutoff)
+    .order("timestamp", { ascending: true })
+    .limit(BATCH_LIMIT);
+
+  if (error) {
+    throw new Error(`Failed to load stale tracking results: ${error.message}`);
+  }
+  return data || [];
+}
+
+async function fetchOpenAIModel(jobBatchId, cache) {
+  if (!jobBatchId) return "gpt-4";
+  if (!cache.has(jobBatchId)) {
+    const { data } = await supabase
+      .from("job_batches")
+      .select("openai_model")
+      .eq("id", jobBatchId)
+      .maybeSingle();
+    cache.set(jobBatchId, data?.openai_model || "gpt-4");
+  }
+  return cache.get(jobBatchId);
+}
+
+/** Synthetic failed task so lost rows go through the regular failure path */
+function lostTaskPayload(taskId, statusCode, reason) {
+  return {
+    tasks: [{ id: taskId, status_code: statusCode, status_message: reason }],
+  };
+}
+
+/**
+ * Reconcile one stale row. Returns "recovered", "failed", "waiting" or "skipped".
+ */
+async function sweepTrackingResult(row, readyTaskIds, modelCache) {
+  const taskId = row.snapshot_id;
+  const isLost =
+    Number(row.timestamp) < Date.now() - LOST_HOURS * 60 * 60 * 1000;
+
+  // Young tasks that are not finished yet are left to their postback
+  if (!readyTaskIds.has(taskId) && !isLost) return "waiting";
+
+  const params = {
+    userId: row.user_id,
+    openaiModel: await fetchOpenAIModel(row.job_batch_id, modelCache),
+    isNightly: false,
+    trackingId: row.id,
+  };
+
+  // A live task was answered during submission; the worker died before storing it
+  const { basePath, taskGetPath, delivery } = getEngine(
+    row.engine || "chatgpt"
+  ).dataForSeo;
+  if (delivery === "live") {
+    await processTaskResult(
+      lostTaskPayload(
+        taskId,
+        40400,
+        `DataForSEO live task ${taskId} was never processed`
+      ),
+      params
+    );
+    return "failed";
+  }
+
+  const data = await dataForSeoGet(
+    `${basePath}/${taskGetPath}/${taskId}`,
+    `DataForSEO task_get ${taskId}`
+  );
+  const task = data.tasks?.[0];
+  let payload = data;
+
+  if (!task) {
+    payload = lostTaskPayload(
+      taskId,
+      data.status_code || 40400,
+      `DataForSEO returned no task for ${taskId}; postback was never received`
+    );
+  } else if (IN_PROGRESS_STATUS_CODES.includes(task.status_code)) {
+    if (!isLost) return "waiting";
+    payload = lostTaskPayload(
+      taskId,
+      task.status_code,
+      `DataForSEO task still unfinished after ${LOST_HOURS}h (${task.status_message})`
+    );
+  } else if (task.status_code !== 20000) {
+    payload = lostTaskPayload(
+      taskId,
+      task.status_code,
+      task.status_message ||
+        `DataForSEO task failed with status ${task.status_code}`
+    );
+  }
+
+  // Claim the postback nonce so a late postback cannot process the task twice
+  const tag = task?.data?.tag;
+  if (tag && !(await consumePostbackNonce(tag, taskId))) {
+    return "skipped";
+  }
+
+  const outcome = await processTaskResult(payload, params);
+  if (outcome.status >= 400) {
+    if (tag) await releasePostbackNonce(tag);
+    throw new Error(outcome.body?.message || outcome.body?.error);
+  }
+
+  return payload === data ? "recovered" : "failed";
+}
+
+/**
+ * Reconcile one webhook snapshot. Returns "recovered", "failed", "waiting" or
+ * "skipped" (claimed by a late notification or another sweep).
+ */
+async function sweepWebhookSnapshot(row) {
+  const snapshotId = row.snapshot_id;
+
+  // Notified, but processing stopped half-way: the results are ready
+  if (row.status === "processing") {
+    const claimed = await reclaimWebhookSnapshot(row);
+    if (!claimed) return "skipped";
+    await processWebhookSnapshot(claimed);
+    return "recovered";
+  }
+
+  const status = await getSnapshotStatus(snapshotId);
+  let failure = null;
+  if (status !== "ready") {
+    const ageMs = Date.now() - new Date(row.created_at).getTime();
+    const running = status !== "failed" && status !== "missing";
+    if (running && ageMs < bright.maxWaitMs) return "waiting";
+
+    if (running) await cancelSnapshot(snapshotId);
+    failure = new Error(
+      running
+        ? `Bright Data snapshot timed out: ${snapshotId} not ready after ${Math.round(
+            ageMs / 60000
+          )} minutes; notification never received`
+        : `Bright Data snapshot failed: ${snapshotId} is ${status}; notification never received`
+    );
+  }
+
+  const claimed = await claimWebhookSnapshot(snapshotId);
+  if (!claimed) return "skipped";
+  await processWebhookSnapshot(claimed, failure);
+  return failure ? "failed" : "recovered";
+}
+
+let isSnapshotSweepRunning = false;
+
+async function sweepWebhookSnapshots() {
+  if (isSnapshotSweepRunning) {
+    log.info("Snapshot sweep already running, skipping");
+    return;
+  }
+  isSnapshotSweepRunning = true;
+
+  const counts = { recovered: 0, failed: 0, waiting: 0, skipped: 0, errors: 0 };
+  try {
+    const staleBefore = new Date(
+      Date.now() - SNAPSHOT_STALE_MINUTES * 60 * 1000
+    );
+    const rows = await findStaleWebhookSnapshots({
+      waitingBefore: staleBefore,
+      processingBefore: staleBefore,
+      limit: BATCH_LIMIT,
+    });
+    if (!rows.length) return;
+
+    for (const row of rows) {
+      try {
+        const result = await withLogContext(
+          { ...batchLogContext({}, row.batch), taskId: row.snapshot_id },
+          () => sweepWebhookSnapshot(row)
+        );
+        counts[result] += 1;
+      } catch (error) {
+        counts.errors += 1;
+        log.error("Snapshot sweep failed", {
+          taskId: row.snapshot_id,
+          err: error,
+        });
+      }
+    }
+
+    log.info("Snapshot sweep finished", { checked: rows.length, ...counts });
+  } catch (error) {
+    log.error("Snapshot sweep failed", { err: error });
+  } finally {
+    isSnapshotSweepRunning = false;
+  }
+}
+
+/** Both sweeps, one after the other */
+async function sweep() {
+  await sweepMissedCallbacks();
+  await sweepWebhookSnapshots();
+}
+
+let isSweepRunning = false;
+
+async function sweepMissedCallbacks() {
+  if (isSweepRunning) {
+    log.info("Callback sweep already running, skipping");
+    return;
+  }
+  isSweepRunning = true;
+
+  const counts = { recovered: 0, failed: 0, waiting: 0, skipped: 0, errors: 0 };
+  try {
+    const rows = await findStaleTrackingResults();
+    if (!rows.length) return;
+
+    const readyTaskIds = await fetchReadyTaskIds(rows);
+    const modelCache = new Map();
+
+    for (const row of rows) {
+      try {
+        const result = await withLogContext(
+          {
+            jobBatchId: row.job_batch_id,
+            userId: row.user_id,
+            trackingId: row.id,
+            taskId: row.snapshot_id,
+          },
+          () => sweepTrackingResult(row, readyTaskIds, modelCache)
+        );
+        counts[result] += 1;
+      } catch (error) {
+        counts.errors += 1;
+        log.error("Sweep failed", {
+          trackingId: row.id,
+          taskId: row.snapshot_id,
+          err: error,
+        });
+      }
+    }
+
+    log.info("Callback sweep finished", { checked: rows.length, ...counts });
+  } catch (error) {
+    log.error("Callback sweep failed", { err: error });
+  } finally {
+    isSweepRunning = false;
+  }
+}
+
+module.exports = { sweepMissedCallbacks, sweepWebhookSnapshots };
+
+if (require.main === module) {
+  if (process.argv.includes("--once")) {
+    sweep().then(() => process.exit(0));
+  } else {
+    cron.schedule(SCHEDULE, sweep, { timezone: "UTC" });
+    startHeartbeat("dataforseo-sweeper");
+    startMetricsServer(metrics.sweeperPort, "dataforseo-sweeper");
+    log.info("Callback sweeper scheduled", { schedule: SCHEDULE });
+  }
+}
@@ -1,10 +1,72 @@
 require('dotenv').config();
-const { PubSub } = require('@google-cloud/pubsub');
 const { createClient } = require('@supabase/supabase-js');
 const OpenAI = require('openai');
 
+// MOCK_PROVIDERS=true swaps Bright Data, DataForSEO, OpenAI and Mailgun for the
+// offline fakes in src/mock and defaults to the in-process queue (see
+// src/dev.js). Supabase stays real.
+const mock = {
+  enabled: process.env.MOCK_PROVIDERS === 'true',
+  // Service reported as healthy while mocking
+  service: ['dataforseo', 'openai'].includes(process.env.MOCK_SERVICE)
+    ? process.env.MOCK_SERVICE
+    : 'brightdata',
+  // How long a mock snapshot / task takes to "finish"
+  delayMs: Number(process.env.MOCK_DELAY_MS) || 2000,
+};
+
+// Queue implementation (src/queue): pubsub, memory or postgres
+const QUEUE_BACKENDS = ['pubsub', 'memory', 'postgres'];
+const queueBackend = process.env.QUEUE_BACKEND || (mock.enabled ? 'memory' : 'pubsub');
+if (!QUEUE_BACKENDS.includes(queueBackend)) {
+  throw new Error(`QUEUE_BACKEND must be one of ${QUEUE_BACKENDS.join(', ')}`);
+}
+
+// Pub/Sub topics and subscriptions are created outside the app, so their names
+// must be configured; the other backends default them
+const queueName = (envName, defaultName) =>
+  process.env[envName] || (queueBackend !== 'pubsub' ? defaultName : undefined);
+
+const pubsubTopic = queueName('PUBSUB_TOPIC', 'brightdata');
+const pubsubSubscription = queueName('PUBSUB_SUBSCRIPTION', 'brightdata-sub');
+const dataForSEOTopic = queueName('DATAFORSEO_TOPIC', 'dataforseo');
+const dataForSEOSubscription = queueName('DATAFORSEO_SUBSCRIPTION', 'dataforseo-sub');
+const openaiTopic = queueName('OPENAI_TOPIC', 'openai');
+const openaiSubscription = queueName('OPENAI_SUBSCRIPTION', 'openai-sub');
+
+// Nightly lane: nightly batches get their own topics so interactive jobs never
+// queue behind them. Without them (Pub/Sub not configured for it) nightly
+// batches share the interactive topics and only the workers order them.
+const pubsubNightlyTopic = queueName('PUBSUB_NIGHTLY_TOPIC', 'brightdata-nightly');
+const pubsubNightlySubscription = queueName('PUBSUB_NIGHTLY_SUBSCRIPTION', 'brightdata-nightly-sub');
+const dataForSEONightlyTopic = queueName('DATAFORSEO_NIGHTLY_TOPIC', 'dataforseo-nightly');
+const dataForSEONightlySubscription = queueName('DATAFORSEO_NIGHTLY_SUBSCRIPTION', 'dataforseo-nightly-sub');
+const openaiNightlyTopic = queueName('OPENAI_NIGHTLY_TOPIC', 'openai-nightly');
+const openaiNightlySubscription = queueName('OPENAI_NIGHTLY_SUBSCRIPTION', 'openai-nightly-sub');
+
+const workerConcurrency = Number(process.env.WORKER_CONCURRENCY) || 10;
+
+// In-flight batch limits per plan, e.g. WORKER_PLAN_LIMITS='{"agency": {"user": 6, "project": 3}}'.
+// Plans missing a limit take it from "default".
+const DEFAULT_PLAN_LIMITS = { user: 3, project: 2 };
+function parsePlanLimits(json) {
+  let plans = {};
+  try {
+    plans = json ? JSON.parse(json) : {};
+  } catch (err) {
+    throw new Error(`WORKER_PLAN_LIMITS is not valid JSON: ${err.message}`);
+  }
+  const defaults = { ...DEFAULT_PLAN_LIMITS, ...plans.default };
+  return Object.fromEntries(
+    Object.entries({ ...plans, default: defaults }).map(([plan, limits]) => [
+      plan,
+      { ...defaults, ...limits },
+    ])
+  );
+}
+
 module.exports = {
-  pubsub: new PubSub({ projectId: process.env.PUBSUB_PROJECT_ID }),
+  mock,
   // Use service role key for server operations to bypass RLS
   supabase: createClient(
     process.env.SUPABASE_URL, 
@@ -13,16 +75,151 @@ module.exports = {
   bright: {
     key: process.env.BRIGHTDATA_KEY,
     dataset: process.env.BRIGHTDATA_DATASET_ID,
+    // Snapshot polling: exponential backoff with jitter, bounded by maxWaitMs.
+    // Keep maxWaitMs below the Pub/Sub lease extension limit (60 min by default).
+    pollInitialDelayMs: Number(process.env.BRIGHTDATA_POLL_INITIAL_DELAY_MS) || 10 * 1000,
+    pollMaxDelayMs: Number(process.env.BRIGHTDATA_POLL_MAX_DELAY_MS) || 2 * 60 * 1000,
+    maxWaitMs: (Number(process.env.BRIGHTDATA_MAX_WAIT_MINUTES) || 30) * 60 * 1000,
+    // "webhook": Bright Data notifies /api/brightdata/webhook when a snapshot is ready
+    // and the worker acks right after triggering; "poll" (default) waits in the worker
+    delivery: process.env.BRIGHTDATA_DELIVERY === 'webhook' ? 'webhook' : 'poll',
+    webhookUrl: process.env.BRIGHTDATA_WEBHOOK_URL,
+    webhookSecret: process.env.BRIGHTDATA_WEBHOOK_SECRET,
   },
   dataForSeo: {
     login: process.env.DATAFORSEO_LOGIN,
     password: process.env.DATAFORSEO_PASSWORD,
     defaultLocationCode: 2840, // USA
-    defaultLanguageCode: 'en'
+    defaultLanguageCode: 'en',
+    // Signs postback URLs so /callback can reject forged or replayed results
+    postbackSecret: process.env.DATAFORSEO_POSTBACK_SECRET,
+    postbackTtlSeconds: Number(process.env.DATAFORSEO_POSTBACK_TTL_SECONDS) || 24 * 60 * 60,
+    // Temporary escape hatch for tasks submitted before signed postbacks
+    allowUnsignedPostbacks: process.env.DATAFORSEO_ALLOW_UNSIGNED_POSTBACKS === 'true'
+  },
+  queue: {
+    backend: queueBackend,
+    projectId: process.env.PUBSUB_PROJECT_ID,
+    // subscription → topic, for the backends that fan messages out themselves
+    subscriptions: Object.fromEntries(
+      [
+        [pubsubSubscription, pubsubTopic],
+        [dataForSEOSubscription, dataForSEOTopic],
+        [openaiSubscription, openaiTopic],
+        [pubsubNightlySubscription, pubsubNightlyTopic],
+        [dataForSEONightlySubscription, dataForSEONightlyTopic],
+        [openaiNightlySubscription, openaiNightlyTopic],
+      ].filter(([subscription, topic]) => subscription && topic)
+    ),
+    // Failed deliveries before a message is dead-lettered (queue/deadLetters.js)
+    maxDeliveryAttempts: Number(process.env.QUEUE_MAX_DELIVERY_ATTEMPTS) || 5,
+    // memory / postgres: a nacked message waits retryDelayMs × its delivery
+    // attempt; Pub/Sub uses the subscription's retry policy
+    retryDelayMs: (Number(process.env.QUEUE_RETRY_DELAY_SECONDS) || 10) * 1000,
+    // postgres only
+    pollIntervalMs: Number(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+    // Extended while the message is handled; a dead consumer's lease runs out
+    leaseMs: (Number(process.env.QUEUE_LEASE_SECONDS) || 120) * 1000,
+    maxInFlight: Number(process.env.QUEUE_MAX_IN_FLIGHT) || 10,
+  },
+  pubsubTopic,
+  pubsubSubscription,
+  dataForSEOTopic,
+  dataForSEOSubscription,
+  openaiTopic,
+  openaiSubscription,
+  pubsubNightlyTopic,
+  pubsubNightlySubscription,
+  dataForSEONightlyTopic,
+  dataForSEONightlySubscription,
+  openaiNightlyTopic,
+  openaiNightlySubscription,
+  // Batches a worker handles at once (queue/lanes.js). Interactive batches go
+  // first; nightly ones only fill what is left and never the reserved slots.
+  lanes: {
+    concurrency: workerConcurrency,
+    reservedInteractive: Math.min(
+      Number.isInteger(parseInt(process.env.WORKER_RESERVED_INTERACTIVE_SLOTS, 10))
+        ? parseInt(process.env.WORKER_RESERVED_INTERACTIVE_SLOTS, 10)
+        : 2,
+      workerConcurrency - 1
+    ),
+  },
+  // Fair scheduling inside each lane (queue/lanes.js): users take turns, and a
+  // user / project never has more batches in flight per worker than its plan
+  // allows. Extra batches go back to the queue for deferDelayMs.
+  fairness: {
+    plans: parsePlanLimits(process.env.WORKER_PLAN_LIMITS),
+    deferDelayMs: (Number(process.env.WORKER_DEFER_DELAY_SECONDS) || 30) * 1000,
+  },
+  // SIGTERM / SIGINT (pm2 restart, deploy): how long a worker waits for its
+  // running batches before handing them back to the queue. Keep it below pm2's
+  // kill_timeout (ecosystem.config.js).
+  shutdown: {
+    timeoutMs: (Number(process.env.WORKER_SHUTDOWN_TIMEOUT_SECONDS) || 45) * 1000,
+  },
+  // Direct OpenAI Responses API answers (service "openai") with the user's key
+  openaiAnswers: {
+    model: process.env.OPENAI_ANSWER_MODEL || 'gpt-4o',
+    // Offer the web search tool so the model can browse like ChatGPT does
+    webSearchTool: process.env.OPENAI_ANSWER_WEB_SEARCH !== 'false',
+    // Used as a fallback only when both scrapers are down
+    fallbackEnabled: process.env.OPENAI_FALLBACK_ENABLED !== 'false',
+  },
+  // Re-route the failed prompts of a batch to another healthy provider, at most
+  // maxHops times per prompt (FAILOVER_MAX_HOPS=0 turns failover off)
+  failover: {
+    maxHops: Number.isInteger(parseInt(process.env.FAILOVER_MAX_HOPS, 10))
+      ? parseInt(process.env.FAILOVER_MAX_HOPS, 10)
+      : 1,
+  },
+  // Per-provider circuit breaker over real task outcomes (utils/circuitBreaker.js)
+  circuitBreaker: {
+    windowMs: (Number(process.env.CIRCUIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+    // Below this many outcomes in the window the failure rate is not trusted
+    minSamples: Number(process.env.CIRCUIT_MIN_SAMPLES) || 5,
+    failureRate: Number(process.env.CIRCUIT_FAILURE_RATE) || 0.5,
+    // Time an open circuit waits before letting probe traffic through
+    openMs: (Number(process.env.CIRCUIT_OPEN_MINUTES) || 5) * 60 * 1000,
+    // Successful probes needed to close a half-open circuit
+    probeSuccesses: Number(process.env.CIRCUIT_PROBE_SUCCESSES) || 2,
+    // Tasks a half-open circuit lets through before waiting for their outcomes
+    probeRequests:
+      Number(process.env.CIRCUIT_PROBE_REQUESTS) ||
+      Number(process.env.CIRCUIT_PROBE_SUCCESSES) ||
+      2,
+  },
+  // Worker liveness for /ready (utils/heartbeat.js)
+  health: {
+    heartbeatIntervalMs: (Number(process.env.HEARTBEAT_INTERVAL_SECONDS) || 30) * 1000,
+    // A worker whose newest beat is older than this counts as down
+    heartbeatStaleMs: (Number(process.env.HEARTBEAT_STALE_SECONDS) || 90) * 1000,
+  },
+  // Prometheus /metrics ports of the background processes (the server uses its own port)
+  metrics: {
+    // Bearer token scrapers must send; the API serves no metrics without it
+    token: process.env.METRICS_TOKEN || null,
+    // Interface the background processes serve metrics on
+    host: process.env.METRICS_HOST || '127.0.0.1',
+    workerPort: Number(process.env.WORKER_METRICS_PORT) || 9101,
+    dataForSeoWorkerPort: Number(process.env.DATAFORSEO_WORKER_METRICS_PORT) || 9102,
+    openaiWorkerPort: Number(process.env.OPENAI_WORKER_METRICS_PORT) || 9103,
+    sweeperPort: Number(process.env.SWEEPER_METRICS_PORT) || 9104,
+    nightlyPort: Number(process.env.NIGHTLY_METRICS_PORT) || 9105,
+  },
+  // Users allowed on /api/admin besides those with app_metadata.role "admin"
+  admin: {
+    userIds: (process.env.ADMIN_USER_IDS || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean),
+  },
+  // Envelope encryption for stored credentials: "<keyId>:<base64 32 byte key>,..."
+  credentials: {
+    masterKeys: process.env.CREDENTIALS_MASTER_KEYS,
+    activeKeyId: process.env.CREDENTIALS_ACTIVE_KEY_ID,
   },
-  pubsubTopic: process.env.PUBSUB_TOPIC,
-  pubsubSubscription: process.env.PUBSUB_SUBSCRIPTION,
-  dataForSEOTopic: process.env.DATAFORSEO_TOPIC,
-  dataForSEOSubscription: process.env.DATAFORSEO_SUBSCRIPTION,  
-  createOpenAI: (apiKey) => new OpenAI({ apiKey })
+  createOpenAI: mock.enabled
+    ? require('./mock/openai').createMockOpenAI
+    : (apiKey) => new OpenAI({ apiKey })
 };
\ No newline at end of file
@@ -0,0 +1,374 @@
+// controllers/admin.js
+
+const { supabase } = require("../config");
+const {
+  ROUTABLE_SERVICES,
+  PIN_SCOPES,
+  DEFAULT_ORDER,
+  getRoutingSettings,
+  invalidateRoutingCache,
+} = require("../utils/providerRouting");
+const {
+  getServiceStatus,
+  refreshActiveService,
+} = require("../utils/activeService");
+const {
+  DEAD_LETTER_STATUSES,
+  listDeadLetters: fetchDeadLetters,
+  getDeadLetter: fetchDeadLetter,
+  replayDeadLetter: replayStoredDeadLetter,
+  discardDeadLetter: discardStoredDeadLetter,
+  toApi: deadLetterToApi,
+} = require("../queue/deadLetters");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("admin-api");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_DEAD_LETTER_LIMIT = 50;
+const MAX_DEAD_LETTER_LIMIT = 200;
+
+class ValidationError extends Error {}
+
+function validateService(service, field) {
+  if (!ROUTABLE_SERVICES.includes(service)) {
+    throw new ValidationError(
+      `${field} must be one of ${ROUTABLE_SERVICES.join(", ")}`
+    );
+  }
+  return service;
+}
+
+/** { service: percentage } with at least one positive weight, or null */
+function validateWeights(weights) {
+  if (weights === null) return null;
+  if (typeof weights !== "object" || Array.isArray(weights)) {
+    throw new ValidationError("weights must be an object or null");
+  }
+
+  const entries = Object.entries(weights);
+  entries.forEach(([service, weight]) => {
+    validateService(service, "weights keys");
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      throw new ValidationError(`weight of ${service} must be a number >= 0`);
+    }
+  });
+  if (!entries.some(([, weight]) => weight > 0)) {
+    throw new ValidationError("At least one weight must be greater than 0");
+  }
+  return weights;
+}
+
+/** Health check order of the scrapers; OpenAI is always the last resort */
+function validateOrder(order) {
+  if (
+    !Array.isArray(order) ||
+    order.length === 0 ||
+    new Set(order).size !== order.length ||
+    order.some((service) => !DEFAULT_ORDER.includes(service))
+  ) {
+    throw new ValidationError(
+      `order must list distinct services among ${DEFAULT_ORDER.join(", ")}`
+    );
+  }
+  return order;
+}
+
+function validatePinTarget(req) {
+  const { scope, id } = req.params;
+  if (!PIN_SCOPES.includes(scope)) {
+    throw new ValidationError(`scope must be one of ${PIN_SCOPES.join(", ")}`);
+  }
+  if (!UUID_PATTERN.test(id)) {
+    throw new ValidationError(`${scope} id must be a UUID`);
+  }
+  return { scope, id };
+}
+
+function validateDeadLetterId(req) {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    throw new ValidationError("dead letter id must be a UUID");
+  }
+  return id;
+}
+
+/** 404 for a missing dead letter, 409 for one that is no longer dead */
+async function sendNotDead(res, id) {
+  const row = await fetchDeadLetter(id);
+  if (!row) return res.status(404).json({ error: `No dead letter ${id}` });
+  return res.status(409).json({
+    error: `Dead letter is ${row.status}, only dead ones can be resolved`,
+    id,
+    status: row.status,
+  });
+}
+
+function sendError(res, error, message) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  log.error("Admin API Error", { err: error });
+  return res.status(500).json({ error: message, message: error.message });
+}
+
+async function saveRouting(req, changes) {
+  const { error } = await supabase.from("provider_routing").upsert(
+    {
+      id: 1,
+      ...changes,
+      updated_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "id" }
+  );
+  if (error) throw new Error(`Failed to save routing: ${error.message}`);
+
+  invalidateRoutingCache();
+  return getRoutingSettings({ maxAgeMs: 0 });
+}
+
+/**
+ * GET /api/admin/routing
+ */
+async function getRouting(req, res) {
+  try {
+    const { pins, ...routing } = await getRoutingSettings({ maxAgeMs: 0 });
+    return res.json({ routing, pins, services: getServiceStatus() });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch routing");
+  }
+}
+
+/**
+ * PUT /api/admin/routing
+ * Body: { pinnedService?: string|null, weights?: object|null, order?: string[] }
+ */
+async function updateRouting(req, res) {
+  try {
+    const { pinnedService, weights, order } = req.body || {};
+    const changes = {};
+
+    if (pinnedService !== undefined) {
+      changes.pinned_service =
+        pinnedService === null
+          ? null
+          : validateService(pinnedService, "pinnedService");
+    }
+    if (weights !== undefined) changes.weights = validateWeights(weights);
+    if (order !== undefined) changes.provider_order = validateOrder(order);
+
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError(
+        "Nothing to update: send pinnedService, weights or order"
+      );
+    }
+
+    const { pins, ...routing } = await saveRouting(req, changes);
+    // Re-run the health checks here so a new order applies right away;
+    // other processes pick it up on their next check
+    if (changes.provider_order) await refreshActiveService();
+
+    log.info("Provider routing changed", { userId: req.user.id, changes });
+    return res.json({ routing });
+  } catch (error) {
+    return sendError(res, error, "Failed to update routing");
+  }
+}
+
+/**
+ * PUT /api/admin/maintenance
+ * Body: { enabled: boolean, message?: string }
+ */
+async function updateMaintenance(req, res) {
+  try {
+    const { enabled, message = null } = req.body || {};
+    if (typeof enabled !== "boolean") {
+      throw new ValidationError("enabled must be a boolean");
+    }
+    if (message !== null && typeof message !== "string") {
+      throw new ValidationError("message must be a string");
+    }
+
+    const { maintenance } = await saveRouting(req, {
+      maintenance_enabled: enabled,
+      maintenance_message: message?.trim() || null,
+    });
+
+    log.info(`Maintenance mode ${enabled ? "enabled" : "disabled"}`, {
+      userId: req.user.id,
+    });
+    return res.json({ maintenance });
+  } catch (error) {
+    return sendError(res, error, "Failed to update maintenance mode");
+  }
+}
+
+/**
+ * GET /api/admin/pins
+ */
+async function listPins(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from("provider_pins")
+      .select("*")
+      .order("created_at", { ascending: false });
+    if (error) throw new Error(`Failed to fetch pins: ${error.message}`);
+
+    return res.json({ pins: data || [] });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch pins");
+  }
+}
+
+/**
+ * PUT /api/admin/pins/:scope/:id
+ * Body: { service: string, note?: string }
+ */
+async function setPin(req, res) {
+  try {
+    const { scope, id } = validatePinTarget(req);
+    const { service, note = null } = req.body || {};
+    validateService(service, "service");
+
+    const { data, error } = await supabase
+      .from("provider_pins")
+      .upsert(
+        {
+          scope,
+          scope_id: id,
+          service,
+          note,
+          created_by: req.user.id,
+          created_at: new Date().toISOString(),
+        },
+        { onConflict: "scope,scope_id" }
+      )
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to save pin: ${error.message}`);
+
+    invalidateRoutingCache();
+    log.info(`${scope} ${id} pinned to ${service}`, { userId: req.user.id });
+    return res.json({ pin: data });
+  } catch (error) {
+    return sendError(res, error, "Failed to pin provider");
+  }
+}
+
+/**
+ * DELETE /api/admin/pins/:scope/:id
+ */
+async function deletePin(req, res) {
+  try {
+    const { scope, id } = validatePinTarget(req);
+
+    const { data, error } = await supabase
+      .from("provider_pins")
+      .delete()
+      .eq("scope", scope)
+      .eq("scope_id", id)
+      .select("id");
+    if (error) throw new Error(`Failed to delete pin: ${error.message}`);
+    if (!data?.length) {
+      return res.status(404).json({ error: `No pin for ${scope} ${id}` });
+    }
+
+    invalidateRoutingCache();
+    log.info(`Pin of ${scope} ${id} removed`, { userId: req.user.id });
+    return res.json({ status: "deleted", scope, scopeId: id });
+  } catch (error) {
+    return sendError(res, error, "Failed to delete pin");
+  }
+}
+
+/**
+ * GET /api/admin/dead-letters?status=dead&limit=50
+ */
+async function listDeadLetters(req, res) {
+  try {
+    const status = req.query.status || "dead";
+    if (status !== "all" && !DEAD_LETTER_STATUSES.includes(status)) {
+      throw new ValidationError(
+        `status must be one of ${DEAD_LETTER_STATUSES.join(", ")}, all`
+      );
+    }
+    const limit =
+      req.query.limit === undefined
+        ? DEFAULT_DEAD_LETTER_LIMIT
+        : Number(req.query.limit);
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > MAX_DEAD_LETTER_LIMIT
+    ) {
+      throw new ValidationError(
+        `limit must be an integer between 1 and ${MAX_DEAD_LETTER_LIMIT}`
+      );
+    }
+
+    const deadLetters = await fetchDeadLetters({
+      status: status === "all" ? null : status,
+      limit,
+    });
+    return res.json({ deadLetters });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch dead letters");
+  }
+}
+
+/**
+ * GET /api/admin/dead-letters/:id
+ */
+async function getDeadLetter(req, res) {
+  try {
+    const id = validateDeadLetterId(req);
+    const row = await fetchDeadLetter(id);
+    if (!row) return res.status(404).json({ error: `No dead letter ${id}` });
+    return res.json({ deadLetter: deadLetterToApi(row) });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch dead letter");
+  }
+}
+
+/**
+ * POST /api/admin/dead-letters/:id/replay
+ */
+async function replayDeadLetter(req, res) {
+  try {
+    const id = validateDeadLetterId(req);
+    const deadLetter = await replayStoredDeadLetter(id, req.user.id);
+    if (!deadLetter) return sendNotDead(res, id);
+    return res.json({ deadLetter });
+  } catch (error) {
+    return sendError(res, error, "Failed to replay dead letter");
+  }
+}
+
+/**
+ * DELETE /api/admin/dead-letters/:id
+ */
+async function discardDeadLetter(req, res) {
+  try {
+    const id = validateDeadLetterId(req);
+    const deadLetter = await discardStoredDeadLetter(id, req.user.id);
+    if (!deadLetter) return sendNotDead(res, id);
+    return res.json({ deadLetter });
+  } catch (error) {
+    return sendError(res, error, "Failed to discard dead letter");
+  }
+}
+
+module.exports = {
+  getRouting,
+  updateRouting,
+  updateMaintenance,
+  listPins,
+  setPin,
+  deletePin,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+};
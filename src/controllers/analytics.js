@@ -1,6 +1,7 @@
 // controllers/analyticsController.js
 
 const { supabase } = require("../config");
+const { ENGINE_IDS, isValidEngine, getEngine } = require("../utils/engines");
 
 /**
  * Helper: Calculate percentage change between two values with safeguards
@@ -152,6 +153,7 @@ const getUserAnalytics = async (req, res) => {
     const startDate = req.query.startDate; // Optional start date
     const endDate = req.query.endDate; // Optional end date
     const selectedTags = req.query.tags ? req.query.tags.split(',') : []; // Optional tag filtering
+    const selectedEngines = req.query.engine ? req.query.engine.split(',') : []; // Optional answer engine filtering
 
     if (!userId) {
       return res.status(400).json({
@@ -160,6 +162,14 @@ const getUserAnalytics = async (req, res) => {
       });
     }
 
+    const unknownEngines = selectedEngines.filter((engine) => !isValidEngine(engine));
+    if (unknownEngines.length > 0) {
+      return res.status(400).json({
+        error: `Unknown engine: ${unknownEngines.join(", ")}`,
+        validEngines: ENGINE_IDS,
+      });
+    }
+
 
     // ========================================
     // STEP 1: Fetch projects for the user (specific or all)
@@ -236,11 +246,13 @@ const getUserAnalytics = async (req, res) => {
     if (selectedTags.length > 0 && projectId && allPrompts && allPrompts.length > 0) {
       // If tags are selected, only fetch tracking results for the filtered prompts
       const promptIds = allPrompts.map(p => p.id);
-      const { data: trackingResults, error: trackingError } = await supabase
+      let query = supabase
         .from("tracking_results")
         .select("*")
         .eq("project_id", projectId)
         .in("prompt_id", promptIds);
+      if (selectedEngines.length > 0) query = query.in("engine", selectedEngines);
+      const { data: trackingResults, error: trackingError } = await query;
 
       if (trackingError) {
         throw new Error(
@@ -251,10 +263,12 @@ const getUserAnalytics = async (req, res) => {
       allTrackingResults = trackingResults || [];
     } else {
       // Fetch all tracking results without tag filtering
-      const { data: trackingResults, error: trackingError } = await supabase
+      let query = supabase
         .from("tracking_results")
         .select("*")
         .in("project_id", projectIds);
+      if (selectedEngines.length > 0) query = query.in("engine", selectedEngines);
+      const { data: trackingResults, error: trackingError } = await query;
 
       if (trackingError) {
         throw new Error(
@@ -313,6 +327,7 @@ const getUserAnalytics = async (req, res) => {
     const serpFeatures = calculateSerpFeatures(currentResults);
     const mostCitedPages = calculateMostCitedPages(currentResults);
     const mostCitedWebsites = calculateMostCitedWebsites(currentResults);
+    const engineComparison = calculateEngineComparison(currentResults);
     const topPerformingKeywords = getTopPerformingKeywords(
       currentResults,
       allPrompts,
@@ -333,6 +348,7 @@ const getUserAnalytics = async (req, res) => {
       project_scope: projectId ? 'specific' : 'all',
       date_range: startDate && endDate ? { startDate, endDate } : null,
       selected_tags: selectedTags.length > 0 ? selectedTags : null,
+      selected_engines: selectedEngines.length > 0 ? selectedEngines : null,
       total_results: currentResults ? currentResults.length : 0,
       kpi_metrics: kpiMetrics || {},
       brand_presence: brandPresence || { mentioned: { count: 0, percentage: 0 }, not_mentioned: { count: 0, percentage: 0 } },
@@ -356,7 +372,8 @@ const getUserAnalytics = async (req, res) => {
       serp_features: serpFeatures || [],
       most_cited_pages: mostCitedPages || [],
       most_cited_websites: mostCitedWebsites || [],
-      top_performing_keywords: topPerformingKeywords || []
+      top_performing_keywords: topPerformingKeywords || [],
+      engine_comparison: engineComparison || []
     };
 
     return res.json(safeResponse);
@@ -627,6 +644,51 @@ function calculateDomainPresence(results) {
   }
 }
 
+/**
+ * Calculate Engine Comparison: presence and average scores per answer engine
+ */
+function calculateEngineComparison(results) {
+  try {
+    if (!results || !Array.isArray(results)) return [];
+
+    const byEngine = {};
+    results.forEach((r) => {
+      if (!r) return;
+      const engine = r.engine || 'chatgpt';
+      (byEngine[engine] = byEngine[engine] || []).push(r);
+    });
+
+    const percentOf = (rows, field) => {
+      const known = rows.filter((r) => r[field] !== null && r[field] !== undefined);
+      if (known.length === 0) return 0;
+      return Math.round((known.filter((r) => r[field] === true).length / known.length) * 100);
+    };
+    const averageOf = (rows, field) => {
+      const values = rows
+        .filter((r) => r[field] != null && !isNaN(r[field]))
+        .map((r) => Number(r[field]));
+      if (values.length === 0) return 0;
+      return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10;
+    };
+
+    return Object.entries(byEngine)
+      .map(([engine, rows]) => ({
+        engine,
+        label: isValidEngine(engine) ? getEngine(engine).label : engine,
+        total_results: rows.length,
+        brand_presence: percentOf(rows, 'is_present'),
+        domain_presence: percentOf(rows, 'is_domain_present'),
+        avg_sentiment: averageOf(rows, 'sentiment'),
+        avg_salience: averageOf(rows, 'salience'),
+        brand_mentions: rows.reduce((sum, r) => sum + (r.mention_count ? Number(r.mention_count) : 0), 0),
+      }))
+      .sort((a, b) => b.total_results - a.total_results);
+  } catch (error) {
+    console.warn('Error calculating engine comparison:', error);
+    return [];
+  }
+}
+
 /**
  * Calculate Sentiment Distribution
  * Very Positive: sentiment >= 81
@@ -1156,6 +1218,7 @@ function getEmptyAnalytics(userId, days) {
     most_cited_pages: [],
     most_cited_websites: [],
     top_performing_keywords: [],
+    engine_comparison: [],
     timestamp: new Date().toISOString(),
   };
 }
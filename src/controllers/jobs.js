@@ -0,0 +1,641 @@
+// controllers/jobs.js
+
+const { supabase } = require("../config");
+const {
+  getActiveServiceAsync,
+  getHealthyServices,
+} = require("../utils/activeService");
+const { getMaintenance } = require("../utils/providerRouting");
+const {
+  getBatchSize,
+  chunkArray,
+  topicForService,
+  sourceForService,
+  publishBatch,
+} = require("../utils/batching");
+const { storeJobCredential } = require("../utils/credentials");
+const { handleBatchFailure } = require("../service/snapshotResults");
+const { planOf } = require("../utils/plans");
+const { DEFAULT_ENGINE, serviceForEngine } = require("../utils/engines");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("jobs-api");
+
+// Columns exposed to API callers (openai_key is deliberately left out)
+const JOB_BATCH_COLUMNS = [
+  "id",
+  "user_id",
+  "project_id",
+  "email",
+  "total_prompts",
+  "total_batches",
+  "completed_batches",
+  "failed_batches",
+  "status",
+  "openai_model",
+  "web_search",
+  "user_country",
+  "user_city",
+  "brand_mentions",
+  "domain_mentions",
+  "tags",
+  "created_at",
+  "updated_at",
+  "completed_at",
+  "cancelled_at",
+  "error_message",
+].join(", ");
+
+const TRACKING_COLUMNS = [
+  "id",
+  "prompt_id",
+  "prompt",
+  "batch_number",
+  "status",
+  "snapshot_id",
+  "source",
+  "engine",
+  "provider_history",
+  "response",
+  "timestamp",
+].join(", ");
+
+const FINISHED_STATUSES = [
+  "completed",
+  "completed_with_errors",
+  "failed",
+  "cancelled",
+];
+
+// Job / prompt statuses that can still be cancelled
+const CANCELLABLE_JOB_STATUSES = ["pending", "processing"];
+const CANCELLABLE_PROMPT_STATUSES = ["pending", "processing"];
+
+// Finished job statuses. Any of them can hold failed prompts to re-queue: a
+// batch with some failed answers still counts as completed.
+const FINISHED_JOB_STATUSES = ["completed", "completed_with_errors", "failed"];
+
+/**
+ * Helper: Compute batch level progress from the job_batches counters
+ */
+const computeProgress = (jobBatch) => {
+  const totalBatches = jobBatch.total_batches || 0;
+  const completedBatches = jobBatch.completed_batches || 0;
+  const failedBatches = jobBatch.failed_batches || 0;
+  const processedBatches = Math.min(
+    completedBatches + failedBatches,
+    totalBatches
+  );
+
+  return {
+    total_batches: totalBatches,
+    completed_batches: completedBatches,
+    failed_batches: failedBatches,
+    processed_batches: processedBatches,
+    percentage:
+      totalBatches > 0
+        ? Math.round((processedBatches / totalBatches) * 100)
+        : 0,
+    is_finished: FINISHED_STATUSES.includes(jobBatch.status),
+  };
+};
+
+/**
+ * Helper: Pull the error text out of a tracking_results.response payload
+ */
+const extractErrorMessage = (response) => {
+  if (!response) return null;
+  try {
+    const parsed =
+      typeof response === "string" ? JSON.parse(response) : response;
+    return parsed?.error || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Helper: Shape a tracking_results row for the job status response
+ */
+const formatTrackingResult = (row, jobCreatedAt) => {
+  const createdAtMs = jobCreatedAt ? new Date(jobCreatedAt).getTime() : null;
+  const updatedAtMs = row.timestamp ? Number(row.timestamp) : null;
+
+  return {
+    id: row.id,
+    prompt_id: row.prompt_id,
+    prompt: row.prompt,
+    batch_number: row.batch_number,
+    status: row.status,
+    provider_task_id: row.snapshot_id,
+    source: row.source,
+    engine: row.engine,
+    provider_history: row.provider_history || [],
+    error: row.status === "failed" ? extractErrorMessage(row.response) : null,
+    updated_at: updatedAtMs ? new Date(updatedAtMs).toISOString() : null,
+    elapsed_ms:
+      createdAtMs && updatedAtMs
+        ? Math.max(updatedAtMs - createdAtMs, 0)
+        : null,
+  };
+};
+
+/**
+ * Helper: Count prompts per status
+ */
+const countByStatus = (rows) =>
+  rows.reduce((acc, row) => {
+    acc[row.status] = (acc[row.status] || 0) + 1;
+    return acc;
+  }, {});
+
+/**
+ * Controller: Get a single job batch with per-prompt progress
+ */
+const getJobStatus = async (req, res) => {
+  try {
+    const { jobBatchId } = req.params;
+
+    const { data: jobBatch, error: jobError } = await supabase
+      .from("job_batches")
+      .select(JOB_BATCH_COLUMNS)
+      .eq("id", jobBatchId)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (jobError) {
+      throw new Error(`Failed to fetch job batch: ${jobError.message}`);
+    }
+
+    if (!jobBatch) {
+      return res.status(404).json({
+        error: "Job batch not found",
+        jobBatchId,
+      });
+    }
+
+    const { data: trackingResults, error: trackingError } = await supabase
+      .from("tracking_results")
+      .select(TRACKING_COLUMNS)
+      .eq("job_batch_id", jobBatchId)
+      .order("batch_number", { ascending: true });
+
+    if (trackingError) {
+      throw new Error(
+        `Failed to fetch tracking results: ${trackingError.message}`
+      );
+    }
+
+    const rows = trackingResults || [];
+
+    return res.json({
+      job: jobBatch,
+      progress: {
+        ...computeProgress(jobBatch),
+        prompts: {
+          total: jobBatch.total_prompts || rows.length,
+          by_status: countByStatus(rows),
+        },
+      },
+      prompts: rows.map((row) =>
+        formatTrackingResult(row, jobBatch.created_at)
+      ),
+    });
+  } catch (error) {
+    log.error("Job status API Error", { err: error });
+    return res.status(500).json({
+      error: "Failed to fetch job status",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Controller: List the caller's job batches (optionally scoped to a project)
+ */
+const listJobs = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const projectId = req.query.project_id || req.query.projectId;
+    const status = req.query.status;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let query = supabase
+      .from("job_batches")
+      .select(JOB_BATCH_COLUMNS)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (projectId) query = query.eq("project_id", projectId);
+    if (status) query = query.eq("status", status);
+
+    const { data: jobBatches, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch job batches: ${error.message}`);
+    }
+
+    return res.json({
+      user_id: userId,
+      project_id: projectId || null,
+      jobs: (jobBatches || []).map((jobBatch) => ({
+        ...jobBatch,
+        progress: computeProgress(jobBatch),
+      })),
+    });
+  } catch (error) {
+    log.error("Job list API Error", { err: error });
+    return res.status(500).json({
+      error: "Failed to fetch jobs",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Controller: Cancel an in-flight job batch and its pending prompts
+ */
+const cancelJob = async (req, res) => {
+  try {
+    const { jobBatchId } = req.params;
+
+    const { data: jobBatch, error: jobError } = await supabase
+      .from("job_batches")
+      .select("id, status")
+      .eq("id", jobBatchId)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (jobError) {
+      throw new Error(`Failed to fetch job batch: ${jobError.message}`);
+    }
+
+    if (!jobBatch) {
+      return res.status(404).json({
+        error: "Job batch not found",
+        jobBatchId,
+      });
+    }
+
+    if (!CANCELLABLE_JOB_STATUSES.includes(jobBatch.status)) {
+      return res.status(409).json({
+        error: `Job batch can no longer be cancelled (status: ${jobBatch.status})`,
+        jobBatchId,
+        status: jobBatch.status,
+      });
+    }
+
+    const now = new Date().toISOString();
+
+    // Guard on the current status so a batch finishing concurrently is not overwritten
+    const { data: cancelledJobs, error: cancelError } = await supabase
+      .from("job_batches")
+      .update({
+        status: "cancelled",
+        cancelled_at: now,
+        completed_at: now,
+        error_message: "Cancelled by user",
+      })
+      .eq("id", jobBatchId)
+      .in("status", CANCELLABLE_JOB_STATUSES)
+      .select("id");
+
+    if (cancelError) {
+      throw new Error(`Failed to cancel job batch: ${cancelError.message}`);
+    }
+
+    if (!cancelledJobs?.length) {
+      return res.status(409).json({
+        error: "Job batch finished before it could be cancelled",
+        jobBatchId,
+      });
+    }
+
+    const { data: cancelledPrompts, error: trackingError } = await supabase
+      .from("tracking_results")
+      .update({
+        status: "cancelled",
+        timestamp: Date.now(),
+        response: JSON.stringify({ error: "Cancelled by user" }),
+      })
+      .eq("job_batch_id", jobBatchId)
+      .in("status", CANCELLABLE_PROMPT_STATUSES)
+      .select("id");
+
+    if (trackingError) {
+      throw new Error(
+        `Failed to cancel tracking results: ${trackingError.message}`
+      );
+    }
+
+    return res.json({
+      status: "cancelled",
+      jobBatchId,
+      cancelledPrompts: cancelledPrompts?.length || 0,
+      cancelledAt: now,
+    });
+  } catch (error) {
+    log.error("Job cancel API Error", { err: error });
+    return res.status(500).json({
+      error: "Failed to cancel job",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Helper: Number of batches in which every prompt failed.
+ * Those are the batches the workers counted in failed_batches, so they are
+ * reopened (removed from the counters) when their prompts are re-queued.
+ */
+const countFullyFailedBatches = (allRows) => {
+  const batches = new Map();
+  allRows.forEach((row) => {
+    const entry = batches.get(row.batch_number) || { total: 0, failed: 0 };
+    entry.total += 1;
+    if (row.status === "failed") entry.failed += 1;
+    batches.set(row.batch_number, entry);
+  });
+
+  let count = 0;
+  batches.forEach((entry) => {
+    if (entry.total > 0 && entry.failed === entry.total) count += 1;
+  });
+  return count;
+};
+
+/**
+ * Controller: Re-queue only the failed prompts of a job batch
+ */
+const retryFailedJob = async (req, res) => {
+  try {
+    const { jobBatchId } = req.params;
+
+    const { data: jobBatch, error: jobError } = await supabase
+      .from("job_batches")
+      .select("*")
+      .eq("id", jobBatchId)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (jobError) {
+      throw new Error(`Failed to fetch job batch: ${jobError.message}`);
+    }
+
+    if (!jobBatch) {
+      return res.status(404).json({
+        error: "Job batch not found",
+        jobBatchId,
+      });
+    }
+
+    if (!FINISHED_JOB_STATUSES.includes(jobBatch.status)) {
+      return res.status(409).json({
+        error: `Only finished jobs can be retried (status: ${jobBatch.status})`,
+        jobBatchId,
+        status: jobBatch.status,
+      });
+    }
+
+    const { data: trackingResults, error: trackingError } = await supabase
+      .from("tracking_results")
+      .select(
+        "id, prompt_id, prompt, batch_number, status, brand_mentions, domain_mentions, engine"
+      )
+      .eq("job_batch_id", jobBatchId);
+
+    if (trackingError) {
+      throw new Error(
+        `Failed to fetch tracking results: ${trackingError.message}`
+      );
+    }
+
+    const allRows = trackingResults || [];
+    const failedRows = allRows.filter((row) => row.status === "failed");
+
+    if (failedRows.length === 0) {
+      return res.status(409).json({
+        error: "Job batch has no failed prompts to retry",
+        jobBatchId,
+      });
+    }
+
+    const maintenance = await getMaintenance();
+    if (maintenance.enabled) {
+      return res.status(503).json({
+        error: maintenance.message,
+        maintenance: true,
+      });
+    }
+
+    const service = await getActiveServiceAsync({
+      userId: jobBatch.user_id,
+      projectId: jobBatch.project_id,
+    });
+    if (!service) {
+      return res.status(503).json({
+        error: "All services are currently down. Please try again later.",
+        availableServices: [],
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const healthyServices = getHealthyServices();
+
+    // Failed answers of engines that cannot run right now stay failed
+    const retryRows = failedRows.filter((row) =>
+      serviceForEngine(row.engine || DEFAULT_ENGINE, service, healthyServices)
+    );
+    if (retryRows.length === 0) {
+      return res.status(503).json({
+        error: "The engines of the failed prompts cannot run right now",
+        jobBatchId,
+      });
+    }
+
+    // Jobs created before the credential store still hold a plaintext key
+    let credentialId = jobBatch.openai_credential_id;
+    if (!credentialId && jobBatch.openai_key) {
+      credentialId = await storeJobCredential(
+        jobBatch.user_id,
+        "openai",
+        jobBatch.openai_key
+      );
+      await supabase
+        .from("job_batches")
+        .update({ openai_credential_id: credentialId, openai_key: null })
+        .eq("id", jobBatchId);
+    }
+
+    if (!credentialId) {
+      return res.status(409).json({
+        error: "No OpenAI key stored for this job batch",
+        jobBatchId,
+      });
+    }
+
+    // New batches are numbered after the existing ones so counters stay consistent.
+    // A batch goes to one service, so rows are chunked per engine.
+    const batchSize = getBatchSize(retryRows.length);
+    const rowsByEngine = {};
+    retryRows.forEach((row) => {
+      const engine = row.engine || DEFAULT_ENGINE;
+      (rowsByEngine[engine] ||= []).push(row);
+    });
+    const chunks = Object.entries(rowsByEngine).flatMap(([engine, rows]) =>
+      chunkArray(rows, batchSize).map((chunk) => ({
+        engine,
+        service: serviceForEngine(engine, service, healthyServices),
+        rows: chunk,
+      }))
+    );
+    const reopenedBatches = Math.min(
+      countFullyFailedBatches(allRows),
+      jobBatch.failed_batches || 0
+    );
+    const firstBatchNumber = jobBatch.total_batches || 0;
+    const totalBatches =
+      (jobBatch.total_batches || 0) - reopenedBatches + chunks.length;
+
+    const { error: jobUpdateError } = await supabase
+      .from("job_batches")
+      .update({
+        status: "processing",
+        total_batches: totalBatches,
+        failed_batches: (jobBatch.failed_batches || 0) - reopenedBatches,
+        completed_at: null,
+        error_message: null,
+      })
+      .eq("id", jobBatchId);
+
+    if (jobUpdateError) {
+      throw new Error(`Failed to update job batch: ${jobUpdateError.message}`);
+    }
+
+    const batches = [];
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+      const { engine, service: batchService, rows } = chunk;
+      const batchNumber = firstBatchNumber + chunkIndex;
+
+      // Reset the stubs in place so the workers keep updating the same ids
+      const { error: resetError } = await supabase
+        .from("tracking_results")
+        .update({
+          status: "pending",
+          batch_number: batchNumber,
+          snapshot_id: null,
+          response: null,
+          source: sourceForService(batchService),
+          timestamp: Date.now(),
+        })
+        .in(
+          "id",
+          rows.map((row) => row.id)
+        );
+
+      if (resetError) {
+        throw new Error(
+          `Failed to reset tracking results: ${resetError.message}`
+        );
+      }
+
+      batches.push({
+        batchNumber,
+        engine,
+        service: batchService,
+        prompts: rows.map((row) => ({
+          id: row.prompt_id,
+          text: row.prompt,
+          userId: jobBatch.user_id,
+          projectId: jobBatch.project_id,
+          brandMentions: row.brand_mentions || [],
+          domainMentions: row.domain_mentions || [],
+          userCountry: jobBatch.user_country,
+          trackingId: row.id,
+          batchNumber,
+        })),
+      });
+    }
+
+    const results = await Promise.allSettled(
+      batches.map(({ batchNumber, engine, service: batchService, prompts }) =>
+        publishBatch(
+          topicForService(batchService),
+          {
+            credentialId,
+            openaiModel: jobBatch.openai_model,
+            email: jobBatch.email,
+            jobBatchId,
+            batchNumber,
+            totalBatches,
+            prompts,
+            userCountry: jobBatch.user_country,
+            webSearch: jobBatch.web_search,
+            isNightly: false,
+            service: batchService,
+            engine,
+            user_id: jobBatch.user_id,
+            plan: planOf(req.user),
+          },
+          "retry"
+        )
+      )
+    );
+
+    // A batch that never reached the queue fails like one a worker gave up
+    // on, so the job still finishes. One at a time: the counters are read
+    // before they are incremented.
+    let unqueuedBatches = 0;
+    for (const [index, result] of results.entries()) {
+      if (result.status !== "rejected") continue;
+      const { batchNumber, prompts } = batches[index];
+      log.error(`Failed to queue retry batch ${batchNumber}`, {
+        jobBatchId,
+        batchNumber,
+        err: result.reason,
+      });
+      await handleBatchFailure(
+        {
+          email: jobBatch.email,
+          prompts,
+          jobBatchId,
+          batchNumber,
+          totalBatches,
+        },
+        result.reason
+      );
+      unqueuedBatches += 1;
+    }
+
+    if (unqueuedBatches === batches.length) {
+      return res.status(502).json({
+        error: "Failed to queue the retried prompts",
+        jobBatchId,
+      });
+    }
+
+    return res.json({
+      status: "retrying",
+      jobBatchId,
+      retriedPrompts: retryRows.length,
+      retryBatches: chunks.length,
+      unqueuedBatches,
+      totalBatches,
+      service,
+    });
+  } catch (error) {
+    log.error("Job retry API Error", { err: error });
+    return res.status(500).json({
+      error: "Failed to retry failed prompts",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getJobStatus,
+  listJobs,
+  cancelJob,
+  retryFailedJob,
+};
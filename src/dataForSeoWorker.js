@@ -2,31 +2,44 @@ require("dotenv").config();
 
 const axios = require("axios");
 const crypto = require("crypto");
-const nodemailer = require("nodemailer");
-const mgTransport = require("nodemailer-mailgun-transport");
 
 // Custom files
 const {
-  pubsub,
+  mock,
   supabase,
   dataForSeo,
   dataForSEOSubscription,
-  createOpenAI,
+  dataForSEONightlySubscription,
+  metrics,
+  shutdown,
 } = require("./config");
+const { subscribeLanes, laneOf } = require("./queue/lanes");
+const { topicForService, publishBatch } = require("./utils/batching");
 const { retryWithBackoff } = require("./utils/apiHelpers");
+const { isJobBatchCancelled } = require("./utils/jobBatches");
+const { createPostbackToken } = require("./utils/postbackToken");
+const { createMailTransport } = require("./utils/mailer");
+const { getEngine, buildDataForSeoTask } = require("./utils/engines");
+const { submitMockTask } = require("./mock/dataForSeo");
+const { processTaskResult } = require("./routes/dataForSEO");
+const { failoverBatch, isProviderFailure } = require("./service/failover");
+const { recordProviderOutcome } = require("./utils/circuitBreaker");
+const { startHeartbeat } = require("./utils/heartbeat");
+const { startMetricsServer } = require("./utils/metrics");
+const { onShutdown, isShuttingDown } = require("./utils/shutdown");
+const {
+  createLogger,
+  withLogContext,
+  getLogContext,
+  batchLogContext,
+} = require("./utils/logger");
 
 // ═══════════════════════════════════════════════════════════════
 //                           CONFIGURATION
 // ═══════════════════════════════════════════════════════════════
 
-const transporter = nodemailer.createTransport(
-  mgTransport({
-    auth: {
-      api_key: process.env.MG_API_KEY,
-      domain: process.env.MG_DOMAIN,
-    },
-  })
-);
+const transporter = createMailTransport();
+const log = createLogger("dataforseo-worker");
 
 // ═══════════════════════════════════════════════════════════════
 //                           UTILITIES
@@ -105,53 +118,73 @@ function buildLanguagePayload(customData, validLanguages) {
   return { language_code: dataForSeo.defaultLanguageCode || "en" };
 }
 
+/**
+ * Postback URL carrying a signed, expiring token instead of plain params.
+ * The returned tag is sent with the task so the callback can match the two.
+ */
 function buildCallbackUrl(customData) {
   const baseUrl = process.env.DATAFORSEO_CALLBACK_URL;
-  const baseParams = `user_id=${customData.user_id}&openaiModel=${
-    customData?.openaiModel || "gpt-4"
-  }`;
-
-  if (customData.isNightly) {
-    return `${baseUrl}/?${baseParams}&isNightly=true&promptId=${customData.promptId}&projectId=${customData.projectId}`;
-  }
+  const { token, nonce } = createPostbackToken({
+    userId: customData.user_id,
+    openaiModel: customData?.openaiModel || "gpt-4",
+    isNightly: Boolean(customData.isNightly),
+    trackingId: customData.trackingId || null,
+    promptId: customData.isNightly ? customData.promptId : null,
+    projectId: customData.isNightly ? customData.projectId : null,
+    // Lets the callback's logs continue the request's correlation id
+    correlationId: getLogContext().correlationId || null,
+  });
 
-  return `${baseUrl}/?${baseParams}`;
+  return { url: `${baseUrl}/?token=${token}`, tag: nonce };
 }
 
+/**
+ * Submit one prompt to the DataForSEO endpoint of `customData.engine`.
+ * Resolves to { taskId, result }; `result` is the task payload for live
+ * engines and null for engines that answer through the postback.
+ */
 async function submitDataForSeoTask(
   prompt,
   userCountry,
   webSearch,
   customData = {}
 ) {
-  // console.log("customData : ", customData);
   const authHeader = `Basic ${getDataForSeoAuth()}`;
+  const engine = getEngine(customData.engine);
+  const { fn, delivery, basePath, postbackData } = engine.dataForSeo;
+
+  // Only llm_scraper has location/language lists (the mock takes the defaults)
+  const [validLocations, validLanguages] =
+    mock.enabled || fn !== "llm_scraper"
+      ? [[], []]
+      : await Promise.all([fetchValidLocations(), fetchValidLanguages()]);
+
+  const taskData = buildDataForSeoTask(engine.id, {
+    prompt,
+    webSearch: webSearch || false,
+    location: buildLocationPayload(customData, validLocations),
+    language: buildLanguagePayload(customData, validLanguages),
+  });
 
-  // Fetch validation data
-  const [validLocations, validLanguages] = await Promise.all([
-    fetchValidLocations(),
-    fetchValidLanguages(),
-  ]);
-
-  // Build payload components
-  const locationPayload = buildLocationPayload(customData, validLocations);
-  const languagePayload = buildLanguagePayload(customData, validLanguages);
-  const callbackUrl = buildCallbackUrl(customData);
-
-  const taskData = {
-    ...locationPayload,
-    ...languagePayload,
-    keyword: prompt,
-    force_web_search: webSearch || false,
-    expand_citations: webSearch || false,
-    postback_url: callbackUrl,
-    postback_data: "advanced",
-  };
-  console.log("Submitting DataForSEO task:", taskData);
+  if (delivery === "postback") {
+    const { url: callbackUrl, tag } = buildCallbackUrl(customData);
+    taskData.postback_url = callbackUrl;
+    if (postbackData) taskData.postback_data = postbackData;
+    taskData.tag = tag;
+  }
+
+  log.debug(`Submitting DataForSEO ${engine.label} task`, {
+    trackingId: customData.trackingId,
+    promptId: customData.promptId,
+    task: taskData,
+  });
+  if (mock.enabled) return submitMockTask(taskData, engine.id);
+
+  const endpoint = delivery === "live" ? "live" : "task_post";
   const response = await retryWithBackoff(
     () =>
       axios.post(
-        "https://api.dataforseo.com/v3/ai_optimization/chat_gpt/llm_scraper/task_post",
+        `https://api.dataforseo.com/v3/${basePath}/${endpoint}`,
         [taskData],
         {
           headers: {
@@ -161,11 +194,14 @@ async function submitDataForSeoTask(
         }
       ),
     5,
-    "DataForSEO task_post"
+    `DataForSEO ${engine.label} ${endpoint}`
   );
 
   if (response.data.status_code === 20000 && response.data.tasks?.[0]?.id) {
-    return response.data.tasks[0].id;
+    return {
+      taskId: response.data.tasks[0].id,
+      result: delivery === "live" ? response.data : null,
+    };
   }
 
   throw new Error(
@@ -291,18 +327,17 @@ async function processPrompt(prompt, config) {
     userCountry,
     webSearch,
     user_id,
-    openaiKey,
     openaiModel,
     email,
     batchNumber,
     totalBatches,
     jobBatchId,
     isNightly,
+    engine,
   } = config;
 
   const customData = {
     user_id,
-    openaiKey,
     openaiModel,
     email,
     userCountry,
@@ -311,14 +346,17 @@ async function processPrompt(prompt, config) {
     totalBatches,
     jobBatchId,
     isNightly,
+    engine,
   };
 
   if (isNightly) {
     customData.promptId = prompt.id;
     customData.projectId = prompt.projectId;
+  } else {
+    customData.trackingId = prompt.trackingId;
   }
 
-  const taskId = await submitDataForSeoTask(
+  const { taskId, result } = await submitDataForSeoTask(
     prompt.text,
     userCountry,
     webSearch,
@@ -326,7 +364,7 @@ async function processPrompt(prompt, config) {
   );
 
   if (isNightly) {
-    console.log(`Nightly task ${taskId} created for prompt ${prompt.id}`);
+    log.info("Nightly task created", { taskId, promptId: prompt.id });
   } else {
     await updateTrackingResult(prompt.trackingId, {
       snapshot_id: taskId,
@@ -334,11 +372,36 @@ async function processPrompt(prompt, config) {
     });
   }
 
+  // Live engines answered already: process it like a postback
+  if (result) {
+    const outcome = await processTaskResult(result, {
+      userId: user_id,
+      openaiModel,
+      isNightly,
+      promptId: isNightly ? prompt.id : null,
+      projectId: isNightly ? prompt.projectId : null,
+      trackingId: isNightly ? null : prompt.trackingId,
+      correlationId: getLogContext().correlationId,
+    });
+    if (outcome.status >= 400) {
+      log.error("Live task failed", {
+        taskId,
+        trackingId: prompt.trackingId,
+        promptId: prompt.id,
+        reason: outcome.body?.message || outcome.body?.error,
+      });
+    }
+  }
+
   return { ...prompt, taskId };
 }
 
 async function handlePromptFailure(prompt, error, isNightly) {
-  console.error(`Failed to submit task for prompt "${prompt.text}":`, error);
+  log.error("Failed to submit task", {
+    trackingId: prompt.trackingId,
+    promptId: prompt.id,
+    err: error,
+  });
 
   if (!isNightly && prompt.trackingId) {
     try {
@@ -350,7 +413,10 @@ async function handlePromptFailure(prompt, error, isNightly) {
         }),
       });
     } catch (updateErr) {
-      console.error("Error marking prompt as failed:", updateErr);
+      log.error("Error marking prompt as failed", {
+        trackingId: prompt.trackingId,
+        err: updateErr,
+      });
     }
   }
 }
@@ -387,11 +453,29 @@ function isRetryableError(error) {
 //                         MAIN MESSAGE HANDLER
 // ═══════════════════════════════════════════════════════════════
 
-const subscription = pubsub.subscription(dataForSEOSubscription);
+startHeartbeat("dataforseo-worker");
+startMetricsServer(metrics.dataForSeoWorkerPort, "dataforseo-worker");
+const lanes = subscribeLanes(
+  {
+    interactive: dataForSEOSubscription,
+    nightly: dataForSEONightlySubscription,
+  },
+  (message) => {
+    const batch = JSON.parse(message.data.toString());
+    return withLogContext(batchLogContext(message, batch), () =>
+      handleBatch(message, batch)
+    );
+  }
+);
+
+// Stop pulling and let running batches finish; a batch interrupted mid-way
+// requeues the prompts it has not submitted yet
+onShutdown("dataforseo-worker", () =>
+  lanes.close({ timeoutMs: shutdown.timeoutMs })
+);
 
-subscription.on("message", async (message) => {
+async function handleBatch(message, batch) {
   const {
-    openaiKey,
     email,
     openaiModel = "gpt-4",
     prompts = [],
@@ -403,7 +487,8 @@ subscription.on("message", async (message) => {
     webSearch = false,
     user_id,
     service,
-  } = JSON.parse(message.data.toString());
+    engine = "chatgpt",
+  } = batch;
 
   // Filter for DataForSEO messages only
   if (service && service.toLowerCase() !== "dataforseo") {
@@ -411,75 +496,147 @@ subscription.on("message", async (message) => {
     return;
   }
 
-  console.log(
+  // Skip batches the user cancelled before we picked them up
+  if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+    log.info(
+      `Skipping batch ${batchNumber + 1}/${totalBatches} of cancelled job`
+    );
+    message.ack();
+    return;
+  }
+
+  log.info(
     `Processing ${isNightly ? "nightly" : "regular"} batch ${
       batchNumber + 1
-    }/${totalBatches} with ${prompts.length} prompts`
+    }/${totalBatches} with ${prompts.length} prompts`,
+    { engine }
   );
 
-  const openai = createOpenAI(openaiKey);
+  // Sentiment analysis happens in the callback, which loads the user's
+  // OpenAI key from the credential store; no key is needed here.
   const config = {
     userCountry,
     webSearch,
     user_id,
-    openaiKey,
     openaiModel,
     email,
     batchNumber,
     totalBatches,
     jobBatchId,
     isNightly,
+    engine,
   };
 
   try {
     // Process all prompts
     const processedPrompts = [];
+    const failures = [];
+    let cancelled = false;
+    let unsubmitted = [];
 
     for (const prompt of prompts) {
+      // Stopping: the rest continues as the same batch on another delivery
+      if (isShuttingDown()) {
+        unsubmitted = prompts.slice(prompts.indexOf(prompt));
+        break;
+      }
+
+      // Stop submitting new DataForSEO tasks once the job is cancelled
+      if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+        cancelled = true;
+        log.info(
+          `Job cancelled, skipping ${
+            prompts.length - processedPrompts.length
+          } remaining prompts`
+        );
+        break;
+      }
+
+      const startedAt = Date.now();
       try {
+        // Answered tasks are recorded by processTaskResult (callback or live)
         const processedPrompt = await processPrompt(prompt, config);
         processedPrompts.push(processedPrompt);
-        console.log(
-          `Task ${processedPrompt.taskId} submitted for prompt: "${prompt.text}"`
-        );
+        log.info("Task submitted", {
+          taskId: processedPrompt.taskId,
+          trackingId: prompt.trackingId,
+          promptId: prompt.id,
+        });
 
         // Rate limit delay
         await delay(1000);
       } catch (promptError) {
-        await handlePromptFailure(prompt, promptError, isNightly);
+        if (isProviderFailure(promptError)) {
+          await recordProviderOutcome("dataforseo", {
+            success: false,
+            latencyMs: Date.now() - startedAt,
+            error: promptError.message,
+          });
+        }
+        failures.push({ prompt, error: promptError });
+      }
+    }
+
+    // DataForSEO refused tasks: let another provider answer those prompts
+    if (failures.length > 0) {
+      const rerouted = await failoverBatch(
+        { ...batch, prompts: failures.map((failure) => failure.prompt) },
+        failures[failures.length - 1].error,
+        "dataforseo"
+      );
+      if (!rerouted) {
+        for (const { prompt, error } of failures) {
+          await handlePromptFailure(prompt, error, isNightly);
+        }
       }
     }
 
-    console.log(
-      `Successfully submitted ${processedPrompts.length}/${prompts.length} tasks to DataForSEO`
+    log.info(
+      `Submitted ${processedPrompts.length}/${prompts.length} tasks to DataForSEO`
     );
 
-    // Update job batch status for regular jobs
-    if (!isNightly && jobBatchId) {
+    // Submitted prompts are tracked by their tasks; requeue the others
+    if (unsubmitted.length > 0) {
+      await publishBatch(
+        topicForService("dataforseo", laneOf(batch)),
+        { ...batch, prompts: unsubmitted },
+        "requeue"
+      );
+      log.info(
+        `Worker stopping, requeued ${unsubmitted.length} unsubmitted prompts`
+      );
+    }
+
+    // Update job batch status for regular jobs (a requeued rest reports itself)
+    if (!isNightly && jobBatchId && !cancelled && unsubmitted.length === 0) {
       await updateJobBatchStatus(jobBatchId, "processing");
 
       // Send submission notification
       try {
         await sendSubmissionEmail(email, batchNumber, totalBatches, prompts);
-        console.log(
-          `Submission email sent for batch ${batchNumber + 1}/${totalBatches}`
-        );
+        log.info("Submission email sent");
       } catch (emailErr) {
-        console.error("Error sending submission email:", emailErr);
+        log.error("Error sending submission email", { err: emailErr });
       }
     }
 
     message.ack();
-    console.log(
+    log.info(
       `Processed ${isNightly ? "nightly" : "regular"} batch ${
         batchNumber + 1
-      }/${totalBatches} for job ${jobBatchId || "N/A"}`
+      }/${totalBatches}`
     );
   } catch (err) {
-    console.error("Worker error:", err);
+    log.error("Worker error", { err });
 
     const failureReason = getFailureReason(err);
 
+    // A cancelled job keeps its cancelled state; nothing to fail or email
+    if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+      message.ack();
+      return;
+    }
+
     // Handle failures for regular jobs only
     if (!isNightly) {
       try {
@@ -497,41 +654,28 @@ subscription.on("message", async (message) => {
         if (jobBatchId && typeof batchNumber !== "undefined") {
           try {
             await sendFailureEmail(email, batchNumber, totalBatches, prompts);
-            console.log(
-              `Failure email sent for batch ${batchNumber + 1}/${totalBatches}`
-            );
+            log.info("Failure email sent");
           } catch (emailErr) {
-            console.error("Error sending failure email:", emailErr);
+            log.error("Error sending failure email", { err: emailErr });
           }
         }
       } catch (updateErr) {
-        console.error("Error updating failure status:", updateErr);
+        log.error("Error updating failure status", { err: updateErr });
       }
     } else {
-      console.log(
-        `Nightly job failed for batch ${batchNumber + 1}/${totalBatches}: ${
-          err.message
-        }`
+      log.error(
+        `Nightly job failed for batch ${batchNumber + 1}/${totalBatches}`,
+        { err }
       );
     }
 
     // Handle message acknowledgment based on error type
     if (isRetryableError(err)) {
-      console.log(
-        `Retryable error for job ${jobBatchId}, batch ${batchNumber + 1}: ${
-          err.message
-        }`
-      );
-      message.nack();
+      log.warn("Retryable error, batch will be redelivered", { err });
+      message.nack(err);
     } else {
-      console.log(
-        `Non-retryable error for job ${jobBatchId}, batch ${batchNumber + 1}: ${
-          err.message
-        }`
-      );
+      log.error("Non-retryable error, batch dropped", { err });
       message.ack();
     }
   }
-});
-
-subscription.on("error", (err) => console.error("Subscription error:", err));
+}
@@ -0,0 +1,31 @@
+// src/dev.js
+// Local development entry: API server and both workers in one process with
+// every third-party provider mocked (src/mock). Only Supabase is needed, e.g.
+// `supabase start` + `supabase db reset`.
+//
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run dev
+//
+// MOCK_SERVICE=dataforseo routes batches through the DataForSEO worker and
+// its signed postback callback instead of Bright Data.
+require("dotenv").config();
+
+const port = process.env.PORT || 3000;
+
+// The in-process queue only works when everything runs here, so always mock
+process.env.MOCK_PROVIDERS = "true";
+// Mock postbacks must reach this process, whatever .env points at
+process.env.DATAFORSEO_CALLBACK_URL = `http://127.0.0.1:${port}/api/dataforseo/callback`;
+
+// Readable log lines unless asked otherwise
+process.env.LOG_FORMAT ??= "pretty";
+
+// Development-only secrets so a fresh checkout runs without any .env
+process.env.DATAFORSEO_POSTBACK_SECRET ??= "mock-postback-secret";
+process.env.CREDENTIALS_MASTER_KEYS ??= `mock:${Buffer.alloc(32, 7).toString(
+  "base64"
+)}`;
+
+require("./server");
+require("./worker");
+require("./dataForSeoWorker");
+require("./openaiWorker");
@@ -0,0 +1,120 @@
+// middleware/auth.js
+// Verifies Supabase access tokens and makes sure callers only act on their own data.
+// The backend talks to Supabase with the service role key (RLS bypassed), so
+// these checks are what keeps one customer out of another customer's data.
+const { supabase, admin } = require("../config");
+const { createLogger, addLogContext } = require("../utils/logger");
+
+const log = createLogger("auth");
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) return null;
+  return token.trim();
+}
+
+/**
+ * Require a valid Supabase access token; exposes the caller as req.user
+ */
+async function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      error: "Missing Authorization: Bearer <access token> header",
+    });
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      return res.status(401).json({ error: "Invalid or expired access token" });
+    }
+
+    req.user = {
+      id: data.user.id,
+      email: data.user.email,
+      appMetadata: data.user.app_metadata || {},
+    };
+    addLogContext({ userId: req.user.id });
+    next();
+  } catch (error) {
+    log.error("Auth verification failed", { err: error });
+    res.status(503).json({ error: "Unable to verify access token" });
+  }
+}
+
+/**
+ * Reject requests whose claimed user id (URL, query or body) is not the caller.
+ * A missing claim is allowed; handlers then use req.user.id.
+ */
+function requireSameUser(getClaimedUserId) {
+  return (req, res, next) => {
+    const claimedUserId = getClaimedUserId(req);
+    if (claimedUserId && claimedUserId !== req.user?.id) {
+      return res.status(403).json({
+        error: "You can only access your own data",
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Only let operators through: app_metadata.role "admin" (set with the service
+ * role, so users cannot grant it themselves) or a user listed in ADMIN_USER_IDS
+ */
+function requireAdmin(req, res, next) {
+  const isAdmin =
+    req.user?.appMetadata?.role === "admin" ||
+    admin.userIds.includes(req.user?.id);
+  if (!isAdmin) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
+
+/**
+ * True when the project exists and belongs to the user
+ */
+async function userOwnsProject(userId, projectId) {
+  if (!userId || !projectId) return false;
+
+  const { data, error } = await supabase
+    .from("projects")
+    .select("id")
+    .eq("id", projectId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to verify project: ${error.message}`);
+  return Boolean(data);
+}
+
+/**
+ * True when the user has a tracking result for this provider snapshot / task id
+ */
+async function userOwnsSnapshot(userId, snapshotId) {
+  if (!userId || !snapshotId) return false;
+
+  const { data, error } = await supabase
+    .from("tracking_results")
+    .select("id")
+    .eq("snapshot_id", snapshotId)
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (error) throw new Error(`Failed to verify snapshot: ${error.message}`);
+  return Boolean(data?.length);
+}
+
+module.exports = {
+  requireAuth,
+  requireSameUser,
+  requireAdmin,
+  userOwnsProject,
+  userOwnsSnapshot,
+};
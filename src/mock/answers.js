@@ -0,0 +1,311 @@
+// mock/answers.js
+// Canned answers (fixtures/chatgptAnswers.json) rendered in the payload formats
+// of Bright Data, DataForSEO and OpenAI. A prompt always gets the same fixture.
+const crypto = require("crypto");
+const { answers } = require("./fixtures/chatgptAnswers.json");
+
+const MODEL = "gpt-4o";
+
+function pickAnswer(prompt) {
+  const digest = crypto.createHash("sha256").update(String(prompt)).digest();
+  const fixture = answers[digest.readUInt32BE(0) % answers.length];
+  return {
+    ...fixture,
+    markdown: fixture.markdown.replace(/\{\{prompt\}\}/g, prompt),
+  };
+}
+
+/** Rough markdown → plain text, like Bright Data's answer_text */
+function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\*\*/g, "")
+    .replace(/^#+\s*/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/** Markdown table of the answer, if it has one */
+function tableMarkdown(markdown) {
+  const rows = markdown.split("\n").filter((line) => /^\|.*\|$/.test(line));
+  return rows.length > 2 ? rows.join("\n") : null;
+}
+
+/**
+ * One row of a Bright Data ChatGPT snapshot
+ */
+function toBrightDataRow(prompt, { userCountry = "US" } = {}) {
+  const answer = pickAnswer(prompt);
+
+  return {
+    url: "https://chatgpt.com/",
+    prompt,
+    model: MODEL,
+    country: userCountry,
+    answer_text: toPlainText(answer.markdown),
+    answer_text_markdown: answer.markdown,
+    citations: answer.citations.map((citation) => ({
+      url: citation.url,
+      title: citation.title,
+      description: citation.description,
+      domain: citation.domain,
+      cited: citation.cited,
+    })),
+    links_attached: answer.links,
+    shopping: answer.products,
+    shopping_visible: answer.products.length > 0,
+    is_map: answer.localBusinesses.length > 0,
+    web_search_triggered: answer.citations.length > 0,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function dataForSeoItems(answer) {
+  const items = [{ type: "chat_gpt_text", markdown: answer.markdown }];
+
+  const table = tableMarkdown(answer.markdown);
+  if (table) items.push({ type: "chat_gpt_table", markdown: table });
+
+  if (answer.products.length > 0) {
+    items.push({ type: "chat_gpt_products", items: answer.products });
+  }
+  if (answer.localBusinesses.length > 0) {
+    items.push({
+      type: "chat_gpt_local_businesses",
+      items: answer.localBusinesses,
+    });
+  }
+
+  return items.map((item, index) => ({
+    ...item,
+    rank_group: index + 1,
+    rank_absolute: index + 1,
+  }));
+}
+
+/** llm_scraper (ChatGPT) result */
+function scraperResult(answer, taskData, now) {
+  const items = dataForSeoItems(answer);
+
+  return {
+    keyword: taskData.keyword,
+    location_code: taskData.location_code ?? 2840,
+    language_code: taskData.language_code ?? "en",
+    model: MODEL,
+    datetime: now,
+    markdown: answer.markdown,
+    item_types: [...new Set(items.map((item) => item.type))],
+    items_count: items.length,
+    items,
+    sources: answer.citations.map((citation) => ({
+      url: citation.url,
+      title: citation.title,
+      domain: citation.domain,
+      snippet: citation.description,
+      date_published: citation.date_published,
+    })),
+    search_results: answer.citations.map((citation) => ({
+      url: citation.url,
+      title: citation.title,
+      domain: citation.domain,
+      description: citation.description,
+    })),
+  };
+}
+
+const toReference = (citation) => ({
+  type: "reference",
+  url: citation.url,
+  title: citation.title,
+  domain: citation.domain,
+  text: citation.description,
+});
+
+/** llm_responses (Perplexity, Gemini) result: one message with annotations */
+function llmResponsesResult(answer, taskData, now) {
+  const cited = taskData.web_search
+    ? answer.citations.filter((citation) => citation.cited)
+    : [];
+
+  return {
+    model_name: taskData.model_name,
+    web_search: Boolean(taskData.web_search),
+    datetime: now,
+    items_count: 1,
+    items: [
+      {
+        type: "message",
+        sections: [
+          {
+            type: "text",
+            text: answer.markdown,
+            annotations: cited.map(toReference),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/** Organic SERP result whose first item is an AI Overview */
+function organicResult(answer, taskData, now) {
+  return {
+    keyword: taskData.keyword,
+    location_code: taskData.location_code ?? 2840,
+    language_code: taskData.language_code ?? "en",
+    datetime: now,
+    item_types: ["ai_overview", "organic"],
+    items_count: 1 + answer.citations.length,
+    items: [
+      {
+        type: "ai_overview",
+        rank_group: 1,
+        rank_absolute: 1,
+        markdown: answer.markdown,
+        references: answer.citations
+          .filter((citation) => citation.cited)
+          .map(toReference),
+      },
+      ...answer.citations.map((citation, index) => ({
+        type: "organic",
+        rank_group: index + 1,
+        rank_absolute: index + 2,
+        url: citation.url,
+        title: citation.title,
+        domain: citation.domain,
+        description: citation.description,
+      })),
+    ],
+  };
+}
+
+// DataForSEO path/data identifiers per engine (see utils/engines.js)
+const TASK_SHAPES = {
+  chatgpt: {
+    path: [
+      "ai_optimization",
+      "chat_gpt",
+      "llm_scraper",
+      "task_get",
+      "advanced",
+    ],
+    data: { api: "ai_optimization", function: "llm_scraper", se: "chat_gpt" },
+    result: scraperResult,
+  },
+  perplexity: {
+    path: ["ai_optimization", "perplexity", "llm_responses", "live"],
+    data: {
+      api: "ai_optimization",
+      function: "llm_responses",
+      se: "perplexity",
+    },
+    result: llmResponsesResult,
+  },
+  gemini: {
+    path: ["ai_optimization", "gemini", "llm_responses", "task_get"],
+    data: { api: "ai_optimization", function: "llm_responses", se: "gemini" },
+    result: llmResponsesResult,
+  },
+  google_ai_overview: {
+    path: ["serp", "google", "organic", "task_get", "advanced"],
+    data: { api: "serp", function: "organic", se: "google" },
+    result: organicResult,
+  },
+};
+
+/**
+ * A DataForSEO task response for a submitted task: the postback body
+ * ("advanced") or, for live engines, the live response
+ */
+function toDataForSeoResponse(taskId, taskData, engineId = "chatgpt") {
+  const shape = TASK_SHAPES[engineId] || TASK_SHAPES.chatgpt;
+  const answer = pickAnswer(taskData.keyword || taskData.user_prompt);
+  const result = shape.result(answer, taskData, new Date().toISOString());
+
+  return {
+    version: "0.1.mock",
+    status_code: 20000,
+    status_message: "Ok.",
+    time: "0 sec.",
+    cost: 0,
+    tasks_count: 1,
+    tasks_error: 0,
+    tasks: [
+      {
+        id: taskId,
+        status_code: 20000,
+        status_message: "Ok.",
+        time: "0 sec.",
+        cost: 0,
+        result_count: 1,
+        path: ["v3", ...shape.path, taskId],
+        data: { ...shape.data, ...taskData },
+        result: [result],
+      },
+    ],
+  };
+}
+
+/**
+ * An OpenAI Responses API response; cited sources become url_citation
+ * annotations on the answer text
+ */
+function toOpenAIResponse(request) {
+  const answer = pickAnswer(request.input);
+  const searched = Boolean(request.tools?.length);
+  const cited = searched
+    ? answer.citations.filter((citation) => citation.cited)
+    : [];
+
+  // Append the sources as markdown links and annotate each of them
+  let text = answer.markdown;
+  const annotations = [];
+  if (cited.length > 0) text += "\n\nSources:";
+  cited.forEach((citation) => {
+    text += "\n- ";
+    const start = text.length;
+    text += `[${citation.title}](${citation.url})`;
+    annotations.push({
+      type: "url_citation",
+      start_index: start,
+      end_index: text.length,
+      url: citation.url,
+      title: citation.title,
+    });
+  });
+
+  const id = `resp_mock_${crypto.randomBytes(8).toString("hex")}`;
+  const output = [];
+  if (searched) {
+    output.push({
+      type: "web_search_call",
+      id: `ws_${id}`,
+      status: "completed",
+    });
+  }
+  output.push({
+    type: "message",
+    id: `msg_${id}`,
+    role: "assistant",
+    status: "completed",
+    content: [{ type: "output_text", text, annotations }],
+  });
+
+  return {
+    id,
+    object: "response",
+    created_at: Math.floor(Date.now() / 1000),
+    status: "completed",
+    model: request.model,
+    metadata: request.metadata || {},
+    output,
+    output_text: text,
+  };
+}
+
+module.exports = {
+  pickAnswer,
+  toBrightDataRow,
+  toDataForSeoResponse,
+  toOpenAIResponse,
+};
@@ -0,0 +1,87 @@
+// mock/brightData.js
+// Offline replacement for service/brightDataService.js (same exports). Snapshots
+// live in memory and are "ready" after MOCK_DELAY_MS; with a notify URL the
+// mock calls the webhook like Bright Data does.
+const axios = require("axios");
+const { setTimeout: sleep } = require("timers/promises");
+const crypto = require("crypto");
+const { bright, mock } = require("../config");
+const { toBrightDataRow } = require("./answers");
+
+const snapshots = new Map();
+
+// Resolves after `ms`, or as soon as `signal` is aborted
+const delay = (ms, signal) => sleep(ms, undefined, { signal }).catch(() => {});
+
+async function notify(snapshotId, notifyUrl) {
+  try {
+    await axios.post(
+      notifyUrl,
+      { snapshot_id: snapshotId, status: "ready" },
+      { headers: { Authorization: bright.webhookSecret } }
+    );
+  } catch (err) {
+    console.warn(
+      `[mock Bright Data] Notifying ${notifyUrl} about ${snapshotId} failed: ${err.message}`
+    );
+  }
+}
+
+async function triggerSnapshot(
+  prompts,
+  { userCountry = "US", notifyUrl = null } = {}
+) {
+  const snapshotId = `s_mock_${crypto.randomBytes(8).toString("hex")}`;
+  snapshots.set(snapshotId, {
+    readyAt: Date.now() + mock.delayMs,
+    rows: prompts.map((prompt) =>
+      toBrightDataRow(prompt.text, { userCountry })
+    ),
+  });
+
+  if (notifyUrl) {
+    setTimeout(() => notify(snapshotId, notifyUrl), mock.delayMs);
+  }
+  return snapshotId;
+}
+
+async function cancelSnapshot(snapshotId) {
+  snapshots.delete(snapshotId);
+  console.log(`Cancelled mock Bright Data snapshot ${snapshotId}`);
+}
+
+async function getSnapshotStatus(snapshotId) {
+  const snapshot = snapshots.get(snapshotId);
+  if (!snapshot) return "missing";
+  return snapshot.readyAt > Date.now() ? "running" : "ready";
+}
+
+async function waitForSnapshot(
+  snapshotId,
+  { shouldStop = async () => false, signal } = {}
+) {
+  const snapshot = snapshots.get(snapshotId);
+  if (!snapshot) {
+    throw new Error(`Bright Data snapshot failed: ${snapshotId} not found`);
+  }
+
+  await delay(Math.max(0, snapshot.readyAt - Date.now()), signal);
+  if (await shouldStop()) return null;
+  return snapshot.rows;
+}
+
+async function downloadSnapshot(snapshotId) {
+  const snapshot = snapshots.get(snapshotId);
+  if (!snapshot || snapshot.readyAt > Date.now()) {
+    throw new Error(`Bright Data snapshot failed: ${snapshotId} is not ready`);
+  }
+  return snapshot.rows;
+}
+
+module.exports = {
+  triggerSnapshot,
+  cancelSnapshot,
+  getSnapshotStatus,
+  waitForSnapshot,
+  downloadSnapshot,
+};
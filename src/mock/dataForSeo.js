@@ -0,0 +1,79 @@
+// mock/dataForSeo.js
+// Offline DataForSEO: task_post returns a task id right away and the "advanced"
+// result is POSTed to the task's postback_url after MOCK_DELAY_MS, so the
+// signed /api/dataforseo/callback flow runs exactly as in production. Live
+// engines get their result back with the task id.
+const axios = require("axios");
+const crypto = require("crypto");
+const { mock } = require("../config");
+const { getEngine } = require("../utils/engines");
+const { toDataForSeoResponse } = require("./answers");
+
+async function deliverPostback(taskId, taskData, engineId) {
+  try {
+    await axios.post(
+      taskData.postback_url,
+      toDataForSeoResponse(taskId, taskData, engineId)
+    );
+  } catch (err) {
+    console.warn(
+      `[mock DataForSEO] Postback for task ${taskId} failed: ${
+        err.response?.status || err.message
+      }`
+    );
+  }
+}
+
+/**
+ * Stand-in for task_post / live of `engineId`; resolves to { taskId, result }
+ * like the worker's submitDataForSeoTask
+ */
+async function submitMockTask(taskData, engineId = "chatgpt") {
+  const taskId = crypto.randomUUID();
+  if (getEngine(engineId).dataForSeo.delivery === "live") {
+    return {
+      taskId,
+      result: toDataForSeoResponse(taskId, taskData, engineId),
+    };
+  }
+
+  // The worker stores the task id on tracking_results before the postback lands
+  setTimeout(() => deliverPostback(taskId, taskData, engineId), mock.delayMs);
+  return { taskId, result: null };
+}
+
+/**
+ * Stand-in for ai_keyword_data/keywords_search_volume/live: a stable volume
+ * per keyword with twelve months of history
+ */
+function mockKeywordVolume(keywords, locationCode = 2840, languageCode = "en") {
+  const now = new Date();
+  const items = keywords.map((keyword) => {
+    const digest = crypto.createHash("sha256").update(keyword).digest();
+    const base = 100 + (digest.readUInt32BE(0) % 5000);
+    const monthly = Array.from({ length: 12 }, (_, i) => {
+      const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        ai_search_volume: Math.round(base * (0.8 + (digest[i] % 40) / 100)),
+      };
+    });
+    return {
+      keyword,
+      ai_search_volume: monthly[0].ai_search_volume,
+      ai_monthly_searches: monthly,
+    };
+  });
+
+  return {
+    success: true,
+    data: { location_code: locationCode, language_code: languageCode, items },
+    cost: 0,
+    keywords,
+    location_code: locationCode,
+    language_code: languageCode,
+  };
+}
+
+module.exports = { submitMockTask, mockKeywordVolume };
@@ -0,0 +1,19 @@
+// mock/mailer.js
+// Mail transport for MOCK_PROVIDERS: logs the email instead of calling Mailgun
+let sent = 0;
+
+function createMockTransport() {
+  return {
+    async sendMail(mail) {
+      sent += 1;
+      console.log(
+        `📧 [mock mail] ${mail.template || "no template"} → ${mail.to}: ${
+          mail.subject
+        }`
+      );
+      return { messageId: `<mock-${sent}@localhost>`, accepted: [mail.to] };
+    },
+  };
+}
+
+module.exports = { createMockTransport };
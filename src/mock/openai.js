@@ -0,0 +1,64 @@
+// mock/openai.js
+// Fake OpenAI client for MOCK_PROVIDERS. Implements the chat.completions.create
+// calls the analyzers make and answers deterministically: the same text always
+// gets the same sentiment/salience, so runs can be compared. responses.create
+// serves the canned answers for service "openai".
+const crypto = require("crypto");
+const { toOpenAIResponse } = require("./answers");
+
+/** Stable number in [min, max] derived from the text */
+function scoreFor(text, salt, min, max) {
+  const digest = crypto.createHash("sha256").update(`${salt}:${text}`).digest();
+  return min + (digest.readUInt32BE(0) % (max - min + 1));
+}
+
+function replyFor(messages) {
+  const system = messages.find((m) => m.role === "system")?.content || "";
+  const user = messages.find((m) => m.role === "user")?.content || "";
+
+  // analyzeSentimentAndSalience
+  if (/json/i.test(system)) {
+    return JSON.stringify({
+      sentiment: scoreFor(user, "sentiment", 45, 90),
+      salience: scoreFor(user, "salience", 20, 80),
+    });
+  }
+  // Single-score prompts (analyzeSentiment / analyzeSalience)
+  if (/single number/i.test(system)) {
+    return String(scoreFor(user, system, 30, 90));
+  }
+  // Key checks ("Hello") and anything else
+  return "OK";
+}
+
+function createMockOpenAI() {
+  return {
+    responses: {
+      async create(request) {
+        return toOpenAIResponse(request);
+      },
+    },
+    chat: {
+      completions: {
+        async create({ model, messages = [] }) {
+          return {
+            id: `chatcmpl-mock-${crypto.randomBytes(6).toString("hex")}`,
+            object: "chat.completion",
+            created: Math.floor(Date.now() / 1000),
+            model,
+            choices: [
+              {
+                index: 0,
+                message: { role: "assistant", content: replyFor(messages) },
+                finish_reason: "stop",
+              },
+            ],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+          };
+        },
+      },
+    },
+  };
+}
+
+module.exports = { createMockOpenAI };
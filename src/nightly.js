@@ -17,18 +17,31 @@ require("dotenv").config();
 const cron = require("node-cron");
 const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
+const { supabase, bright, metrics, createOpenAI } = require("./config");
 const {
-  pubsub,
-  supabase,
-  bright,
-  pubsubTopic,
-  createOpenAI,
-  dataForSEOTopic,
-} = require("./config");
-const {
-  getActiveService,
   getActiveServiceAsync,
+  getHealthyServices,
 } = require("./utils/activeService");
+const { getMaintenance } = require("./utils/providerRouting");
+const { startHeartbeat } = require("./utils/heartbeat");
+const { recordNightlyRun, startMetricsServer } = require("./utils/metrics");
+const {
+  createLogger,
+  withLogContext,
+  addLogContext,
+} = require("./utils/logger");
+
+const log = createLogger("nightly");
+const {
+  getBatchSize,
+  chunkArray,
+  topicForService,
+  publishBatch,
+} = require("./utils/batching");
+const { LANES } = require("./queue/lanes");
+const { getUserCredential } = require("./utils/credentials");
+const { getUserPlan } = require("./utils/plans");
+const { normalizeEngines, serviceForEngine } = require("./utils/engines");
 
 /** Quick OpenAI key/model sanity check */
 async function validateOpenAIAccess(openai, model) {
@@ -56,22 +69,6 @@ async function validateOpenAIAccess(openai, model) {
   }
 }
 
-/** Pick batch size: <5 ⇒ all, ≤10 ⇒ 5, else ⇒ 10 */
-function getBatchSize(count) {
-  if (count < 5) return count;
-  if (count <= 10) return 5;
-  return 10;
-}
-
-/** Simple chunking helper */
-function chunkArray(arr, n) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += n) {
-    out.push(arr.slice(i, i + n));
-  }
-  return out;
-}
-
 /**
  * Check if project should run based on scheduler_frequency and last_nightly_run_at
  * @param {string|null} frequency - 'daily', 'weekly', or 'monthly' (or null/undefined)
@@ -126,14 +123,14 @@ async function updateLastNightlyRun(projectId, timestamp) {
       .eq("id", projectId);
 
     if (error) {
-      console.log(
+      log.warn(
         `⚠️  Failed to update last_nightly_run_at for project ${projectId}: ${error.message}`
       );
     } else {
-      console.log(`✅ Updated last_nightly_run_at for project ${projectId} to ${timestamp}`);
+      log.info(`✅ Updated last_nightly_run_at for project ${projectId} to ${timestamp}`);
     }
   } catch (err) {
-    console.log(
+    log.warn(
       `⚠️  Error updating last_nightly_run_at for project ${projectId}: ${err.message}`
     );
   }
@@ -146,33 +143,39 @@ async function getTopicForActiveService() {
     return null; // Return null if no active service
   }
 
-  switch (activeService) {
-    case "brightdata":
-      return pubsubTopic;
-    case "dataforseo":
-      return dataForSEOTopic;
-    default:
-      return null; // Return null for unknown services
-  }
+  return topicForService(activeService); // null for unknown services
 }
 
 // Global flag to prevent duplicate runs
 let isRefreshRunning = false;
 
-async function performNightlyRefresh() {
+// Every log line and queued batch of one run shares a correlation id
+function performNightlyRefresh() {
+  return withLogContext({ correlationId: uuidv4() }, runNightlyRefresh);
+}
+
+async function runNightlyRefresh() {
   if (isRefreshRunning) {
-    console.log("⏭️  Nightly refresh skipped: a run is already in progress");
+    log.info("⏭️  Nightly refresh skipped: a run is already in progress");
+    recordNightlyRun("already_running");
+    return;
+  }
+  const maintenance = await getMaintenance();
+  if (maintenance.enabled) {
+    log.info(`🛠️  Nightly refresh skipped: maintenance mode is on`);
+    recordNightlyRun("maintenance");
     return;
   }
   const topicName = await getTopicForActiveService();
-  console.log("🔧 Using active service topic:", topicName);
+  log.info("🔧 Using active service topic", { topicName });
   if (!topicName) {
-    console.log("❌ No active service topic available. Halting nightly run.");
+    log.error("❌ No active service topic available. Halting nightly run.");
+    recordNightlyRun("no_service");
     return;
   }
   isRefreshRunning = true;
   const startTime = new Date().toISOString();
-  console.log(`🚀 Nightly refresh started at ${startTime}`);
+  log.info(`🚀 Nightly refresh started at ${startTime}`);
 
   // Check environment variables for testing mode
   const isTestingMode = process.env.NIGHTLY_TESTING_MODE === "true";
@@ -182,16 +185,17 @@ async function performNightlyRefresh() {
   if (isTestingMode) {
     if (!TEST_USER_ID || !TEST_PROJECT_ID) {
       isRefreshRunning = false;
-      console.log(
+      log.warn(
         "⚠️  Testing mode enabled but NIGHTLY_TEST_USER_ID or NIGHTLY_TEST_PROJECT_ID missing. Aborting run."
       );
+      recordNightlyRun("misconfigured");
       return;
     }
-    console.log(
+    log.info(
       `🧪 Testing mode: user=${TEST_USER_ID}, project=${TEST_PROJECT_ID}`
     );
   } else {
-    console.log(
+    log.info(
       "🌙 Production mode: processing all users with enabled prompts"
     );
   }
@@ -208,6 +212,7 @@ async function performNightlyRefresh() {
           id,
           user_id,
           name,
+          engines,
           prompts!inner(
             id,
             text,
@@ -227,13 +232,14 @@ async function performNightlyRefresh() {
       projectsError = result.error;
 
       if (!projects || projects.length === 0) {
-        console.log(
+        log.warn(
           `⚠️  No enabled prompts for test user=${TEST_USER_ID} project=${TEST_PROJECT_ID}. Ending run.`
         );
+        recordNightlyRun("nothing_to_do");
         return;
       }
 
-      console.log(
+      log.info(
         `🧪 Testing: found ${projects.length} project(s) with enabled prompts for user ${TEST_USER_ID}`
       );
     } else {
@@ -245,6 +251,7 @@ async function performNightlyRefresh() {
           id,
           user_id,
           name,
+          engines,
           prompts!inner(
             id,
             text,
@@ -261,14 +268,15 @@ async function performNightlyRefresh() {
       projectsError = result.error;
 
       if (!projects || projects.length === 0) {
-        console.log(
+        log.info(
           "ℹ️  No enabled prompts found across all users. Nothing to do."
         );
+        recordNightlyRun("nothing_to_do");
         return;
       }
 
       const uniqueUsers = [...new Set(projects.map((p) => p.user_id))];
-      console.log(
+      log.info(
         `📦 Found ${projects.length} project(s) with enabled prompts across ${uniqueUsers.length} user(s)`
       );
     }
@@ -285,31 +293,36 @@ async function performNightlyRefresh() {
       acc[project.user_id].push(project);
       return acc;
     }, {});
-    console.log(
+    log.info(
       `👥 Grouped projects by user: ${Object.keys(userProjects).length} user(s)`
     );
 
     // 3) Process each user's projects
     for (const [userId, userProjectList] of Object.entries(userProjects)) {
       try {
-        console.log(`\n—— Processing user ${userId} ——`);
+        addLogContext({ userId });
+        const plan = await getUserPlan(userId);
+        log.info(`—— Processing user ${userId} ——`);
         const totalPromptsForUser = userProjectList.reduce(
           (sum, proj) => sum + proj.prompts.length,
           0
         );
-        console.log(
+        log.info(
           `📂 Projects: ${userProjectList.length}, Total prompts: ${totalPromptsForUser}`
         );
 
-        // Get user's OpenAI key
-        const { data: userSettings, error: settingsError } = await supabase
-          .from("user_settings")
-          .select("openai_key")
-          .eq("user_id", userId)
-          .single();
+        // Get user's OpenAI key from the encrypted credential store
+        let credential = null;
+        try {
+          credential = await getUserCredential(userId, "openai");
+        } catch (credentialError) {
+          log.warn(
+            `⚠️  Could not load OpenAI key for user ${userId}: ${credentialError.message}`
+          );
+        }
 
-        if (settingsError || !userSettings?.openai_key) {
-          console.log(`⚠️  Skipping user ${userId}: missing OpenAI key`);
+        if (!credential) {
+          log.warn(`⚠️  Skipping user ${userId}: missing OpenAI key`);
           continue;
         }
 
@@ -321,12 +334,14 @@ async function performNightlyRefresh() {
           .not("scheduler_frequency", "is", null);
 
         if (projectsError) {
-          console.log(`⚠️  Error fetching projects for user ${userId}:`, projectsError.message);
+          log.warn(`⚠️  Error fetching projects for user ${userId}`, {
+            err: projectsError,
+          });
           continue;
         }
 
         if (!userProjects || userProjects.length === 0) {
-          console.log(`⏭️  Skipping user ${userId}: no projects with scheduler_frequency set`);
+          log.info(`⏭️  Skipping user ${userId}: no projects with scheduler_frequency set`);
           continue;
         }
 
@@ -340,36 +355,36 @@ async function performNightlyRefresh() {
           
           if (shouldRun) {
             projectsToRun.push(project);
-            console.log(`✅ Project ${project.name} (${project.scheduler_frequency}) is ready to run`);
+            log.info(`✅ Project ${project.name} (${project.scheduler_frequency}) is ready to run`);
           } else {
             const lastRun = project.last_nightly_run_at
               ? new Date(project.last_nightly_run_at).toISOString()
               : "never";
-            console.log(`⏭️  Project ${project.name} (${project.scheduler_frequency}) not ready - last run: ${lastRun}`);
+            log.info(`⏭️  Project ${project.name} (${project.scheduler_frequency}) not ready - last run: ${lastRun}`);
           }
         }
 
         if (projectsToRun.length === 0) {
-          console.log(`⏭️  Skipping user ${userId}: no projects ready for run`);
+          log.info(`⏭️  Skipping user ${userId}: no projects ready for run`);
           continue;
         }
 
-        console.log(
+        log.info(
           `✅ User ${userId} has ${projectsToRun.length} project(s) ready for nightly run`
         );
 
-        const openaiKey = userSettings.openai_key;
+        const openaiKey = credential.secret;
         const openaiModel = process.env.DEFAULT_OPENAI_MODEL || "gpt-4";
 
         // Validate OpenAI credentials
         const openai = createOpenAI(openaiKey);
         try {
           await validateOpenAIAccess(openai, openaiModel);
-          console.log(
+          log.info(
             `✅ OpenAI key validated for user ${userId} (model=${openaiModel})`
           );
         } catch (e) {
-          console.log(
+          log.error(
             `❌ OpenAI validation failed for user ${userId}: ${e.message}`
           );
           continue;
@@ -382,12 +397,11 @@ async function performNightlyRefresh() {
           // Only process projects that are in the projectsToRun list
           const projectToRun = projectsToRun.find(p => p.id === project.id);
           if (!projectToRun) {
-            console.log("project: ",project)
-            console.log(`⏭️  Skipping project ${project.name}: not ready for run (frequency: ${project.scheduler_frequency})`);
+            log.info(`⏭️  Skipping project ${project.name}: not ready for run (frequency: ${project.scheduler_frequency})`);
             continue;
           }
           try {
-            console.log(`📁 Project: ${project.name} (${project.id})`);
+            log.info(`📁 Project: ${project.name} (${project.id})`);
 
             // 5) Process each prompt in the project (NO STUBS - just prepare data for worker)
             const enrichedPrompts = project.prompts.map((prompt) => ({
@@ -400,51 +414,76 @@ async function performNightlyRefresh() {
               userCountry: prompt.user_country || "",
               isNightly: true, // Flag to indicate this is a nightly job
             }));
-            console.log(
+            log.info(
               `🧩 Prepared ${enrichedPrompts.length} prompt(s) for queuing`
             );
 
-            // 6) Chunk prompts into batches
+            // 6) Chunk prompts into batches, per engine the project tracks
             const batchSize = getBatchSize(enrichedPrompts.length);
-            const batches = chunkArray(enrichedPrompts, batchSize);
-            console.log(
+            const batches = [];
+            // Admin pins and weights decide the service per project
+            const projectService = await getActiveServiceAsync({
+              userId,
+              projectId: project.id,
+            });
+            const healthyServices = getHealthyServices();
+            normalizeEngines(project.engines).forEach((engine) => {
+              const service = serviceForEngine(
+                engine,
+                projectService,
+                healthyServices
+              );
+              if (!service || !topicForService(service)) {
+                log.info(`⏭️  Skipping engine ${engine} for project ${project.name}: no service available`);
+                return;
+              }
+              chunkArray(enrichedPrompts, batchSize).forEach((prompts) => {
+                batches.push({ engine, service, prompts });
+              });
+            });
+            log.info(
               `📦 Chunked into ${batches.length} batch(es) (batchSize=${batchSize})`
             );
 
             // 7) Process batches - queue messages for workers (aligned with new server.js pattern)
             const totalBatches = batches.length;
-            console.log("totalBatches: ",totalBatches)
             // Queue each batch as a separate message (no BrightData triggering here)
-            const batchPromises = batches.map(async (batch, batchIndex) => {
+            const batchPromises = batches.map(async ({ engine, service, prompts: batch }, batchIndex) => {
               try {
-                console.log("batch :", batch)
-                console.log("batch.length: ", batch.length)
+                log.debug(`Publishing batch of ${batch.length} prompt(s)`, {
+                  batchNumber: batchIndex,
+                  engine,
+                  service,
+                });
 
                 // Publish message for this batch - BrightData trigger moved to worker
-                await pubsub.topic(topicName).publish(
-                  Buffer.from(
-                    JSON.stringify({
-                      openaiKey,
-                      openaiModel,
-                      email: null, // No email for nightly jobs
-                      jobBatchId: null, // No job tracking for nightly jobs
-                      batchNumber: batchIndex,
-                      totalBatches,
-                      prompts: batch,
-                      userCountry: batch[0]?.userCountry || "US",
-                      webSearch: false, // Nightly jobs don't use web search
-                      isNightly: true, // Flag to skip email notifications and create tracking_results directly
-                      user_id: userId,  
-                    })
-                  )
+                await publishBatch(
+                  topicForService(service, LANES.nightly),
+                  {
+                    credentialId: credential.id,
+                    openaiModel,
+                    email: null, // No email for nightly jobs
+                    jobBatchId: null, // No job tracking for nightly jobs
+                    batchNumber: batchIndex,
+                    totalBatches,
+                    prompts: batch,
+                    userCountry: batch[0]?.userCountry || "US",
+                    webSearch: false, // Nightly jobs don't use web search
+                    isNightly: true, // Flag to skip email notifications and create tracking_results directly
+                    service,
+                    engine,
+                    user_id: userId,
+                    plan,
+                  },
+                  "nightly"
                 );
-                console.log(
+                log.info(
                   `🛫 Queued batch ${
                     batchIndex + 1
-                  }/${totalBatches} for project ${project.name}`
+                  }/${totalBatches} for project ${project.name} (${engine})`
                 );
               } catch (err) {
-                console.log(
+                log.warn(
                   `⚠️  Failed to queue batch ${
                     batchIndex + 1
                   }/${totalBatches} for project ${project.name}: ${err.message}`
@@ -454,12 +493,12 @@ async function performNightlyRefresh() {
 
             // Don't await the batch promises - let them run in background
             Promise.all(batchPromises).catch((err) => {
-              console.log(
+              log.warn(
                 `⚠️  Some nightly batches failed to queue for project ${project.name}: ${err.message}`
               );
             });
 
-            console.log(
+            log.info(
               `✅ Queued ${totalBatches} batch(es) for project ${project.name} (${enrichedPrompts.length} prompts)`
             );
 
@@ -467,24 +506,26 @@ async function performNightlyRefresh() {
             await updateLastNightlyRun(project.id, startTime);
             userHadSuccessfulRun = true;
           } catch (projectError) {
-            console.log(
+            log.error(
               `❌ Error processing project ${project.id}: ${projectError.message}`
             );
           }
         }
       } catch (userError) {
-        console.log(`❌ Error processing user ${userId}: ${userError.message}`);
+        log.error(`❌ Error processing user ${userId}: ${userError.message}`);
       }
     }
 
     const endTime = new Date().toISOString();
-    console.log(`🎉 Nightly refresh completed at ${endTime}`);
+    log.info(`🎉 Nightly refresh completed at ${endTime}`);
+    recordNightlyRun("completed");
   } catch (error) {
     const errorTime = new Date().toISOString();
-    console.log(`💥 Nightly refresh failed at ${errorTime}: ${error.message}`);
+    log.error(`💥 Nightly refresh failed at ${errorTime}: ${error.message}`);
+    recordNightlyRun("failed");
   } finally {
     isRefreshRunning = false;
-    console.log("🔓 Nightly refresh lock released");
+    log.info("🔓 Nightly refresh lock released");
   }
 }
 
@@ -510,6 +551,8 @@ try {
     scheduled: true,
     timezone: "UTC",
   });
+  startHeartbeat("nightly");
+  startMetricsServer(metrics.nightlyPort, "nightly");
 
   if (isTestingMode) {
     // Show next few run times for testing schedules
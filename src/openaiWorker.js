@@ -0,0 +1,196 @@
+// src/openaiWorker.js
+// Worker for service "openai": answers every prompt of a batch through the
+// OpenAI Responses API with the user's key, then stores the answers through the
+// same pipeline as Bright Data snapshots.
+require("dotenv").config();
+
+const crypto = require("crypto");
+
+const {
+  openaiSubscription,
+  openaiNightlySubscription,
+  metrics,
+  shutdown,
+  createOpenAI,
+} = require("./config");
+const { subscribeLanes } = require("./queue/lanes");
+const { isJobBatchCancelled } = require("./utils/jobBatches");
+const { resolveCredential } = require("./utils/credentials");
+const { retryWithBackoff, delay } = require("./utils/apiHelpers");
+const { normalizeAnswer } = require("./providers");
+const { askOpenAI } = require("./service/openaiAnswers");
+const { recordProviderOutcome } = require("./utils/circuitBreaker");
+const { startHeartbeat } = require("./utils/heartbeat");
+const { startMetricsServer } = require("./utils/metrics");
+const { onShutdown } = require("./utils/shutdown");
+const {
+  createLogger,
+  withLogContext,
+  addLogContext,
+  batchLogContext,
+} = require("./utils/logger");
+const {
+  processSnapshotResults,
+  handleBatchFailure,
+} = require("./service/snapshotResults");
+
+const log = createLogger("openai-worker");
+
+function isRetryableError(error) {
+  return (
+    error.status === 429 ||
+    error.status >= 500 ||
+    error.code === "ECONNRESET" ||
+    error.code === "ETIMEDOUT" ||
+    error.message.includes("network") ||
+    error.message.includes("timeout")
+  );
+}
+
+/**
+ * Answer the prompts one by one. Resolves to the normalized answers, or null
+ * when the job was cancelled meanwhile. Prompts that fail are left out and end
+ * up failed; a rejected key fails the whole batch.
+ */
+async function answerPrompts(openai, batch) {
+  const {
+    prompts = [],
+    userCountry = "US",
+    webSearch = false,
+    isNightly = false,
+    jobBatchId = null,
+  } = batch;
+  const answers = [];
+  let lastError = null;
+
+  for (const prompt of prompts) {
+    if (!isNightly && (await isJobBatchCancelled(jobBatchId))) return null;
+
+    const startedAt = Date.now();
+    try {
+      const response = await retryWithBackoff(
+        () => askOpenAI(openai, prompt, { userCountry, webSearch }),
+        3,
+        `OpenAI answer for "${prompt.text}"`
+      );
+      await recordProviderOutcome("openai", {
+        success: true,
+        latencyMs: Date.now() - startedAt,
+      });
+      answers.push({
+        ...normalizeAnswer(response, "openai"),
+        prompt: prompt.text,
+        promptId: prompt.trackingId || null,
+      });
+    } catch (err) {
+      // A rejected key is the user's problem, not an OpenAI outage
+      if (err.status === 401) throw new Error("Invalid OpenAI key.");
+      await recordProviderOutcome("openai", {
+        success: false,
+        latencyMs: Date.now() - startedAt,
+        error: err.message,
+      });
+      log.error("OpenAI answer failed", {
+        promptId: prompt.trackingId,
+        err,
+      });
+      lastError = err;
+    }
+
+    await delay(300);
+  }
+
+  // Nothing answered: surface the cause instead of an empty batch
+  if (answers.length === 0 && lastError) throw lastError;
+  return answers;
+}
+
+// ───────────── Queue handler ─────────────
+startHeartbeat("openai-worker");
+startMetricsServer(metrics.openaiWorkerPort, "openai-worker");
+const lanes = subscribeLanes(
+  { interactive: openaiSubscription, nightly: openaiNightlySubscription },
+  (message) => {
+    const batch = JSON.parse(message.data.toString());
+    return withLogContext(batchLogContext(message, batch), () =>
+      handleBatch(message, batch)
+    );
+  }
+);
+
+// Stop pulling and let running batches finish before exiting
+onShutdown("openai-worker", () =>
+  lanes.close({ timeoutMs: shutdown.timeoutMs })
+);
+
+async function handleBatch(message, batch) {
+  const {
+    credentialId,
+    openaiKey: legacyOpenaiKey, // messages queued before the credential store
+    isNightly = false,
+    jobBatchId = null,
+    totalBatches = 1,
+    service,
+  } = batch;
+
+  // Only handle OpenAI messages
+  if (service && service.toLowerCase() !== "openai") {
+    log.info("Skipping non-OpenAI message", { service });
+    message.ack();
+    return;
+  }
+
+  // Skip batches the user cancelled before we picked them up
+  if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+    log.info("Skipping batch of cancelled job", { totalBatches });
+    message.ack();
+    return;
+  }
+
+  // One id per batch, stored as snapshot_id like Bright Data snapshots
+  const snapshotID = batch.snapshotID || `openai_${crypto.randomUUID()}`;
+  addLogContext({ taskId: snapshotID });
+
+  try {
+    const openaiKey = credentialId
+      ? await resolveCredential(credentialId)
+      : legacyOpenaiKey;
+    const openai = createOpenAI(openaiKey);
+
+    const answers = await answerPrompts(openai, batch);
+    if (!answers || (!isNightly && (await isJobBatchCancelled(jobBatchId)))) {
+      log.info("Job cancelled, discarding OpenAI answers");
+      message.ack();
+      return;
+    }
+
+    await processSnapshotResults(
+      { ...batch, snapshotID, openai, provider: "openai" },
+      answers
+    );
+
+    message.ack();
+    log.info("Processed OpenAI batch", {
+      totalBatches,
+      answers: answers.length,
+    });
+  } catch (err) {
+    // A cancelled job keeps its cancelled state; nothing to fail or email
+    if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+      log.info("Dropping error for cancelled job", { err });
+      message.ack();
+      return;
+    }
+
+    // Mark tracking results as failed, update the job batch and send the failure email
+    await handleBatchFailure({ ...batch, snapshotID }, err);
+
+    if (isRetryableError(err)) {
+      log.warn("Retryable error, batch will be redelivered", { err });
+      message.nack(err);
+    } else {
+      log.error("Non-retryable error, batch dropped", { err });
+      message.ack();
+    }
+  }
+}
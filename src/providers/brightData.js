@@ -0,0 +1,83 @@
+// providers/brightData.js
+// Adapter for one row of a Bright Data ChatGPT dataset snapshot
+const IMAGE_PATTERN = /!\[.*?\]\(.*?\)/g;
+const TABLE_ROW_PATTERN = /\|.*\|/g;
+
+function normalizeCitations(citations = []) {
+  return citations
+    .filter((citation) => citation?.url)
+    .map((citation) => ({
+      url: citation.url,
+      title: citation.title || "",
+      // Bright Data sends the site name here (e.g. "Android Authority")
+      domain: citation.domain || "",
+      snippet: citation.description || "",
+      cited: Boolean(citation.cited),
+      datePublished: null,
+    }));
+}
+
+function normalizeLinks(links = []) {
+  return links
+    .filter((link) => link?.url)
+    .map((link) => ({
+      url: link.url,
+      title: link.text || link.title || "",
+      domain: "",
+    }));
+}
+
+/** Item counts inferred from the answer structure (Bright Data has no item types) */
+function countItems(raw, markdown, products) {
+  const counts = {};
+
+  if (markdown.length > 0) counts.chat_gpt_text = 1;
+  if (products.length > 0) counts.chat_gpt_products = products.length;
+
+  const images = markdown.match(IMAGE_PATTERN) || [];
+  if (images.length > 0) counts.chat_gpt_images = images.length;
+
+  // At least header + separator + data row
+  if ((markdown.match(TABLE_ROW_PATTERN) || []).length > 2) {
+    counts.chat_gpt_table = 1;
+  }
+
+  // Several structured links read as a navigation list
+  if (raw.links_attached?.length > 3) counts.chat_gpt_navigation_list = 1;
+
+  // A map means local context
+  if (raw.is_map) counts.chat_gpt_local_businesses = 1;
+
+  return counts;
+}
+
+function normalize(raw) {
+  const markdown = raw.answer_text_markdown || "";
+  const products =
+    raw.shopping_visible && Array.isArray(raw.shopping) ? raw.shopping : [];
+  const itemCounts = countItems(raw, markdown, products);
+
+  return {
+    provider: "brightdata",
+    engine: "chatgpt",
+    prompt: raw.prompt || null,
+    promptId: raw.prompt_id || null,
+    text: raw.answer_text || markdown,
+    markdown,
+    citations: normalizeCitations(raw.citations),
+    links: normalizeLinks(raw.links_attached),
+    products,
+    localBusinesses: [],
+    itemTypes: Object.keys(itemCounts),
+    itemCounts,
+    // web_search_triggered when reported, otherwise any citation means retrieval
+    webSearch: Boolean(raw.web_search_triggered || raw.citations?.length > 0),
+    location: {
+      country: raw.country || null,
+      locationCode: null,
+      languageCode: null,
+    },
+  };
+}
+
+module.exports = { name: "brightdata", normalize };
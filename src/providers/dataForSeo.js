@@ -0,0 +1,227 @@
+// providers/dataForSeo.js
+// Adapter for a DataForSEO task (postback body, task_get or live response).
+// ChatGPT comes from llm_scraper, Perplexity/Gemini from llm_responses and
+// Google AI Overviews from the organic SERP; see utils/engines.js.
+const { engineFromTask, getEngine } = require("../utils/engines");
+
+// Item types whose entries are nested under item.items
+const NESTED_ITEM_TYPES = [
+  "chat_gpt_products",
+  "chat_gpt_local_businesses",
+  "chat_gpt_images",
+];
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+function normalizeCitations(sources) {
+  return sources
+    .filter((source) => source?.url)
+    .map((source) => ({
+      url: source.url,
+      title: source.title || "",
+      domain: source.domain || "",
+      snippet: source.snippet || "",
+      cited: true,
+      datePublished: source.date_published || null,
+    }));
+}
+
+function normalizeLinks(searchResults) {
+  return searchResults
+    .filter((result) => result?.url)
+    .map((result) => ({
+      url: result.url,
+      title: result.title || "",
+      domain: result.domain || "",
+    }));
+}
+
+/** Content types reported by DataForSEO, plus any type seen on an item */
+function collectItemTypes(result, items) {
+  const itemTypes = [...asArray(result.item_types)];
+  items.forEach((item) => {
+    if (item.type && !itemTypes.includes(item.type)) itemTypes.push(item.type);
+  });
+  return itemTypes;
+}
+
+function countItems(result, items, sources, searchResults) {
+  const counts = {};
+  asArray(result.item_types).forEach((type) => {
+    counts[type] = 1;
+  });
+
+  const seen = {};
+  items.forEach((item) => {
+    if (!item.type) return;
+    seen[item.type] = (seen[item.type] || 0) + 1;
+    counts[item.type] =
+      NESTED_ITEM_TYPES.includes(item.type) && item.items
+        ? item.items.length
+        : seen[item.type];
+  });
+
+  // Search results imply a text answer, sources a navigation list
+  if (searchResults.length > 0 && !counts.chat_gpt_text) {
+    counts.chat_gpt_text = 1;
+  }
+  if (sources.length > 0 && !counts.chat_gpt_navigation_list) {
+    counts.chat_gpt_navigation_list = 1;
+  }
+
+  return counts;
+}
+
+const nestedItems = (items, type) =>
+  items
+    .filter((item) => item.type === type)
+    .flatMap((item) => asArray(item.items));
+
+const location = (task, result) => ({
+  country: task?.data?.location_name || null,
+  locationCode: result.location_code ?? task?.data?.location_code ?? null,
+  languageCode: result.language_code ?? task?.data?.language_code ?? null,
+});
+
+/** Answer-shaped item counts, named like the ChatGPT item types */
+function countText(markdown, citations) {
+  const counts = {};
+  if (markdown.length > 0) counts.chat_gpt_text = 1;
+  if ((markdown.match(/\|.*\|/g) || []).length > 2) counts.chat_gpt_table = 1;
+  if (citations.length > 0) counts.chat_gpt_navigation_list = 1;
+  return counts;
+}
+
+function citationFrom(reference) {
+  return {
+    url: reference.url,
+    title: reference.title || reference.source || "",
+    domain: reference.domain || "",
+    snippet: reference.text || reference.snippet || "",
+    cited: true,
+    datePublished: reference.date_published || null,
+  };
+}
+
+const uniqueByUrl = (citations) =>
+  citations.filter(
+    (citation, index) =>
+      citation.url &&
+      citations.findIndex((other) => other.url === citation.url) === index
+  );
+
+/** llm_responses (Perplexity, Gemini): message sections with annotations */
+function normalizeLlmResponse(engine, task, result) {
+  const sections = asArray(result.items)
+    .filter((item) => item.type === "message")
+    .flatMap((item) => asArray(item.sections));
+  const markdown = sections
+    .map((section) => section.text || "")
+    .filter(Boolean)
+    .join("\n\n");
+  const citations = uniqueByUrl(
+    sections.flatMap((section) =>
+      asArray(section.annotations).map(citationFrom)
+    )
+  );
+  const itemCounts = countText(markdown, citations);
+
+  return {
+    provider: "dataforseo",
+    engine,
+    prompt: task?.data?.user_prompt || null,
+    promptId: null,
+    text: markdown,
+    markdown,
+    citations,
+    links: [],
+    products: [],
+    localBusinesses: [],
+    itemTypes: Object.keys(itemCounts),
+    itemCounts,
+    webSearch: Boolean(result.web_search) || citations.length > 0,
+    location: location(task, result),
+  };
+}
+
+/** Organic SERP: the ai_overview item, if Google showed one */
+function normalizeAiOverview(engine, task, result) {
+  const overview = asArray(result.items).find(
+    (item) => item.type === "ai_overview"
+  );
+  const elements = asArray(overview?.items);
+  const markdown =
+    overview?.markdown ||
+    elements
+      .map((element) => element.markdown || element.text || "")
+      .filter(Boolean)
+      .join("\n\n");
+  const references = [
+    ...asArray(overview?.references),
+    ...elements.flatMap((element) => asArray(element.references)),
+  ];
+  const citations = uniqueByUrl(references.map(citationFrom));
+  const itemCounts = countText(markdown, citations);
+
+  return {
+    provider: "dataforseo",
+    engine,
+    prompt: result.keyword || task?.data?.keyword || null,
+    promptId: null,
+    text: markdown,
+    markdown,
+    citations,
+    links: [],
+    products: [],
+    localBusinesses: [],
+    itemTypes: Object.keys(itemCounts),
+    itemCounts,
+    // An AI Overview is always grounded in search results
+    webSearch: Boolean(overview),
+    location: location(task, result),
+  };
+}
+
+/** llm_scraper (ChatGPT): markdown, typed items, sources and search results */
+function normalizeScraperAnswer(engine, task, result) {
+  const items = asArray(result.items);
+  const sources = asArray(result.sources);
+  const searchResults = asArray(result.search_results);
+  const markdown = result.markdown || "";
+
+  return {
+    provider: "dataforseo",
+    engine,
+    prompt: result.keyword || task?.data?.keyword || null,
+    // Tasks are matched through their snapshot_id instead
+    promptId: null,
+    text: markdown,
+    markdown,
+    citations: normalizeCitations(sources),
+    links: normalizeLinks(searchResults),
+    products: nestedItems(items, "chat_gpt_products"),
+    localBusinesses: nestedItems(items, "chat_gpt_local_businesses"),
+    itemTypes: collectItemTypes(result, items),
+    itemCounts: countItems(result, items, sources, searchResults),
+    // Sources or search results mean the model actually retrieved the web
+    webSearch: sources.length > 0 || searchResults.length > 0,
+    location: location(task, result),
+  };
+}
+
+function normalize(raw) {
+  const task = raw?.tasks?.[0];
+  const result = task?.result?.[0] || {};
+  const engine = engineFromTask(task);
+
+  switch (getEngine(engine).dataForSeo.fn) {
+    case "llm_responses":
+      return normalizeLlmResponse(engine, task, result);
+    case "organic":
+      return normalizeAiOverview(engine, task, result);
+    default:
+      return normalizeScraperAnswer(engine, task, result);
+  }
+}
+
+module.exports = { name: "dataforseo", normalize };
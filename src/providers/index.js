@@ -0,0 +1,65 @@
+// providers/index.js
+// Provider adapters turn a raw provider payload into one normalized answer, so
+// analysis, storage and the API never parse provider formats themselves.
+// Adding a provider means adding an adapter module here.
+const brightData = require("./brightData");
+const dataForSeo = require("./dataForSeo");
+const openai = require("./openai");
+
+/**
+ * @typedef {Object} NormalizedAnswer
+ * @property {string} provider        Adapter name ("brightdata", "dataforseo", ...)
+ * @property {string} engine          Answer engine (see utils/engines.js)
+ * @property {string|null} prompt     Prompt the answer belongs to, when the payload says
+ * @property {string|null} promptId   tracking_results id the answer belongs to, when known
+ * @property {string} text            Answer text used for brand matching
+ * @property {string} markdown        Answer as markdown
+ * @property {Array<{url: string, title: string, domain: string, snippet: string, cited: boolean, datePublished: string|null}>} citations
+ * @property {Array<{url: string, title: string, domain: string}>} links  Other linked pages
+ * @property {Array<Object>} products
+ * @property {Array<Object>} localBusinesses
+ * @property {string[]} itemTypes     Content types present (chat_gpt_text, chat_gpt_table, ...)
+ * @property {Object<string, number>} itemCounts  Count per content type
+ * @property {boolean} webSearch      Whether web retrieval actually happened
+ * @property {{country: string|null, locationCode: number|null, languageCode: string|null}} location
+ */
+
+const adapters = {
+  [brightData.name]: brightData,
+  [dataForSeo.name]: dataForSeo,
+  [openai.name]: openai,
+};
+
+function getAdapter(provider) {
+  const adapter = adapters[provider];
+  if (!adapter) throw new Error(`Unknown answer provider "${provider}"`);
+  return adapter;
+}
+
+/** Guess the provider from the payload shape */
+function detectProvider(raw) {
+  if (raw?.tasks) return dataForSeo.name;
+  if (raw?.object === "response") return openai.name;
+  return brightData.name;
+}
+
+/**
+ * Normalize a raw provider payload
+ * @returns {NormalizedAnswer}
+ */
+function normalizeAnswer(raw, provider = detectProvider(raw)) {
+  return getAdapter(provider).normalize(raw || {});
+}
+
+function isNormalizedAnswer(value) {
+  return Boolean(
+    value && typeof value.provider === "string" && value.itemCounts
+  );
+}
+
+module.exports = {
+  getAdapter,
+  detectProvider,
+  normalizeAnswer,
+  isNormalizedAnswer,
+};
@@ -0,0 +1,97 @@
+// providers/openai.js
+// Adapter for an OpenAI Responses API response (service "openai")
+const IMAGE_PATTERN = /!\[.*?\]\(.*?\)/g;
+const TABLE_ROW_PATTERN = /\|.*\|/g;
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/** output_text parts of the assistant messages */
+function outputTexts(raw) {
+  return asArray(raw.output)
+    .filter((item) => item.type === "message")
+    .flatMap((item) => asArray(item.content))
+    .filter((part) => part.type === "output_text");
+}
+
+/** url_citation annotations, one citation per URL in order of appearance */
+function normalizeCitations(parts) {
+  const seen = new Set();
+  return parts
+    .flatMap((part) => asArray(part.annotations))
+    .filter(
+      (annotation) => annotation.type === "url_citation" && annotation.url
+    )
+    .filter((annotation) => {
+      if (seen.has(annotation.url)) return false;
+      seen.add(annotation.url);
+      return true;
+    })
+    .map((annotation) => ({
+      url: annotation.url,
+      title: annotation.title || "",
+      domain: hostnameOf(annotation.url),
+      snippet: "",
+      cited: true,
+      datePublished: null,
+    }));
+}
+
+function countItems(markdown, citations) {
+  const counts = {};
+
+  if (markdown.length > 0) counts.chat_gpt_text = 1;
+
+  const images = markdown.match(IMAGE_PATTERN) || [];
+  if (images.length > 0) counts.chat_gpt_images = images.length;
+
+  // At least header + separator + data row
+  if ((markdown.match(TABLE_ROW_PATTERN) || []).length > 2) {
+    counts.chat_gpt_table = 1;
+  }
+
+  if (citations.length > 3) counts.chat_gpt_navigation_list = 1;
+
+  return counts;
+}
+
+function normalize(raw) {
+  const parts = outputTexts(raw);
+  const markdown = parts.map((part) => part.text || "").join("\n\n");
+  const citations = normalizeCitations(parts);
+  const itemCounts = countItems(markdown, citations);
+  const webSearchCalls = asArray(raw.output).filter(
+    (item) => item.type === "web_search_call"
+  );
+
+  return {
+    provider: "openai",
+    engine: "chatgpt",
+    // The request metadata carries the tracking id; prompts can exceed its limits
+    prompt: null,
+    promptId: raw.metadata?.tracking_id || null,
+    text: markdown,
+    markdown,
+    citations,
+    links: [],
+    products: [],
+    localBusinesses: [],
+    itemTypes: Object.keys(itemCounts),
+    itemCounts,
+    webSearch: webSearchCalls.length > 0 || citations.length > 0,
+    location: {
+      country: raw.metadata?.country || null,
+      locationCode: null,
+      languageCode: null,
+    },
+  };
+}
+
+module.exports = { name: "openai", normalize };
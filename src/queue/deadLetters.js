@@ -0,0 +1,368 @@
+// queue/deadLetters.js
+// Poison message handling for every queue backend. Each failed delivery of a
+// message (nack or a throwing handler) is recorded in dead_letters with its
+// error; once QUEUE_MAX_DELIVERY_ATTEMPTS deliveries failed, the message is
+// acked and its row marked dead instead of being redelivered forever. Dead
+// letters are listed, replayed or discarded through /api/admin/dead-letters.
+const { supabase, queue: settings } = require("../config");
+const { createLogger, redact } = require("../utils/logger");
+const { deadLettered } = require("../utils/metrics");
+
+const TABLE = "dead_letters";
+const DEAD_LETTER_STATUSES = ["retrying", "dead", "replayed", "discarded"];
+// Errors kept per message, newest last
+const MAX_ERRORS = 20;
+
+const log = createLogger("dead-letters");
+// subscription:messageId of messages whose failures this process recorded
+const failedHere = new Set();
+
+/** Parsed batch payload of a stored message, or null when it is not JSON */
+function parsePayload(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record a failed delivery. Resolves to true when the message reached the
+ * attempt limit and was dead-lettered: the caller must ack it then.
+ */
+async function recordFailedDelivery(message, subscription, err) {
+  const { data: existing, error: fetchError } = await supabase
+    .from(TABLE)
+    .select("id, delivery_attempts, errors, first_failed_at")
+    .eq("subscription", subscription)
+    .eq("message_id", message.id)
+    .maybeSingle();
+  if (fetchError) {
+    throw new Error(`Failed to load dead letter: ${fetchError.message}`);
+  }
+
+  // Counted here rather than from deliveryAttempt: Pub/Sub only numbers
+  // deliveries with a dead-letter policy, and counts deferred ones too
+  const attempts = (existing?.delivery_attempts || 0) + 1;
+  const now = new Date().toISOString();
+  const errors = [
+    ...(existing?.errors || []),
+    { attempt: attempts, error: err?.message || String(err), at: now },
+  ].slice(-MAX_ERRORS);
+  const dead = attempts >= settings.maxDeliveryAttempts;
+
+  const data = message.data.toString();
+  const payload = parsePayload(data);
+  const { data: row, error } = await supabase
+    .from(TABLE)
+    .upsert(
+      {
+        subscription,
+        topic: settings.subscriptions[subscription] || null,
+        message_id: message.id,
+        data,
+        attributes: message.attributes || {},
+        delivery_attempts: attempts,
+        errors,
+        status: dead ? "dead" : "retrying",
+        job_batch_id: payload?.jobBatchId || null,
+        user_id: payload?.user_id || null,
+        first_failed_at: existing?.first_failed_at || now,
+        last_failed_at: now,
+        dead_at: dead ? now : null,
+      },
+      { onConflict: "subscription,message_id" }
+    )
+    .select("id")
+    .single();
+  if (error) throw new Error(`Failed to record dead letter: ${error.message}`);
+  failedHere.add(`${subscription}:${message.id}`);
+
+  if (dead) {
+    failedHere.delete(`${subscription}:${message.id}`);
+    await failJobBatch(row.id, payload, err);
+    await markTrackingResults(row.id, payload, errors.at(-1).error);
+    deadLettered.inc({ subscription });
+    log.error("Message dead-lettered", {
+      subscription,
+      messageId: message.id,
+      deadLetterId: row.id,
+      attempts,
+      err,
+    });
+  }
+  return dead;
+}
+
+/**
+ * Whether a handled message can have a retrying row: it was delivered before
+ * or failed in this process. Pub/Sub leaves deliveryAttempt unset on
+ * subscriptions without a dead-letter policy.
+ */
+function mayHaveFailed(message, subscription) {
+  return (
+    message.deliveryAttempt > 1 ||
+    failedHere.delete(`${subscription}:${message.id}`)
+  );
+}
+
+/** Forget the failures of a message that was finally handled */
+async function clearFailedDeliveries(message, subscription) {
+  const { error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq("subscription", subscription)
+    .eq("message_id", message.id)
+    .eq("status", "retrying");
+  if (error) {
+    log.warn("Could not clear failed deliveries", {
+      subscription,
+      messageId: message.id,
+      err: error,
+    });
+  }
+}
+
+/**
+ * Count a dead-lettered batch as failed, finishing its job when it was the
+ * last batch, and remember whether it was counted so a replay only undoes
+ * what was done here. Nightly batches have no job.
+ */
+async function failJobBatch(deadLetterId, payload, err) {
+  if (!payload?.jobBatchId || payload.isNightly) return;
+
+  // Required here: it loads the queue, which loads this module
+  const { handleBatchFailure } = require("../service/snapshotResults");
+  const counted = await handleBatchFailure(
+    payload,
+    err instanceof Error ? err : new Error(String(err))
+  );
+  if (!counted) return;
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ counted_failed_batch: true })
+    .eq("id", deadLetterId);
+  if (error) {
+    log.error("Could not record failed batch of dead letter", {
+      deadLetterId,
+      err: error,
+    });
+  }
+}
+
+/**
+ * Fail the tracking rows of a dead-lettered batch and link them to it.
+ * Nightly batches have no tracking rows yet.
+ */
+async function markTrackingResults(deadLetterId, payload, lastError) {
+  if (!payload || payload.isNightly) return;
+
+  const trackingIds = (payload.prompts || [])
+    .map((prompt) => prompt.trackingId)
+    .filter(Boolean);
+  let query = supabase
+    .from("tracking_results")
+    .update({
+      status: "failed",
+      dead_letter_id: deadLetterId,
+      response: JSON.stringify({
+        error: lastError,
+        dead_letter_id: deadLetterId,
+      }),
+    })
+    .neq("status", "fulfilled");
+  if (trackingIds.length > 0) {
+    query = query.in("id", trackingIds);
+  } else if (payload.jobBatchId && payload.batchNumber !== undefined) {
+    query = query
+      .eq("job_batch_id", payload.jobBatchId)
+      .eq("batch_number", payload.batchNumber);
+  } else {
+    return;
+  }
+
+  const { error } = await query;
+  if (error) {
+    log.error("Could not mark tracking results of dead letter", {
+      deadLetterId,
+      err: error,
+    });
+  }
+}
+
+/**
+ * Wrap a received message so nack(err) counts towards the dead-letter limit
+ * and a successful ack clears earlier failures.
+ */
+function trackDeliveries(message, subscription) {
+  return {
+    id: message.id,
+    data: message.data,
+    attributes: message.attributes || {},
+    deliveryAttempt: message.deliveryAttempt,
+    publishTime: message.publishTime,
+    ack() {
+      message.ack();
+      if (mayHaveFailed(message, subscription)) {
+        clearFailedDeliveries(message, subscription);
+      }
+    },
+    // Hand the message back without counting a failure (fair scheduling)
+    defer(delayMs) {
+      message.defer(delayMs);
+    },
+    nack(err) {
+      recordFailedDelivery(message, subscription, err)
+        .then((dead) => (dead ? message.ack() : message.nack()))
+        .catch((recordErr) => {
+          // Without the store the message is retried like before
+          log.error("Could not record failed delivery", {
+            subscription,
+            messageId: message.id,
+            err: recordErr,
+          });
+          message.nack();
+        });
+    },
+  };
+}
+
+/** Stored row as returned by the admin API, secrets in the payload masked */
+function toApi(row) {
+  const { data, ...rest } = row;
+  const payload = parsePayload(data);
+  return { ...redact(rest), payload: redact(payload || data) };
+}
+
+async function listDeadLetters({ status, limit }) {
+  let query = supabase
+    .from(TABLE)
+    .select("*")
+    .order("last_failed_at", { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq("status", status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to fetch dead letters: ${error.message}`);
+  return (data || []).map(toApi);
+}
+
+async function getDeadLetter(id) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch dead letter: ${error.message}`);
+  return data;
+}
+
+/** Move a dead letter to `status` unless someone resolved it meanwhile */
+async function resolveDeadLetter(id, status, userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({
+      status,
+      resolved_at: new Date().toISOString(),
+      resolved_by: userId,
+    })
+    .eq("id", id)
+    .eq("status", "dead")
+    .select("*")
+    .maybeSingle();
+  if (error) throw new Error(`Failed to update dead letter: ${error.message}`);
+  return data;
+}
+
+/**
+ * Publish a dead letter again as a new message. Its tracking rows go back to
+ * pending and, when dead-lettering counted the batch failed, the job is
+ * reopened for it.
+ * Returns the updated row, or null when it is not (or no longer) dead.
+ */
+async function replayDeadLetter(id, userId) {
+  const row = await resolveDeadLetter(id, "replayed", userId);
+  if (!row) return null;
+
+  try {
+    // Required here: the queue backends load this module
+    const queue = require(".");
+    await queue.publish(row.topic, row.data, row.attributes || {});
+  } catch (err) {
+    await supabase
+      .from(TABLE)
+      .update({ status: "dead", resolved_at: null, resolved_by: null })
+      .eq("id", id);
+    throw err;
+  }
+
+  const { error: trackingError } = await supabase
+    .from("tracking_results")
+    .update({
+      status: "pending",
+      snapshot_id: null,
+      response: null,
+      dead_letter_id: null,
+      timestamp: Date.now(),
+    })
+    .eq("dead_letter_id", id);
+  if (trackingError) {
+    log.error("Could not reset tracking results of replayed dead letter", {
+      deadLetterId: id,
+      err: trackingError,
+    });
+  }
+
+  if (row.counted_failed_batch) await reopenJobBatch(row.job_batch_id);
+  log.info("Dead letter replayed", { deadLetterId: id, userId });
+  return toApi(row);
+}
+
+/** The batch was counted failed when it was dead-lettered; count it open again */
+async function reopenJobBatch(jobBatchId) {
+  const { data: job, error } = await supabase
+    .from("job_batches")
+    .select("status, failed_batches")
+    .eq("id", jobBatchId)
+    .maybeSingle();
+  if (error || !job || job.status === "cancelled" || !job.failed_batches) {
+    return;
+  }
+
+  const { error: updateError } = await supabase
+    .from("job_batches")
+    .update({
+      status: "processing",
+      failed_batches: job.failed_batches - 1,
+      completed_at: null,
+      error_message: null,
+    })
+    .eq("id", jobBatchId);
+  if (updateError) {
+    log.error("Could not reopen job batch of replayed dead letter", {
+      jobBatchId,
+      err: updateError,
+    });
+  }
+}
+
+/**
+ * Give up on a dead letter; its tracking rows stay failed.
+ * Returns the updated row, or null when it is not (or no longer) dead.
+ */
+async function discardDeadLetter(id, userId) {
+  const row = await resolveDeadLetter(id, "discarded", userId);
+  if (row) log.info("Dead letter discarded", { deadLetterId: id, userId });
+  return row && toApi(row);
+}
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+  trackDeliveries,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+  toApi,
+};
@@ -0,0 +1,34 @@
+// queue/handler.js
+// Runs a subscriber's handler on a received message, whatever the backend.
+const { trackDeliveries } = require("./deadLetters");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("queue");
+
+/**
+ * Call `handler` with `message`. A handler that throws or rejects without
+ * settling the message gets it nacked, so it is delivered again. Failed
+ * deliveries count towards the dead-letter limit (queue/deadLetters.js).
+ */
+function runHandler(handler, received, subscriptionName) {
+  const message = trackDeliveries(received, subscriptionName);
+  Promise.resolve()
+    .then(() => handler(message))
+    .catch((err) => {
+      log.error("Queue handler failed", {
+        subscription: subscriptionName,
+        messageId: message.id,
+        err,
+      });
+      message.nack(err);
+    });
+}
+
+/** Subscriptions that receive a copy of every message published to `topicName` */
+function subscriptionsOf(subscriptionTopics, topicName) {
+  return Object.keys(subscriptionTopics).filter(
+    (name) => subscriptionTopics[name] === topicName
+  );
+}
+
+module.exports = { runHandler, subscriptionsOf };
@@ -0,0 +1,52 @@
+// queue/index.js
+// Queue between the API / nightly and the workers, picked by QUEUE_BACKEND:
+//
+// - pubsub (default): Google Pub/Sub
+// - memory: in-process, when the server and the workers share one process
+//   (default with MOCK_PROVIDERS=true)
+// - postgres: the queue_messages table in Supabase (FOR UPDATE SKIP LOCKED)
+//
+// Workers subscribe through queue/lanes.js, which runs interactive batches
+// ahead of nightly ones.
+//
+// Every backend delivers the same message shape with at-least-once semantics:
+// an unacked or nacked message is delivered again, later, with a higher
+// deliveryAttempt, until it is dead-lettered (queue/deadLetters.js). Handlers
+// must therefore be safe to run twice.
+const { queue: settings } = require("../config");
+
+/**
+ * @typedef {Object} QueueMessage
+ * @property {string} id
+ * @property {Buffer} data
+ * @property {Object<string, string>} attributes
+ * @property {number|undefined} deliveryAttempt  1 on the first delivery
+ *   (Pub/Sub only reports it on subscriptions with a dead-letter policy)
+ * @property {Date} publishTime
+ * @property {() => void} ack   Done with the message
+ * @property {(err?: Error) => void} nack  Deliver it again after the retry
+ *   delay, or dead-letter it after QUEUE_MAX_DELIVERY_ATTEMPTS failures
+ * @property {(delayMs: number) => void} defer  Deliver it again later without
+ *   counting a failed delivery
+ */
+
+// Required lazily so a backend's dependencies only load when it is used
+const BACKENDS = {
+  pubsub: () => require("./pubsub").createPubSubQueue,
+  memory: () => require("./memory").createMemoryQueue,
+  postgres: () => require("./postgres").createPostgresQueue,
+};
+
+/**
+ * `subscribe(...).close()` stops receiving messages and resolves once the
+ * messages already delivered are settled, so they can still be acked while a
+ * worker drains.
+ *
+ * @type {{
+ *   backend: string,
+ *   publish: (topicName: string, data: Buffer|string, attributes?: Object<string, string>) => Promise<string>,
+ *   subscribe: (subscriptionName: string, handler: (message: QueueMessage) => void|Promise<void>, options?: { maxMessages?: number }) => { close: () => Promise<void> },
+ *   check: (topicNames: string[]) => Promise<Object>,
+ * }}
+ */
+module.exports = BACKENDS[settings.backend]()(settings);
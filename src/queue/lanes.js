@@ -0,0 +1,222 @@
+// queue/lanes.js
+// Priority lanes and fair scheduling of the batches a worker receives.
+//
+// Interactive batches (/enqueue, job retries) and nightly refresh batches
+// travel on separate topics; a worker subscribes to both and runs at most
+// WORKER_CONCURRENCY batches at once. A free slot always goes to a waiting
+// interactive batch first, and nightly batches never take the last
+// WORKER_RESERVED_INTERACTIVE_SLOTS, so a user's job starts right away even
+// while a nightly refresh is being worked through.
+//
+// Inside a lane, users take turns (round-robin) and no user or project has
+// more batches in flight than its plan allows (utils/plans.js). A user's
+// batches beyond what can run soon are deferred back to the queue, so one
+// large account cannot fill the worker and starve everyone else.
+//
+// On shutdown, close() stops taking batches, hands waiting ones back to the
+// queue and gives running ones until a deadline (utils/shutdown.js).
+const queue = require(".");
+const { lanes: settings, fairness } = require("../config");
+const { limitsFor } = require("../utils/plans");
+const { createLogger } = require("../utils/logger");
+
+const LANES = { interactive: "interactive", nightly: "nightly" };
+
+const log = createLogger("lanes");
+
+/** Lane of a batch payload */
+function laneOf(payload) {
+  return payload?.isNightly ? LANES.nightly : LANES.interactive;
+}
+
+/** Scheduling attributes of a batch payload, sent along with its message */
+function schedulingAttributes(payload) {
+  const attributes = { lane: laneOf(payload) };
+  if (payload.plan) attributes.plan = payload.plan;
+  const projectId = payload.prompts?.[0]?.projectId;
+  if (projectId) attributes.projectId = String(projectId);
+  return attributes;
+}
+
+/**
+ * Lane, owner and plan of a received message. Messages queued before these
+ * attributes existed are read from their payload.
+ */
+function describe(message) {
+  let attributes = message.attributes || {};
+  if (!LANES[attributes.lane]) {
+    try {
+      const payload = JSON.parse(message.data.toString());
+      attributes = {
+        ...schedulingAttributes(payload),
+        userId: payload.user_id,
+        ...attributes,
+      };
+    } catch {
+      attributes = { lane: LANES.interactive, ...attributes };
+    }
+  }
+  return {
+    lane: LANES[attributes.lane] || LANES.interactive,
+    userId: attributes.userId || "unknown",
+    projectId: attributes.projectId || null,
+    limits: limitsFor(attributes.plan),
+  };
+}
+
+const increment = (counts, key, by) => {
+  const count = (counts.get(key) || 0) + by;
+  if (count > 0) counts.set(key, count);
+  else counts.delete(key);
+};
+
+/**
+ * Subscribe `handler` to the interactive and nightly subscriptions of one
+ * service. `nightly` may be missing or the same as `interactive` when nightly
+ * batches share the interactive topic; they are still run last.
+ *
+ * @returns {{ close: (options?: { timeoutMs?: number }) => Promise<void> }}
+ */
+function subscribeLanes({ interactive, nightly }, handler) {
+  const { concurrency, reservedInteractive } = settings;
+  const nightlySlots = concurrency - reservedInteractive;
+  // lane → user → waiting entries; a Map keeps users in turn order
+  const waiting = { interactive: new Map(), nightly: new Map() };
+  const waitingByUser = new Map();
+  const runningByUser = new Map();
+  const runningByProject = new Map();
+  const running = new Set();
+  let closing = false;
+
+  function canStart({ info }) {
+    return (
+      (runningByUser.get(info.userId) || 0) < info.limits.user &&
+      (!info.projectId ||
+        (runningByProject.get(info.projectId) || 0) < info.limits.project)
+    );
+  }
+
+  /** Next batch of a lane: the first user in turn with a batch allowed to start */
+  function next(lane) {
+    const users = waiting[lane];
+    for (const [userId, entries] of users) {
+      const index = entries.findIndex(canStart);
+      if (index === -1) continue;
+
+      const [entry] = entries.splice(index, 1);
+      // The user moves to the back of the line
+      users.delete(userId);
+      if (entries.length > 0) users.set(userId, entries);
+      increment(waitingByUser, userId, -1);
+      return entry;
+    }
+    return null;
+  }
+
+  function start(entry) {
+    const { message, info, resolve, reject } = entry;
+    running.add(entry);
+    increment(runningByUser, info.userId, 1);
+    if (info.projectId) increment(runningByProject, info.projectId, 1);
+
+    entry.done = Promise.resolve()
+      .then(() => handler(message))
+      .then(resolve, reject)
+      .finally(() => {
+        running.delete(entry);
+        increment(runningByUser, info.userId, -1);
+        if (info.projectId) increment(runningByProject, info.projectId, -1);
+        pump();
+      });
+  }
+
+  /** Give a batch back to the queue, without counting a failed delivery */
+  function handBack({ message, resolve }) {
+    message.defer(0);
+    resolve();
+  }
+
+  function pump() {
+    while (!closing && running.size < concurrency) {
+      const entry =
+        next(LANES.interactive) ||
+        (running.size < nightlySlots ? next(LANES.nightly) : null);
+      if (!entry) return;
+      start(entry);
+    }
+  }
+
+  // Settles once the batch was handled, so the backend sees handler errors
+  const onMessage = (message) =>
+    new Promise((resolve, reject) => {
+      if (closing) {
+        handBack({ message, resolve });
+        return;
+      }
+      const info = describe(message);
+
+      // Enough of this user's batches are already waiting here: let other
+      // worker instances or a later turn have it
+      if ((waitingByUser.get(info.userId) || 0) >= info.limits.user) {
+        log.debug("Deferring batch of busy user", {
+          userId: info.userId,
+          lane: info.lane,
+        });
+        message.defer(fairness.deferDelayMs);
+        resolve();
+        return;
+      }
+
+      const users = waiting[info.lane];
+      if (!users.has(info.userId)) users.set(info.userId, []);
+      users.get(info.userId).push({ message, info, resolve, reject });
+      increment(waitingByUser, info.userId, 1);
+      pump();
+    });
+
+  // Flow control: pull no more than can start soon, leaving the rest in the
+  // queue for other worker instances
+  const subscriptions = [
+    queue.subscribe(interactive, onMessage, { maxMessages: concurrency * 2 }),
+  ];
+  if (nightly && nightly !== interactive) {
+    subscriptions.push(
+      queue.subscribe(nightly, onMessage, { maxMessages: nightlySlots * 2 })
+    );
+  }
+
+  return {
+    /**
+     * Stop taking batches and hand the waiting ones back. Running batches get
+     * `timeoutMs` to finish; those still running are then handed back too and
+     * are delivered again, so their handlers must be able to resume.
+     */
+    async close({ timeoutMs = 0 } = {}) {
+      closing = true;
+      Object.values(waiting).forEach((users) => {
+        users.forEach((entries) => entries.forEach(handBack));
+        users.clear();
+      });
+      waitingByUser.clear();
+      const closed = Promise.all(
+        subscriptions.map((subscription) => subscription.close())
+      );
+
+      let timer;
+      await Promise.race([
+        Promise.all([...running].map((entry) => entry.done)),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, timeoutMs);
+        }),
+      ]);
+      clearTimeout(timer);
+      if (running.size > 0) {
+        log.warn(`Handing back ${running.size} unfinished batches`);
+        running.forEach(handBack);
+      }
+      await closed;
+    },
+  };
+}
+
+module.exports = { LANES, laneOf, schedulingAttributes, subscribeLanes };
@@ -0,0 +1,100 @@
+// queue/memory.js
+// In-process queue: publish() hands the message to every subscription of the
+// topic in the same Node process. Only useful when the server and the workers
+// run together (src/dev.js, a single-box deploy); messages are lost on restart.
+const crypto = require("crypto");
+const { runHandler, subscriptionsOf } = require("./handler");
+
+/**
+ * @param {Object} settings config.queue
+ * @param {Object<string, string>} settings.subscriptions subscription name → topic name
+ */
+function createMemoryQueue({
+  subscriptions: subscriptionTopics,
+  retryDelayMs,
+}) {
+  const handlers = new Map();
+  // Messages published before their subscription had a handler
+  const backlogs = new Map();
+
+  function deliver(subscriptionName, entry) {
+    const handler = handlers.get(subscriptionName);
+    if (!handler) {
+      if (!backlogs.has(subscriptionName)) backlogs.set(subscriptionName, []);
+      backlogs.get(subscriptionName).push(entry);
+      return;
+    }
+
+    const attempt = entry.attempts + 1;
+    let settled = false;
+    const message = {
+      id: entry.id,
+      data: entry.data,
+      attributes: entry.attributes,
+      deliveryAttempt: attempt,
+      publishTime: entry.publishTime,
+      ack: () => {
+        settled = true;
+      },
+      nack: () => {
+        if (settled) return;
+        settled = true;
+        setTimeout(
+          () => deliver(subscriptionName, { ...entry, attempts: attempt }),
+          retryDelayMs * attempt
+        );
+      },
+      defer: (delayMs) => {
+        if (settled) return;
+        settled = true;
+        setTimeout(() => deliver(subscriptionName, entry), delayMs);
+      },
+    };
+
+    runHandler(handler, message, subscriptionName);
+  }
+
+  return {
+    backend: "memory",
+
+    async publish(topicName, data, attributes = {}) {
+      // Same behaviour as Pub/Sub: each subscription gets its own copy
+      const targets = subscriptionsOf(subscriptionTopics, topicName);
+      if (targets.length === 0) {
+        throw new Error(`No subscription for topic "${topicName}"`);
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        data: Buffer.from(data),
+        attributes,
+        publishTime: new Date(),
+        attempts: 0,
+      };
+      targets.forEach((name) => setImmediate(() => deliver(name, entry)));
+      return entry.id;
+    },
+
+    subscribe(subscriptionName, handler) {
+      handlers.set(subscriptionName, handler);
+      setImmediate(() => {
+        (backlogs.get(subscriptionName) || [])
+          .splice(0)
+          .forEach((entry) => deliver(subscriptionName, entry));
+      });
+      return {
+        // Delivered messages settle in memory, nothing to wait for
+        async close() {
+          handlers.delete(subscriptionName);
+        },
+      };
+    },
+
+    // Nothing to reach
+    async check(topicNames) {
+      return { backend: "memory", topics: topicNames };
+    },
+  };
+}
+
+module.exports = { createMemoryQueue };
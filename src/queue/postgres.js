@@ -0,0 +1,202 @@
+// queue/postgres.js
+// Queue in the Supabase table queue_messages. Publishing inserts one row per
+// subscription of the topic. Consumers poll claim_queue_messages(), which
+// leases due rows with FOR UPDATE SKIP LOCKED so two worker instances never
+// get the same message. The lease is extended while the handler runs; when a
+// consumer dies it expires and the message is delivered again.
+const os = require("os");
+const { supabase } = require("../config");
+const { runHandler, subscriptionsOf } = require("./handler");
+const { createLogger } = require("../utils/logger");
+
+const TABLE = "queue_messages";
+const log = createLogger("queue");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} settings config.queue
+ */
+function createPostgresQueue({
+  subscriptions: subscriptionTopics,
+  retryDelayMs,
+  pollIntervalMs,
+  leaseMs,
+  maxInFlight,
+}) {
+  const consumer = `${os.hostname()}:${process.pid}`;
+
+  /** Update or delete a claimed row, unless it was delivered again since */
+  async function settleRow(row, change, action) {
+    const query =
+      change === null
+        ? supabase.from(TABLE).delete()
+        : supabase.from(TABLE).update(change);
+    const { error } = await query
+      .eq("id", row.id)
+      .eq("delivery_attempts", row.delivery_attempts);
+    if (error) {
+      log.error(`Could not ${action} message`, {
+        subscription: row.subscription,
+        messageId: row.id,
+        err: error,
+      });
+    }
+  }
+
+  function dispatch(row, handler, { inFlight, writes }) {
+    const attempt = row.delivery_attempts;
+    let settled = false;
+
+    inFlight.add(row.id);
+    const lease = setInterval(
+      () =>
+        settleRow(
+          row,
+          { leased_until: new Date(Date.now() + leaseMs).toISOString() },
+          "extend the lease of"
+        ),
+      leaseMs / 2
+    );
+
+    const settle = () => {
+      if (settled) return false;
+      settled = true;
+      clearInterval(lease);
+      inFlight.delete(row.id);
+      return true;
+    };
+    // close() waits for the final write of each message
+    const write = (change, action) => {
+      const done = settleRow(row, change, action);
+      writes.add(done);
+      done.finally(() => writes.delete(done));
+    };
+
+    const message = {
+      id: row.id,
+      data: Buffer.from(row.data),
+      attributes: row.attributes || {},
+      deliveryAttempt: attempt,
+      publishTime: new Date(row.published_at),
+      ack: () => {
+        if (settle()) write(null, "ack");
+      },
+      nack: () => {
+        if (!settle()) return;
+        write(
+          {
+            available_at: new Date(
+              Date.now() + retryDelayMs * attempt
+            ).toISOString(),
+            leased_until: null,
+            leased_by: null,
+          },
+          "nack"
+        );
+      },
+      defer: (delayMs) => {
+        if (!settle()) return;
+        write(
+          {
+            available_at: new Date(Date.now() + delayMs).toISOString(),
+            leased_until: null,
+            leased_by: null,
+            // Not a failed delivery
+            delivery_attempts: attempt - 1,
+          },
+          "defer"
+        );
+      },
+    };
+
+    runHandler(handler, message, row.subscription);
+  }
+
+  return {
+    backend: "postgres",
+
+    async publish(topicName, data, attributes = {}) {
+      const targets = subscriptionsOf(subscriptionTopics, topicName);
+      if (targets.length === 0) {
+        throw new Error(`No subscription for topic "${topicName}"`);
+      }
+
+      const { data: rows, error } = await supabase
+        .from(TABLE)
+        .insert(
+          targets.map((subscription) => ({
+            topic: topicName,
+            subscription,
+            data: Buffer.from(data).toString("utf8"),
+            attributes,
+          }))
+        )
+        .select("id");
+      if (error) {
+        throw new Error(`Failed to publish to ${topicName}: ${error.message}`);
+      }
+      return rows[0].id;
+    },
+
+    subscribe(subscriptionName, handler, { maxMessages = maxInFlight } = {}) {
+      const inFlight = new Set();
+      const writes = new Set();
+      let closed = false;
+      let timer = null;
+      let polling = null;
+
+      async function poll() {
+        if (closed) return;
+        const free = maxMessages - inFlight.size;
+        if (free > 0) {
+          try {
+            const { data: rows, error } = await supabase.rpc(
+              "claim_queue_messages",
+              {
+                p_subscription: subscriptionName,
+                p_consumer: consumer,
+                p_limit: free,
+                p_lease_seconds: Math.ceil(leaseMs / 1000),
+              }
+            );
+            if (error) throw new Error(error.message);
+            (rows || []).forEach((row) =>
+              dispatch(row, handler, { inFlight, writes })
+            );
+          } catch (err) {
+            log.error("Queue poll failed", {
+              subscription: subscriptionName,
+              err,
+            });
+          }
+        }
+        if (!closed) timer = setTimeout(schedulePoll, pollIntervalMs);
+      }
+      const schedulePoll = () => {
+        polling = poll();
+      };
+
+      setImmediate(schedulePoll);
+      return {
+        // Messages already handed out can still be settled
+        async close() {
+          closed = true;
+          clearTimeout(timer);
+          // A claim under way still hands out its rows
+          await polling;
+          while (inFlight.size > 0) await delay(100);
+          await Promise.allSettled(writes);
+        },
+      };
+    },
+
+    async check(topicNames) {
+      const { error } = await supabase.from(TABLE).select("id").limit(1);
+      if (error) throw new Error(error.message);
+      return { backend: "postgres", topics: topicNames };
+    },
+  };
+}
+
+module.exports = { createPostgresQueue };
@@ -0,0 +1,92 @@
+// queue/pubsub.js
+// Google Pub/Sub. Topics and subscriptions are created outside the app;
+// redelivery delay and attempts follow the subscription's retry and
+// dead-letter policies.
+const { PubSub } = require("@google-cloud/pubsub");
+const { runHandler } = require("./handler");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("queue");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createPubSubQueue({ projectId }) {
+  const pubsub = new PubSub({ projectId });
+
+  return {
+    backend: "pubsub",
+
+    publish(topicName, data, attributes = {}) {
+      return pubsub
+        .topic(topicName)
+        .publishMessage({ data: Buffer.from(data), attributes });
+    },
+
+    subscribe(subscriptionName, handler, { maxMessages } = {}) {
+      const subscription = pubsub.subscription(
+        subscriptionName,
+        maxMessages ? { flowControl: { maxMessages } } : {}
+      );
+      // Received and not settled yet; close() waits for them
+      const inFlight = new Set();
+      let closing = false;
+
+      subscription.on("message", (message) => {
+        // Pulled while draining: straight back to the queue
+        if (closing) {
+          message.nack();
+          return;
+        }
+
+        inFlight.add(message);
+        const settle = (action) => () => {
+          if (inFlight.delete(message)) message[action]();
+        };
+        runHandler(
+          handler,
+          {
+            id: message.id,
+            data: message.data,
+            attributes: message.attributes,
+            deliveryAttempt: message.deliveryAttempt,
+            publishTime: message.publishTime,
+            ack: settle("ack"),
+            nack: settle("nack"),
+            // Pub/Sub has no public per-message delay: the subscription's
+            // retry policy decides when a deferred message comes back
+            defer: settle("nack"),
+          },
+          subscriptionName
+        );
+      });
+      subscription.on("error", (err) =>
+        log.error("Subscription error", {
+          subscription: subscriptionName,
+          err,
+        })
+      );
+      return {
+        // Acks and nacks only reach Pub/Sub while the subscription is open
+        async close() {
+          closing = true;
+          while (inFlight.size > 0) await delay(100);
+          await subscription.close();
+        },
+      };
+    },
+
+    async check(topicNames) {
+      const missing = [];
+      for (const name of topicNames) {
+        const [exists] = await pubsub.topic(name).exists();
+        if (!exists) missing.push(name);
+      }
+      if (missing.length > 0) {
+        throw new Error(`Topic(s) not found: ${missing.join(", ")}`);
+      }
+      return { backend: "pubsub", topics: topicNames };
+    },
+  };
+}
+
+module.exports = { createPubSubQueue };
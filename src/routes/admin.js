@@ -0,0 +1,51 @@
+// routes/admin.js
+// Operator controls for provider routing, maintenance mode and dead-lettered
+// queue messages. Mounted behind requireAuth + requireAdmin; changes are
+// persisted so every process follows them.
+
+const express = require("express");
+const router = express.Router();
+const {
+  getRouting,
+  updateRouting,
+  updateMaintenance,
+  listPins,
+  setPin,
+  deletePin,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+} = require("../controllers/admin");
+
+// GET /api/admin/routing - Routing settings, pins and live service health
+router.get("/routing", getRouting);
+
+// PUT /api/admin/routing - Pin a provider, set weights or the health check order
+router.put("/routing", updateRouting);
+
+// PUT /api/admin/maintenance - Pause or resume enqueueing
+router.put("/maintenance", updateMaintenance);
+
+// GET /api/admin/pins - Users and projects pinned to a provider
+router.get("/pins", listPins);
+
+// PUT /api/admin/pins/:scope/:id - Pin a user or project to a provider
+router.put("/pins/:scope/:id", setPin);
+
+// DELETE /api/admin/pins/:scope/:id - Remove a pin
+router.delete("/pins/:scope/:id", deletePin);
+
+// GET /api/admin/dead-letters - Queue messages that kept failing
+router.get("/dead-letters", listDeadLetters);
+
+// GET /api/admin/dead-letters/:id - One dead letter with its error history
+router.get("/dead-letters/:id", getDeadLetter);
+
+// POST /api/admin/dead-letters/:id/replay - Publish a dead letter again
+router.post("/dead-letters/:id/replay", replayDeadLetter);
+
+// DELETE /api/admin/dead-letters/:id - Give up on a dead letter
+router.delete("/dead-letters/:id", discardDeadLetter);
+
+module.exports = router;
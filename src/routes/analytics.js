@@ -3,8 +3,13 @@
 const express = require("express");
 const router = express.Router();
 const { getUserAnalytics } = require("../controllers/analytics");
+const { requireSameUser } = require("../middleware/auth");
 
-// POST /api/analytics - Get user analytics
-router.get("/:userId", getUserAnalytics);
+// POST /api/analytics - Get user analytics (caller's own data only)
+router.get(
+  "/:userId",
+  requireSameUser((req) => req.params.userId),
+  getUserAnalytics
+);
 
 module.exports = router;
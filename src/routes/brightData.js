@@ -0,0 +1,143 @@
+// routes/brightData.js
+// Bright Data "snapshot ready" notifications (BRIGHTDATA_DELIVERY=webhook).
+// The worker triggers the snapshot with this URL as `notify` and acks its
+// Pub/Sub message; results are downloaded and processed here instead.
+
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const { bright, createOpenAI } = require("../config");
+const { isJobBatchCancelled } = require("../utils/jobBatches");
+const { resolveCredential } = require("../utils/credentials");
+const {
+  claimWebhookSnapshot,
+  finishSnapshot,
+} = require("../utils/brightDataSnapshots");
+const { downloadSnapshot } = require("../service/brightDataService");
+const {
+  processSnapshotResults,
+  handleBatchFailure,
+} = require("../service/snapshotResults");
+const { failoverBatch, isProviderFailure } = require("../service/failover");
+const { recordProviderOutcome } = require("../utils/circuitBreaker");
+const { countCallbacks } = require("../utils/metrics");
+const {
+  createLogger,
+  withLogContext,
+  batchLogContext,
+} = require("../utils/logger");
+
+const log = createLogger("brightdata-webhook");
+
+/**
+ * Bright Data echoes the `auth_header` given at trigger time as Authorization
+ */
+function isAuthorized(req) {
+  if (!bright.webhookSecret) return false;
+
+  const expected = Buffer.from(bright.webhookSecret);
+  const actual = Buffer.from(req.get("Authorization") || "");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Download and process a claimed snapshot, recording the outcome on its row.
+ * With `failure` the snapshot is not downloaded but failed over or failed.
+ * Shared by the webhook and the callback sweeper (lost notifications).
+ */
+async function processWebhookSnapshot(row, failure = null) {
+  const batch = { ...row.batch, snapshotID: row.snapshot_id };
+  const { isNightly = false, jobBatchId = null } = batch;
+  // Time from trigger to the ready notification
+  const latencyMs = Date.now() - new Date(row.created_at).getTime();
+
+  try {
+    if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+      log.info("Job cancelled, discarding snapshot");
+      await finishSnapshot(row.snapshot_id, "cancelled");
+      return;
+    }
+
+    if (failure) throw failure;
+
+    const results = await downloadSnapshot(row.snapshot_id);
+    if (results.length > 0) {
+      await recordProviderOutcome("brightdata", { success: true, latencyMs });
+    }
+    const openai = createOpenAI(await resolveCredential(batch.credentialId));
+
+    await processSnapshotResults({ ...batch, openai }, results);
+    await finishSnapshot(row.snapshot_id, "completed");
+  } catch (err) {
+    log.error("Error processing Bright Data snapshot", { err });
+
+    // A cancelled job keeps its cancelled state; nothing to fail or email
+    if (!isNightly && (await isJobBatchCancelled(jobBatchId))) {
+      await finishSnapshot(row.snapshot_id, "cancelled");
+      return;
+    }
+
+    if (isProviderFailure(err)) {
+      await recordProviderOutcome("brightdata", {
+        success: false,
+        latencyMs,
+        error: err.message,
+      });
+    }
+
+    // A failed or empty snapshot: let another provider answer the prompts
+    if (!(await failoverBatch(row.batch, err, "brightdata"))) {
+      await handleBatchFailure(batch, err);
+    }
+    await finishSnapshot(row.snapshot_id, "failed", err.message);
+  }
+}
+
+// POST /api/brightdata/webhook - Snapshot ready notification
+router.post("/webhook", countCallbacks("brightdata"), async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: "Invalid webhook authorization" });
+  }
+
+  const { snapshot_id: snapshotId, status } = req.body || {};
+  if (!snapshotId) {
+    return res.status(400).json({ error: "snapshot_id is required" });
+  }
+
+  try {
+    const row = await claimWebhookSnapshot(snapshotId);
+    if (!row) {
+      // Unknown snapshot or a repeated notification
+      res.locals.callbackOutcome = "ignored";
+      return res
+        .status(200)
+        .json({ status: "ignored", snapshot_id: snapshotId });
+    }
+
+    // Answer right away; analysing a batch takes longer than Bright Data waits
+    res.status(202).json({ status: "accepted", snapshot_id: snapshotId });
+    const failure =
+      status && status !== "ready"
+        ? new Error(
+            `Bright Data snapshot failed: notification reported ${status}`
+          )
+        : null;
+    // The batch carries the correlation fields of the job that triggered it
+    withLogContext(
+      { ...batchLogContext({}, row.batch), taskId: snapshotId },
+      () => processWebhookSnapshot(row, failure)
+    );
+  } catch (error) {
+    log.error("Bright Data webhook error", { snapshotId, err: error });
+    res.status(500).json({
+      error: "Failed to handle notification",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.processWebhookSnapshot = processWebhookSnapshot;
@@ -0,0 +1,80 @@
+// routes/credentials.js
+// Lets the dashboard save the user's OpenAI key into the encrypted store
+// instead of keeping it in plaintext in user_settings.
+
+const express = require("express");
+const router = express.Router();
+const {
+  storeCredential,
+  clearLegacyOpenAIKey,
+  listCredentials,
+  countJobsUsingCredentials,
+  deleteCredential,
+} = require("../utils/credentials");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("credentials-api");
+
+// GET /api/credentials - Stored credentials (hints only, never the secret)
+router.get("/", async (req, res) => {
+  try {
+    res.json({ credentials: await listCredentials(req.user.id) });
+  } catch (error) {
+    log.error("Credentials API Error", { err: error });
+    res.status(500).json({
+      error: "Failed to fetch credentials",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /api/credentials/openai - Encrypt and store the user's OpenAI key
+router.put("/openai", async (req, res) => {
+  const { openaiKey } = req.body || {};
+  if (!openaiKey || typeof openaiKey !== "string") {
+    return res.status(400).json({ error: "openaiKey is required" });
+  }
+
+  try {
+    const credentialId = await storeCredential(
+      req.user.id,
+      "openai",
+      openaiKey.trim()
+    );
+
+    await clearLegacyOpenAIKey(req.user.id);
+
+    res.json({ status: "stored", provider: "openai", credentialId });
+  } catch (error) {
+    log.error("Credentials API Error", { err: error });
+    res.status(500).json({
+      error: "Failed to store credential",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /api/credentials/openai - Forget the user's OpenAI key
+router.delete("/openai", async (req, res) => {
+  try {
+    // Queued batches resolve the key when they run
+    const runningJobs = await countJobsUsingCredentials(req.user.id, "openai");
+    if (runningJobs > 0) {
+      return res.status(409).json({
+        error: "The OpenAI key is still used by running jobs",
+        runningJobs,
+      });
+    }
+
+    await deleteCredential(req.user.id, "openai");
+    res.json({ status: "deleted", provider: "openai" });
+  } catch (error) {
+    log.error("Credentials API Error", { err: error });
+    res.status(500).json({
+      error: "Failed to delete credential",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
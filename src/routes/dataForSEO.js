@@ -1,18 +1,29 @@
 const express = require("express");
-const { supabase, createOpenAI } = require("../config");
+const { supabase, createOpenAI, dataForSeo } = require("../config");
 const {
   countBrandMatches,
   countDomainMatches,
   analyzeSentimentAndSalience,
 } = require("../utils/analysis");
 const { getBatchPromptAIVolume } = require("../utils/dataForSeoService");
-const nodemailer = require("nodemailer");
-const mgTransport = require("nodemailer-mailgun-transport");
 const { sanitizeText } = require("../utils/textSanitizer");
 const { retryWithBackoff } = require("../utils/apiHelpers");
 const { EnhancedAnalyzer } = require("../utils/EnhancedAnalyzer");
+const { normalizeAnswer } = require("../providers");
+const { isJobBatchCancelled } = require("../utils/jobBatches");
+const { createMailTransport } = require("../utils/mailer");
+const { getUserCredential } = require("../utils/credentials");
+const { recordProviderOutcome } = require("../utils/circuitBreaker");
+const { countCallbacks } = require("../utils/metrics");
+const { createLogger, withLogContext } = require("../utils/logger");
+const {
+  verifyPostbackToken,
+  consumePostbackNonce,
+  releasePostbackNonce,
+} = require("../utils/postbackToken");
 
 const router = express.Router();
+const log = createLogger("dataforseo-callback");
 const {
   cleanDomain,
   extractDomainFromUrl,
@@ -23,54 +34,10 @@ const {
 // ───────────── CONFIGURATION ─────────────
 
 // ───────────── SMTP via Mailgun transport ─────────────
-const transporter = nodemailer.createTransport(
-  mgTransport({
-    auth: {
-      api_key: process.env.MG_API_KEY,
-      domain: process.env.MG_DOMAIN,
-    },
-  })
-);
+const transporter = createMailTransport();
 
 // ───────────── UTILITY FUNCTIONS ─────────────
 
-/**
- * Extract citations from DataForSEO response
- */
-function extractCitations(dataForSeoResponse) {
-  const citations = [];
-
-  // Extract from sources
-  if (dataForSeoResponse?.tasks[0]?.result[0]?.sources) {
-    dataForSeoResponse.tasks[0].result[0].sources.forEach((source) => {
-      if (source.url) {
-        citations.push({
-          url: source.url,
-          title: source.title || "",
-          domain: source.domain || "",
-          snippet: source.snippet || "",
-        });
-      }
-    });
-  }
-
-  // Extract from search results
-  if (dataForSeoResponse.result?.[0]?.search_results) {
-    dataForSeoResponse.result[0].search_results.forEach((result) => {
-      if (result.url) {
-        citations.push({
-          url: result.url,
-          title: result.title || "",
-          domain: result.domain || "",
-          snippet: result.description || "",
-        });
-      }
-    });
-  }
-
-  return citations;
-}
-
 /**
  * Format citations for database storage (only title, domain, and url)
  */
@@ -90,7 +57,7 @@ function extractQueryParameters(req) {
 
     return { userId, openaiModel, isNightly, promptId, projectId };
   } catch (error) {
-    console.warn("[DataForSEO] Failed to parse query parameters:", error.message);
+    log.warn("Failed to parse query parameters", { err: error });
     return {
       userId: null,
       openaiModel: "gpt-4",
@@ -102,76 +69,77 @@ function extractQueryParameters(req) {
 }
 
 /**
- * Fetch OpenAI key for user
+ * Authenticate a postback and return its parameters.
+ * Parameters come from the signed token, never from plain query params
+ * (unless unsigned postbacks are explicitly allowed during a rollout).
  */
-async function fetchUserOpenAIKey(userId) {
-  if (!userId) {
-    console.warn("[DataForSEO] No user_id provided in callback URL");
-    return null;
+async function authenticatePostback(req, res, task) {
+  const token = req.query.token;
+
+  if (!token && dataForSeo.allowUnsignedPostbacks) {
+    log.warn(`Accepting unsigned postback for task ${task.id}`);
+    return extractQueryParameters(req);
   }
 
-  try {
-    const { data: userSettings, error } = await supabase
-      .from("user_settings")
-      .select("openai_key")
-      .eq("user_id", userId)
-      .single();
+  const rejection = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
 
-    if (error) {
-      console.error(`[DataForSEO] Error fetching user settings for user ${userId}:`, error.message);
-      return null;
-    }
+  let claims;
+  try {
+    claims = verifyPostbackToken(token);
+  } catch (error) {
+    throw rejection(error.message, 401);
+  }
 
-    if (!userSettings?.openai_key) {
-      console.warn(`[DataForSEO] No OpenAI key found for user ${userId}`);
-      return null;
-    }
+  // The nonce was sent as the task tag: the token must belong to this task
+  if (!claims.nonce || task.data?.tag !== claims.nonce) {
+    throw rejection("Postback token does not belong to this task", 401);
+  }
 
-    return userSettings.openai_key;
-  } catch (error) {
-    console.error(`[DataForSEO] Unexpected error fetching OpenAI key for user ${userId}:`, error.message);
-    return null;
+  if (!(await consumePostbackNonce(claims.nonce, task.id))) {
+    throw rejection("Postback already processed", 409);
   }
+
+  // Let DataForSEO redeliver if we fail to process this one
+  res.on("finish", () => {
+    if (res.statusCode >= 500) releasePostbackNonce(claims.nonce);
+  });
+
+  return {
+    userId: claims.userId,
+    openaiModel: claims.openaiModel || "gpt-4",
+    isNightly: claims.isNightly === true,
+    promptId: claims.promptId,
+    projectId: claims.projectId,
+    trackingId: claims.trackingId,
+    correlationId: claims.correlationId,
+  };
 }
 
 /**
- * Extract user country from task data
+ * Fetch OpenAI key for user from the encrypted credential store
  */
-function extractUserCountry(task) {
-  try {
-    if (task.data?.location_name) {
-      return task.data.location_name;
-    }
-    return null;
-  } catch (error) {
-    console.warn("[DataForSEO] Failed to extract userCountry:", error.message);
+async function fetchUserOpenAIKey(userId) {
+  if (!userId) {
+    log.warn("No user_id provided in callback URL");
     return null;
   }
-}
 
-/**
- * Detect if actual web search occurred from DataForSEO response
- * This checks the actual response data, not just the requested flag from the checkbox.
- * The presence of sources or search_results indicates the AI performed web retrieval.
- */
-function detectActualWebSearch(dataForSeoResponse) {
   try {
-    const task = dataForSeoResponse.tasks?.[0];
-    // Check if user requested a forced web search; treated as actual retrieval
-    // const forceRequested = Boolean(task?.data?.force_web_search);
-    const result = task?.result?.[0];
-    if (!result && !forceRequested) {
-      return false;
+    const credential = await getUserCredential(userId, "openai");
+
+    if (!credential) {
+      log.warn(`No OpenAI key found for user ${userId}`);
+      return null;
     }
-    // Check if sources/citations exist (indicates web retrieval occurred)
-    const hasSources = Array.isArray(result?.sources) && result.sources.length > 0;
-    const hasSearchResults = Array.isArray(result?.search_results) && result.search_results.length > 0;
-    // Determine if web search occurred
-    const occurred = hasSources || hasSearchResults;
-    return Boolean(occurred);
+
+    return credential.secret;
   } catch (error) {
-    console.warn("[DataForSEO] Failed to detect actual web search:", error.message);
-    return false;
+    log.error(`Unexpected error fetching OpenAI key for user ${userId}`, { err: error });
+    return null;
   }
 }
 
@@ -201,7 +169,7 @@ async function performSentimentAnalysis(
 ) {
   if (!shouldAnalyze || !openaiKey) {
     if (shouldAnalyze && !openaiKey) {
-      console.warn(`[DataForSEO] Brand mentioned but no OpenAI key available for sentiment analysis (task: ${taskId})`);
+      log.warn(`Brand mentioned but no OpenAI key available for sentiment analysis (task: ${taskId})`);
     }
     return { sentiment: 0, salience: 0 };
   }
@@ -225,7 +193,7 @@ async function performSentimentAnalysis(
       salience: analysisResult.salience,
     };
   } catch (error) {
-    console.error(`[DataForSEO] Analysis failed for task ${taskId}:`, error.message);
+    log.error(`Analysis failed for task ${taskId}`, { err: error });
     return { sentiment: 0, salience: 0 };
   }
 }
@@ -243,7 +211,7 @@ async function fetchAIVolumeData(promptText, taskId) {
     }
     return null;
   } catch (error) {
-    console.warn(`[DataForSEO] AI volume fetch failed for task ${taskId}:`, error.message);
+    log.warn(`AI volume fetch failed for task ${taskId}`, { err: error });
     return null;
   }
 }
@@ -303,7 +271,7 @@ async function handleJobBatchProgress(trackingResult) {
       }
     }
   } catch (error) {
-    console.error("[DataForSEO] Error updating job batch progress:", error.message);
+    log.error("Error updating job batch progress", { err: error });
   }
 }
 
@@ -355,7 +323,7 @@ async function handleFailedJobBatch(trackingResult, task) {
       }
     }
   } catch (error) {
-    console.error("[DataForSEO] Error updating job batch failure:", error.message);
+    log.error("Error updating job batch failure", { err: error });
   }
 }
 
@@ -384,7 +352,7 @@ async function sendCompletionEmail(email, trackingResult) {
       "h:X-Mailgun-Variables": JSON.stringify(templateVars),
     });
   } catch (error) {
-    console.error("[DataForSEO] Error sending completion email:", error.message);
+    log.error("Error sending completion email", { err: error });
   }
 }
 
@@ -396,7 +364,7 @@ async function sendCompletionEmail(email, trackingResult) {
  */
 async function handleTrackingResultError(error, trackingResult) {
   if (!trackingResult) {
-    console.warn("[DataForSEO] Cannot handle error: missing trackingResult");
+    log.warn("Cannot handle error: missing trackingResult");
     return;
   }
 
@@ -417,10 +385,10 @@ async function handleTrackingResultError(error, trackingResult) {
       .eq("id", trackingResult.id);
 
     if (updateError) {
-      console.error(`[DataForSEO] Error updating tracking result ${trackingResult.id} to failed state:`, updateError.message);
+      log.error(`Error updating tracking result ${trackingResult.id} to failed state`, { err: updateError });
     }
   } catch (handleError) {
-    console.error(`[DataForSEO] Error in handleTrackingResultError for tracking result ${trackingResult.id}:`, handleError.message);
+    log.error(`Error in handleTrackingResultError for tracking result ${trackingResult.id}`, { err: handleError });
   }
 }
 
@@ -430,7 +398,7 @@ async function handleTrackingResultError(error, trackingResult) {
  */
 async function handleDatabaseUpdateError(updateError, trackingResult) {
   if (!trackingResult) {
-    console.warn("[DataForSEO] Cannot handle database update error: missing trackingResult");
+    log.warn("Cannot handle database update error: missing trackingResult");
     return;
   }
 
@@ -452,12 +420,12 @@ async function handleDatabaseUpdateError(updateError, trackingResult) {
       .eq("id", trackingResult.id);
 
     if (fallbackError) {
-      console.error(`[DataForSEO] CRITICAL: Failed to update tracking result ${trackingResult.id} to failed state even with fallback:`, fallbackError.message);
+      log.error(`CRITICAL: Failed to update tracking result ${trackingResult.id} to failed state even with fallback`, { err: fallbackError });
       // At this point, we've exhausted all options to update the record
       // The tracking result may remain in processing state, but we've logged the issue
     }
   } catch (criticalError) {
-    console.error(`[DataForSEO] CRITICAL: Error in handleDatabaseUpdateError for tracking result ${trackingResult.id}:`, criticalError.message);
+    log.error(`CRITICAL: Error in handleDatabaseUpdateError for tracking result ${trackingResult.id}`, { err: criticalError });
   }
 }
 
@@ -478,7 +446,8 @@ async function createNightlyTrackingResult(
   salience,
   aiVolumeData,
   summary,
-  webSearch
+  webSearch,
+  engine
 ) {
   try {
     // Format citations for database storage
@@ -504,6 +473,7 @@ async function createNightlyTrackingResult(
       domain_mentions: promptData.domainMentions,
       brand_name: String(promptData.brandMentions),
       source: "DataForSEO (Nightly)",
+      engine,
       mention_count: match.totalMatches,
       domain_mention_count: domainMatch.totalMatches,
       serp: summary.serp,
@@ -526,52 +496,71 @@ async function createNightlyTrackingResult(
       .insert([insertData]);
 
     if (insertErr) {
-      console.error(`[DataForSEO] Error creating nightly tracking result for task ${taskId}:`, insertErr.message);
-      console.error(`[DataForSEO] CRITICAL: Failed to create nightly tracking result for task ${taskId}. This may result in lost data.`);
+      log.error(`Error creating nightly tracking result for task ${taskId}`, { err: insertErr });
+      log.error(`CRITICAL: Failed to create nightly tracking result for task ${taskId}. This may result in lost data.`);
       throw insertErr;
     }
     return insertData;
   } catch (error) {
-    console.error(`[DataForSEO] Failed to create nightly tracking result for task ${taskId}:`, error.message);
+    log.error(`Failed to create nightly tracking result for task ${taskId}`, { err: error });
     throw error;
   }
 }
 
 
-// ───────────── MAIN CALLBACK ROUTE ─────────────
+// ───────────── TASK PROCESSING ─────────────
 
-router.post("/callback", async (req, res) => {
-  let taskId = null;
-  let isNightly = false;
+const reply = (status, body) => ({ status, body });
+
+/**
+ * Process one finished DataForSEO task (a postback body, a live answer or a
+ * task_get response) for already authenticated parameters, with the task's
+ * correlation fields on every log line. Shared by the /callback route, the
+ * worker and the missed-callback sweeper; returns { status, body } for the
+ * HTTP response.
+ */
+function processTaskResult(dataForSeoResponse, params) {
+  return withLogContext(
+    {
+      correlationId: params.correlationId,
+      userId: params.userId,
+      trackingId: params.trackingId,
+      promptId: params.promptId,
+      taskId: dataForSeoResponse.tasks[0].id,
+    },
+    () => handleTaskResult(dataForSeoResponse, params)
+  );
+}
+
+/** processTaskResult inside its log context */
+async function handleTaskResult(dataForSeoResponse, params) {
+  const task = dataForSeoResponse.tasks[0];
+  const taskId = task.id;
+  const status = task.status_code;
+  const {
+    userId,
+    openaiModel,
+    isNightly,
+    promptId,
+    projectId,
+    trackingId,
+  } = params;
   let trackingResult = null;
   let promptData = null;
 
   try {
-    const dataForSeoResponse = req.body;
-    // Validate callback data
-    if (!dataForSeoResponse?.tasks?.length) {
-      console.error("[DataForSEO] Invalid callback data");
-      return res.status(400).json({ error: "Invalid callback data" });
-    }
-
-    const task = dataForSeoResponse.tasks[0];
-    taskId = task.id;
-    const status = task.status_code;
-
-    // Extract parameters
-    const { userId, openaiModel, isNightly: isNightlyParam, promptId, projectId } =
-      extractQueryParameters(req);
-    isNightly = isNightlyParam;
     const openaiKey = await fetchUserOpenAIKey(userId);
-    const userCountry = extractUserCountry(task);
-    const actualWebSearchOccurred = detectActualWebSearch(dataForSeoResponse);
+    // Provider-neutral view of the task (text, citations, web search, location, ...)
+    const answer = normalizeAnswer(dataForSeoResponse, "dataforseo");
+    const userCountry = answer.location.country;
+    const actualWebSearchOccurred = answer.webSearch;
 
     // For nightly jobs, we need to get prompt data differently since there's no existing tracking_result
     if (isNightly) {
       // For nightly jobs, get prompt data from the prompts table
       if (!promptId) {
-        console.error(`[DataForSEO] Nightly job missing promptId for task ${taskId}`);
-        return res.status(400).json({ error: "Missing promptId for nightly job" });
+        log.error(`Nightly job missing promptId for task ${taskId}`);
+        return reply(400, { error: "Missing promptId for nightly job" });
       }
 
       const { data: prompt, error: promptError } = await supabase
@@ -581,8 +570,8 @@ router.post("/callback", async (req, res) => {
         .single();
 
       if (promptError || !prompt) {
-        console.error(`[DataForSEO] Error fetching prompt ${promptId} for nightly job:`, promptError?.message);
-        return res.status(404).json({ error: "Prompt not found for nightly job" });
+        log.error(`Error fetching prompt ${promptId} for nightly job`, { err: promptError });
+        return reply(404, { error: "Prompt not found for nightly job" });
       }
 
       promptData = {
@@ -600,24 +589,50 @@ router.post("/callback", async (req, res) => {
         .eq("snapshot_id", taskId);
 
       if (findError) {
-        console.error("[DataForSEO] Error finding tracking result:", findError.message);
-        return res.status(500).json({ error: "Database error" });
+        log.error("Error finding tracking result", { err: findError });
+        return reply(500, { error: "Database error" });
       }
 
       if (!trackingResults?.length) {
-        console.warn(`[DataForSEO] No tracking result found for task ${taskId}`);
-        return res.status(404).json({ error: "Tracking result not found" });
+        log.warn(`No tracking result found for task ${taskId}`);
+        return reply(404, { error: "Tracking result not found" });
       }
 
       trackingResult = trackingResults[0];
+
+      if (trackingId && trackingResult.id !== trackingId) {
+        log.warn(`Task ${taskId} does not belong to tracking ${trackingId}`);
+        return reply(401, { error: "Postback token does not match this task" });
+      }
+
+      // Discard results for cancelled jobs before any analysis or writes
+      if (
+        trackingResult.status === "cancelled" ||
+        (await isJobBatchCancelled(trackingResult.job_batch_id))
+      ) {
+        log.info(`Ignoring callback for cancelled tracking ${trackingResult.id} (task ${taskId})`);
+        return reply(200, {
+          status: "ignored",
+          message: `Task ${taskId} belongs to a cancelled job`,
+        });
+      }
     }
 
+    // Feed the DataForSEO circuit breaker; stubs carry their submission time
+    await recordProviderOutcome("dataforseo", {
+      success: status === 20000 && task.result?.length > 0,
+      latencyMs: trackingResult?.timestamp
+        ? Date.now() - Number(trackingResult.timestamp)
+        : null,
+      error: status === 20000 ? null : `${status} ${task.status_message}`,
+    });
+
     // Handle successful completion
     if (status === 20000 && task.result?.length > 0) {
       try {
         const result = task.result[0];
-        const answerText = sanitizeText(result.markdown || "");
-        const citations = extractCitations(dataForSeoResponse);
+        const answerText = sanitizeText(answer.text);
+        const citations = answer.citations;
 
         // Get brand mentions from appropriate source
         const brandMentions = normalizeBrandMentions(
@@ -643,7 +658,7 @@ router.post("/callback", async (req, res) => {
           taskId
         );
         const serpAnalyzer = new EnhancedAnalyzer();
-        const analyzerResult = serpAnalyzer.analyzeResponse(dataForSeoResponse);
+        const analyzerResult = serpAnalyzer.analyzeResponse(answer);
 
         // Pull out the summary
         const { summary } = analyzerResult;
@@ -666,7 +681,8 @@ router.post("/callback", async (req, res) => {
           salience,
           aiVolumeData,
           summary,
-          actualWebSearchOccurred
+          actualWebSearchOccurred,
+          answer.engine
         );
       } else {
         // Format citations for database storage
@@ -712,18 +728,18 @@ router.post("/callback", async (req, res) => {
           .eq("id", trackingResult.id);
 
         if (updateError) {
-          console.error(`[DataForSEO] Error updating tracking result ${trackingResult.id}:`, updateError.message);
+          log.error(`Error updating tracking result ${trackingResult.id}`, { err: updateError });
           
           // Critical: Update tracking result to failed state even if database update fails
           await handleDatabaseUpdateError(updateError, trackingResult);
           
-          return res.status(500).json({ error: "Failed to update tracking result" });
+          return reply(500, { error: "Failed to update tracking result" });
         }
         // Handle job batch progress (only for regular jobs)
         await handleJobBatchProgress(trackingResult);
       }
       } catch (processingError) {
-        console.error(`[DataForSEO] Error processing successful task ${taskId}:`, processingError.message);
+        log.error(`Error processing successful task ${taskId}`, { err: processingError });
         
         // Handle error by updating tracking result to failed state
         // Only for regular (non-nightly) jobs since nightly jobs don't have existing tracking results
@@ -731,7 +747,7 @@ router.post("/callback", async (req, res) => {
           await handleTrackingResultError(processingError, trackingResult);
         }
         
-        return res.status(500).json({
+        return reply(500, {
           error: "Error processing task result",
           message: processingError.message,
         });
@@ -744,18 +760,18 @@ router.post("/callback", async (req, res) => {
       
       if (status === 20000 && (!task.result || task.result.length === 0)) {
         errorMessage = "Task completed successfully but no results returned";
-        console.error(`[DataForSEO] Task ${taskId} completed successfully but no results returned`);
+        log.error(`Task ${taskId} completed successfully but no results returned`);
       } else if (typeof status === "number" && status < 40000 && status !== 20000) {
         errorMessage = `Task ${taskId} failed during processing with status ${status}`;
-        console.error(`[DataForSEO] Task ${taskId} failed during processing with status ${status}`);
+        log.error(`Task ${taskId} failed during processing with status ${status}`);
       } else {
         errorMessage = task.status_message || `DataForSEO task failed with status ${status}`;
-        console.error(`[DataForSEO] Task ${taskId} failed with status ${status}`);
+        log.error(`Task ${taskId} failed with status ${status}`);
       }
 
       if (isNightly) {
         // For nightly jobs, do not create any tracking result on failure
-        console.log(`[DataForSEO] Nightly job ${taskId} failed - no tracking result created`);
+        log.info(`Nightly job ${taskId} failed - no tracking result created`);
       } else {
         // Handle regular job failure - update existing tracking result
         // Check current status to avoid downgrading fulfilled records
@@ -766,8 +782,8 @@ router.post("/callback", async (req, res) => {
           .single();
 
         if (!currentErr && current?.status === "fulfilled") {
-          console.warn(`[DataForSEO] Received failure for already fulfilled tracking ${trackingResult.id}. Ignoring.`);
-          return res.status(200).json({
+          log.warn(`Received failure for already fulfilled tracking ${trackingResult.id}. Ignoring.`);
+          return reply(200, {
             status: "success",
             message: `Task ${taskId} already fulfilled; ignoring late failure`,
           });
@@ -796,19 +812,19 @@ router.post("/callback", async (req, res) => {
           .eq("id", trackingResult.id);
 
         if (updateError) {
-          console.error(`[DataForSEO] Error updating failed tracking result ${trackingResult.id}:`, updateError.message);
+          log.error(`Error updating failed tracking result ${trackingResult.id}`, { err: updateError });
           
           // Critical: Update tracking result to failed state even if database update fails
           await handleDatabaseUpdateError(updateError, trackingResult);
           
-          return res.status(500).json({ error: "Failed to update tracking result" });
+          return reply(500, { error: "Failed to update tracking result" });
         }
 
         // Handle failed job batch (only for regular jobs)
         await handleFailedJobBatch(trackingResult, task);
       }
 
-      return res.status(200).json({
+      return reply(200, {
         status: "success",
         message: `Task ${taskId} processed with error: ${errorMessage}`,
         task_status: status,
@@ -816,7 +832,7 @@ router.post("/callback", async (req, res) => {
     }
 
     // Return success response
-    res.status(200).json({
+    return reply(200, {
       status: "success",
       message: `Task ${taskId} processed successfully`,
       userId,
@@ -825,7 +841,7 @@ router.post("/callback", async (req, res) => {
       isNightly,
     });
   } catch (error) {
-    console.error("[DataForSEO] Unexpected error:", error.message);
+    log.error("Unexpected error", { err: error });
     
     // Handle error by updating tracking result to failed state
     // Only for regular (non-nightly) jobs since nightly jobs don't have existing tracking results
@@ -833,6 +849,43 @@ router.post("/callback", async (req, res) => {
       await handleTrackingResultError(error, trackingResult);
     }
     
+    return reply(500, {
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+}
+
+// ───────────── MAIN CALLBACK ROUTE ─────────────
+
+router.post("/callback", countCallbacks("dataforseo"), async (req, res) => {
+  let taskId = null;
+
+  try {
+    const dataForSeoResponse = req.body;
+    // Validate callback data
+    if (!dataForSeoResponse?.tasks?.length) {
+      log.error("Invalid callback data");
+      return res.status(400).json({ error: "Invalid callback data" });
+    }
+
+    const task = dataForSeoResponse.tasks[0];
+    taskId = task.id;
+
+    // Verify the signed postback before any database work
+    let postbackParams;
+    try {
+      postbackParams = await authenticatePostback(req, res, task);
+    } catch (authError) {
+      log.warn(`Rejected callback for task ${taskId}: ${authError.message}`);
+      return res.status(authError.status || 401).json({ error: authError.message });
+    }
+
+    const outcome = await processTaskResult(dataForSeoResponse, postbackParams);
+    res.locals.callbackOutcome = outcome.body?.status;
+    res.status(outcome.status).json(outcome.body);
+  } catch (error) {
+    log.error(`Unexpected error for task ${taskId}`, { err: error });
     res.status(500).json({
       error: "Internal server error",
       message: error.message,
@@ -841,3 +894,4 @@ router.post("/callback", async (req, res) => {
 });
 
 module.exports = router;
+module.exports.processTaskResult = processTaskResult;
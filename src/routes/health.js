@@ -0,0 +1,20 @@
+// routes/health.js
+// Probes for load balancers and pm2 / uptime monitors (no user token).
+
+const express = require("express");
+const router = express.Router();
+const { getHealthReport } = require("../utils/health");
+
+// GET /health - Dependency report; 503 only when the database is unreachable
+router.get("/health", async (req, res) => {
+  const report = await getHealthReport();
+  res.status(report.status === "down" ? 503 : 200).json(report);
+});
+
+// GET /ready - 200 only when a new batch can be accepted and processed
+router.get("/ready", async (req, res) => {
+  const report = await getHealthReport();
+  res.status(report.ready ? 200 : 503).json(report);
+});
+
+module.exports = router;
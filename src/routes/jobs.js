@@ -0,0 +1,29 @@
+// routes/jobs.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  getJobStatus,
+  listJobs,
+  cancelJob,
+  retryFailedJob,
+} = require("../controllers/jobs");
+const { requireSameUser } = require("../middleware/auth");
+
+// GET /jobs?project_id=... - List the caller's job batches
+router.get(
+  "/",
+  requireSameUser((req) => req.query.user_id || req.query.userId),
+  listJobs
+);
+
+// GET /jobs/:jobBatchId - Job batch status with per-prompt progress
+router.get("/:jobBatchId", getJobStatus);
+
+// POST /jobs/:jobBatchId/cancel - Stop an in-flight job batch
+router.post("/:jobBatchId/cancel", cancelJob);
+
+// POST /jobs/:jobBatchId/retry-failed - Re-queue only the failed prompts
+router.post("/:jobBatchId/retry-failed", retryFailedJob);
+
+module.exports = router;
@@ -3,14 +3,7 @@ const express = require("express");
 const bodyParser = require("body-parser");
 const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
-const {
-  pubsub,
-  supabase,
-  bright,
-  pubsubTopic,
-  createOpenAI,
-  dataForSEOTopic,
-} = require("./config");
+const { supabase, bright, createOpenAI } = require("./config");
 const cors = require("cors");
 //  utils
 // const { getActiveService, startMonitoring } = require("./utils/activeService");
@@ -20,12 +13,48 @@ const {
   getActiveServiceAsync,
   startMonitoring,
   getServiceStatus,
+  getHealthyServices,
 } = require("./utils/activeService");
+const { getMaintenance } = require("./utils/providerRouting");
 
 // routes
 const dataForSEO = require("./routes/dataForSEO");
+const brightData = require("./routes/brightData");
 const analytics = require("./routes/analytics");
-const selectHealthyService = require("./utils/brightDataUtils");
+const jobs = require("./routes/jobs");
+const credentials = require("./routes/credentials");
+const admin = require("./routes/admin");
+const health = require("./routes/health");
+const { metricsHandler } = require("./utils/metrics");
+const {
+  createLogger,
+  withLogContext,
+  addLogContext,
+} = require("./utils/logger");
+const { normalizeAnswer } = require("./providers");
+const {
+  getBatchSize,
+  topicForService,
+  sourceForService,
+  publishBatch,
+} = require("./utils/batching");
+const {
+  getIdempotencyKey,
+  hashRequestBody,
+  findIdempotencyKey,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require("./utils/idempotency");
+const {
+  requireAuth,
+  requireAdmin,
+  userOwnsProject,
+  userOwnsSnapshot,
+} = require("./middleware/auth");
+const { storeJobCredential } = require("./utils/credentials");
+const { planOf } = require("./utils/plans");
+const { normalizeEngines, serviceForEngine } = require("./utils/engines");
 /** Quick OpenAI key/model sanity check */
 async function validateOpenAIAccess(openai, model) {
   try {
@@ -52,22 +81,6 @@ async function validateOpenAIAccess(openai, model) {
   }
 }
 
-/** Pick batch size: <5 ⇒ all, ≤10 ⇒ 5, else ⇒ 10 */
-function getBatchSize(count) {
-  if (count < 5) return count;
-  if (count <= 10) return 5;
-  return 10;
-}
-
-/** Simple chunking helper */
-function chunkArray(arr, n) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += n) {
-    out.push(arr.slice(i, i + n));
-  }
-  return out;
-}
-
 const app = express();
 // CORS policy to allow origins
 app.use(
@@ -75,7 +88,8 @@ app.use(
     // origin: ["http://localhost:5173", "https://chatgptranktracker.com"],
     origin: "*",
     methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 // check the data Scraper service
@@ -83,6 +97,26 @@ startMonitoring();
 
 app.use(bodyParser.json());
 
+const log = createLogger("server");
+
+// Correlation id for every log line of the request (and the batches it
+// queues); an X-Request-Id set by a proxy is kept
+app.use((req, res, next) => {
+  const correlationId = req.get("X-Request-Id") || uuidv4();
+  res.set("X-Request-Id", correlationId);
+  withLogContext({ correlationId }, next);
+});
+
+// Every user facing route needs a Supabase access token.
+// Left public: GET /, /health, /ready and the provider callbacks; /metrics
+// checks METRICS_TOKEN itself.
+app.use(["/enqueue", "/snapshot-data", "/dataforseo-html"], requireAuth);
+
+// liveness / readiness probes
+app.use(health);
+// Prometheus scrape endpoint
+app.get("/metrics", metricsHandler);
+
 // test server is running with get request at root
 app.get("/", async (req, res) => {
   res.send(`Server is running....`);
@@ -99,6 +133,10 @@ app.get("/snapshot-data/:snapshotId", async (req, res) => {
   }
 
   try {
+    if (!(await userOwnsSnapshot(req.user.id, snapshotId))) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
     // Fetch the full results from BrightData
     const { data: results } = await axios.get(
       `https://api.brightdata.com/datasets/v3/snapshot/${snapshotId}?format=json`,
@@ -114,15 +152,15 @@ app.get("/snapshot-data/:snapshotId", async (req, res) => {
       });
     }
 
-    // Return the full BrightData response
+    // Return the full BrightData response plus its provider-neutral form
     res.json({
       status: "success",
       snapshot_id: snapshotId,
       prompt: prompt,
       data: matchingResult,
+      answer: normalizeAnswer(matchingResult, "brightdata"),
     });
   } catch (err) {
-
     if (err.response?.status === 404) {
       return res.status(404).json({
         error: "Snapshot not found or expired",
@@ -140,6 +178,13 @@ app.get("/dataforseo-html/:taskId", async (req, res) => {
   try {
     const { taskId } = req.params;
 
+    if (!(await userOwnsSnapshot(req.user.id, taskId))) {
+      return res.status(404).json({
+        success: false,
+        error: "No data found for this task ID",
+      });
+    }
+
     // DataForSEO credentials
     const login = process.env.DATAFORSEO_LOGIN;
     const password = process.env.DATAFORSEO_PASSWORD;
@@ -176,9 +221,10 @@ app.get("/dataforseo-html/:taskId", async (req, res) => {
     if (data.status_code === 20000 && data.tasks?.[0]?.result?.[0]) {
       const result = data.tasks[0].result[0];
       const taskData = data.tasks[0].data;
+      const answer = normalizeAnswer(data, "dataforseo");
 
       // Extract the main content
-      const markdownContent = result.markdown || "";
+      const markdownContent = answer.markdown;
       const items = result.items || [];
       const sources = result.sources || [];
 
@@ -206,10 +252,10 @@ app.get("/dataforseo-html/:taskId", async (req, res) => {
           }
         }
       } catch (htmlError) {
-        console.warn(
-          "Could not fetch HTML, using markdown only:",
-          htmlError.message
-        );
+        log.warn("Could not fetch HTML, using markdown only", {
+          taskId,
+          err: htmlError,
+        });
       }
 
       // Return structured response that matches BrightDataChatGPTDisplay expectations
@@ -234,9 +280,14 @@ app.get("/dataforseo-html/:taskId", async (req, res) => {
         keyword: result.keyword,
         raw_response: data,
         task_data: taskData, // Include original task data if needed
+        answer,
       });
     } else {
-      console.error("DataForSEO response error:", data);
+      log.error("DataForSEO response error", {
+        taskId,
+        statusCode: data.status_code,
+        statusMessage: data.status_message,
+      });
       res.status(404).json({
         success: false,
         error: "No data found for this task ID",
@@ -245,7 +296,10 @@ app.get("/dataforseo-html/:taskId", async (req, res) => {
       });
     }
   } catch (error) {
-    console.error("Error fetching DataForSEO data:", error);
+    log.error("Error fetching DataForSEO data", {
+      taskId: req.params.taskId,
+      err: error,
+    });
     res.status(500).json({
       success: false,
       error: "Failed to fetch DataForSEO data",
@@ -258,9 +312,15 @@ app.get("/dataforseo-html/:taskId", async (req, res) => {
 app.post("/enqueue", async (req, res) => {
   // 0) Extract and validate input
   const requestBody = req.body || {};
+  // Never trust user_id from the body: it comes from the verified access token
+  const user_id = req.user.id;
+  if (requestBody.user_id && requestBody.user_id !== user_id) {
+    return res.status(403).json({
+      error: "user_id does not match the authenticated user",
+    });
+  }
   const {
     project_id,
-    user_id,
     email,
     prompts = [],
     brandMentions = [],
@@ -271,9 +331,58 @@ app.post("/enqueue", async (req, res) => {
     webSearch = false, // User's checkbox preference to FORCE web search
     openaiModel = process.env.DEFAULT_OPENAI_MODEL || "gpt-4",
     tags = [],
+    service: requestedService,
   } = requestBody;
 
-  const service = await getActiveServiceAsync(); // Just call this function
+  // Answer a duplicate of an earlier submission (double-click / client retry)
+  // the way the original was answered
+  function replayDuplicate(existing) {
+    if (existing.request_hash !== requestHash) {
+      return res.status(422).json({
+        error: "Idempotency-Key was already used with a different request body",
+      });
+    }
+    if (existing.status === "completed" && existing.response) {
+      res.set("Idempotent-Replayed", "true");
+      return res.json(existing.response);
+    }
+    return res.status(409).json({
+      error: "A request with this Idempotency-Key is still being processed",
+      jobBatchId: existing.job_batch_id || null,
+    });
+  }
+
+  // Before maintenance and routing: an accepted submission stays accepted
+  const idempotencyKey = getIdempotencyKey(req);
+  const requestHash = idempotencyKey && hashRequestBody(requestBody);
+  let idempotencyRecord = null;
+  if (idempotencyKey) {
+    try {
+      const existing = await findIdempotencyKey(user_id, idempotencyKey);
+      if (existing) return replayDuplicate(existing);
+    } catch (err) {
+      log.error("Idempotency lookup failed", { err });
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  // Admins can pause enqueueing (PUT /api/admin/maintenance)
+  const maintenance = await getMaintenance();
+  if (maintenance.enabled) {
+    return res.status(503).json({
+      error: maintenance.message,
+      maintenance: true,
+    });
+  }
+
+  // The OpenAI API only needs the user's key, so it can be chosen explicitly
+  // (e.g. to compare API answers with the ChatGPT UI); scrapers follow health
+  // and the admin's routing (pins, weights, order)
+  const routedService = await getActiveServiceAsync({
+    userId: user_id,
+    projectId: project_id,
+  });
+  const service = requestedService === "openai" ? "openai" : routedService;
   if (!service) {
     return res.status(503).json({
       error: "All services are currently down. Please try again later.",
@@ -281,8 +390,8 @@ app.post("/enqueue", async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   }
-  console.log("service: ", service);
-  const validServices = ["brightdata", "dataforseo"];
+  log.info("Routing enqueue request", { service, projectId: project_id });
+  const validServices = ["brightdata", "dataforseo", "openai"];
 
   if (
     !project_id ||
@@ -302,10 +411,13 @@ app.post("/enqueue", async (req, res) => {
     });
   }
 
-  // Local helpers for readability (no external behavior change)
-  const determineSource = (svc) =>
-    svc === "dataforseo" ? "DataForSEO" : "Bright Data";
+  if (!topicForService(service)) {
+    return res.status(503).json({
+      error: `Service ${service} is not configured on this server`,
+    });
+  }
 
+  // Local helpers for readability (no external behavior change)
   async function upsertTagsIfAny(tagNames, projectId, userId) {
     const tagIds = [];
     for (const rawName of tagNames) {
@@ -341,11 +453,13 @@ app.post("/enqueue", async (req, res) => {
     return tagIds;
   }
 
+  // One prompt row per prompt; one tracking stub per prompt and engine.
+  // Each engine gets its own run of batch numbers, since a batch goes to one service.
   function buildBulkData(allPrompts, batchSize, meta) {
     const {
       projectId,
       userId,
-      svc,
+      routes,
       city,
       country,
       brands,
@@ -355,58 +469,67 @@ app.post("/enqueue", async (req, res) => {
     const promptsData = [];
     const trackingData = [];
     const enriched = [];
-    const source = determineSource(svc);
-
-    allPrompts.forEach((text, index) => {
-      const promptId = uuidv4();
-      const trackingId = uuidv4();
-      const batchNumber = Math.floor(index / batchSize);
+    const batchesPerEngine = Math.ceil(allPrompts.length / batchSize);
 
+    allPrompts.forEach((text) => {
       promptsData.push({
-        id: promptId,
+        id: uuidv4(),
         text,
         enabled: true,
         project_id: projectId,
         user_id: userId,
-        source,
+        source: sourceForService(routes[0].service),
         user_city: city,
         user_country: country,
         brand_mentions: brands,
         domain_mentions: domains,
       });
+    });
 
-      trackingData.push({
-        id: trackingId,
-        prompt_id: promptId,
-        prompt: text,
-        project_id: projectId,
-        user_id: userId,
-        job_batch_id: jobBatchId,
-        batch_number: batchNumber,
-        snapshot_id: null,
-        status: "pending",
-        is_present: null,
-        sentiment: null,
-        salience: null,
-        response: null,
-        brand_mentions: brands,
-        domain_mentions: domains,
-        brand_name: String(brands),
-        timestamp: Date.now(),
-        source,
-        mention_count: null,
-      });
+    routes.forEach(({ engine, service: svc }, engineIndex) => {
+      const source = sourceForService(svc);
+
+      promptsData.forEach(({ id: promptId, text }, index) => {
+        const trackingId = uuidv4();
+        const batchNumber =
+          engineIndex * batchesPerEngine + Math.floor(index / batchSize);
+
+        trackingData.push({
+          id: trackingId,
+          prompt_id: promptId,
+          prompt: text,
+          project_id: projectId,
+          user_id: userId,
+          job_batch_id: jobBatchId,
+          batch_number: batchNumber,
+          snapshot_id: null,
+          status: "pending",
+          is_present: null,
+          sentiment: null,
+          salience: null,
+          response: null,
+          brand_mentions: brands,
+          domain_mentions: domains,
+          brand_name: String(brands),
+          timestamp: Date.now(),
+          source,
+          engine,
+          mention_count: null,
+        });
 
-      enriched.push({
-        id: promptId,
-        text,
-        userId,
-        projectId,
-        brandMentions: brands,
-        domainMentions: domains,
-        userCountry: country,
-        trackingId,
-        batchNumber,
+        enriched.push({
+          id: promptId,
+          text,
+          userId,
+          projectId,
+          brandMentions: brands,
+          domainMentions: domains,
+          userCountry: country,
+          trackingId,
+          batchNumber,
+          engine,
+          service: svc,
+        });
       });
     });
 
@@ -414,16 +537,65 @@ app.post("/enqueue", async (req, res) => {
   }
 
   try {
+    if (!(await userOwnsProject(user_id, project_id))) {
+      return res.status(403).json({
+        error: "Project not found or does not belong to user",
+        project_id,
+      });
+    }
+
+    // Engines the project tracks; those whose service is down are skipped
+    const { data: project, error: projectError } = await supabase
+      .from("projects")
+      .select("engines")
+      .eq("id", project_id)
+      .single();
+    if (projectError) throw projectError;
+
+    const engineRoutes = normalizeEngines(project.engines).map((engine) => ({
+      engine,
+      service: serviceForEngine(engine, service, getHealthyServices()),
+    }));
+    const routes = engineRoutes.filter(
+      (route) => route.service && topicForService(route.service)
+    );
+    const skippedEngines = engineRoutes
+      .filter((route) => !routes.includes(route))
+      .map((route) => route.engine);
+
+    if (routes.length === 0) {
+      return res.status(503).json({
+        error: "None of the project's answer engines can run right now",
+        skippedEngines,
+      });
+    }
+
+    // 0) Reserve the key; a concurrent duplicate may have taken it meanwhile
+    if (idempotencyKey) {
+      const { record, existing } = await reserveIdempotencyKey(
+        user_id,
+        idempotencyKey,
+        requestHash
+      );
+      if (existing) return replayDuplicate(existing);
+
+      idempotencyRecord = record;
+    }
+
     // 1) Validate OpenAI credentials
     const openai = createOpenAI(openaiKey);
     await validateOpenAIAccess(openai, openaiModel);
 
+    // Keep the key encrypted at rest; rows and queue messages only carry a reference
+    const credentialId = await storeJobCredential(user_id, "openai", openaiKey);
+
     // 2) Upsert tags (if any)
     const tagIds = await upsertTagsIfAny(tags, project_id, user_id);
 
-    // 3) Batch calculations
+    // 3) Batch calculations; one answer per prompt and engine
     const batchSize = getBatchSize(prompts.length);
-    const totalBatches = Math.ceil(prompts.length / batchSize);
+    const totalBatches = Math.ceil(prompts.length / batchSize) * routes.length;
+    const totalPrompts = prompts.length * routes.length;
 
     // 4) Create job batch
     const { data: jobBatch, error: jobError } = await supabase
@@ -433,9 +605,9 @@ app.post("/enqueue", async (req, res) => {
           user_id,
           project_id,
           email,
-          total_prompts: prompts.length,
+          total_prompts: totalPrompts,
           total_batches: totalBatches,
-          openai_key: openaiKey,
+          openai_credential_id: credentialId,
           openai_model: openaiModel,
           web_search: webSearch,
           user_country: userCountry,
@@ -450,6 +622,7 @@ app.post("/enqueue", async (req, res) => {
       .single();
     if (jobError) throw jobError;
     const jobBatchId = jobBatch.id;
+    addLogContext({ jobBatchId });
 
     // 5) Build bulk payloads
     const { promptsData, trackingData, enriched } = buildBulkData(
@@ -458,7 +631,7 @@ app.post("/enqueue", async (req, res) => {
       {
         projectId: project_id,
         userId: user_id,
-        svc: service,
+        routes,
         city: userCity,
         country: userCountry,
         brands: brandMentions,
@@ -497,84 +670,117 @@ app.post("/enqueue", async (req, res) => {
           ignoreDuplicates: true,
         });
       if (promptTagsError)
-        console.error(
-          "Failed to associate tags with prompts:",
-          promptTagsError
-        );
+        log.error("Failed to associate tags with prompts", {
+          err: promptTagsError,
+        });
     }
 
-    console.log(
-      `Bulk  inserted ${prompts.length} prompts and tracking stubs for job ${jobBatchId} using ${service}`
-    );
+    const engineList = routes.map((route) => route.engine).join(", ");
+    log.info(`Inserted ${prompts.length} prompts and tracking stubs`, {
+      service,
+      engines: engineList,
+    });
 
     // 8) Queue batches for processing
-    const batches = chunkArray(enriched, batchSize);
-    console.log("batches: ", batches);
+    const batches = [];
+    enriched.forEach((prompt) => {
+      (batches[prompt.batchNumber] ||= []).push(prompt);
+    });
+    log.debug("Batches prepared", {
+      batches: batches.map((batch, batchNumber) => ({
+        batchNumber,
+        engine: batch[0].engine,
+        service: batch[0].service,
+        trackingIds: batch.map((prompt) => prompt.trackingId),
+      })),
+    });
     await supabase
       .from("job_batches")
       .update({ status: "processing" })
       .eq("id", jobBatchId);
-    const topicName = service === "dataforseo" ? dataForSEOTopic : pubsubTopic;
     const batchPromises = batches.map(async (batch, batchIndex) => {
+      const { engine, service: batchService } = batch[0];
       try {
-        await pubsub.topic(topicName).publish(
-          Buffer.from(
-            JSON.stringify({
-              openaiKey,
-              openaiModel,
-              email,
-              jobBatchId,
-              batchNumber: batchIndex,
-              totalBatches,
-              prompts: batch,
-              userCountry,
-              webSearch,
-              isNightly: false,
-              service,
-              user_id,
-            })
-          )
-        );
-        console.log(
-          `Queued batch ${
-            batchIndex + 1
-          }/${totalBatches} for job ${jobBatchId} using ${service}`
-        );
+        await publishBatch(topicForService(batchService), {
+          credentialId,
+          openaiModel,
+          email,
+          jobBatchId,
+          batchNumber: batchIndex,
+          totalBatches,
+          prompts: batch,
+          userCountry,
+          webSearch,
+          isNightly: false,
+          service: batchService,
+          engine,
+          user_id,
+          plan: planOf(req.user),
+        });
+        log.info(`Queued batch ${batchIndex + 1}/${totalBatches}`, {
+          batchNumber: batchIndex,
+          service: batchService,
+          engine,
+        });
       } catch (err) {
-        console.error(
-          `Failed to queue batch ${batchIndex} for ${service}:`,
-          err
-        );
+        log.error(`Failed to queue batch ${batchIndex + 1}`, {
+          batchNumber: batchIndex,
+          service: batchService,
+          err,
+        });
       }
     });
 
     Promise.all(batchPromises).catch((err) => {
-      console.error(`Some batches failed to queue for ${service}:`, err);
+      log.error("Some batches failed to queue", { service, err });
     });
 
     // 9) Response
-    res.json({
+    const responseBody = {
       status: "enqueued",
       jobBatchId,
-      totalPrompts: prompts.length,
+      totalPrompts,
       totalBatches,
       service,
+      engines: routes.map((route) => route.engine),
+      ...(skippedEngines.length > 0 && { skippedEngines }),
       message: `Your ${prompts.length} prompts${
         tags.length > 0
           ? ` with ${tags.length} tag${tags.length > 1 ? "s" : ""}`
           : ""
       } are being processed in ${totalBatches} batches using ${service.toUpperCase()}. You'll receive an email when complete.`,
-    });
+    };
+
+    if (idempotencyRecord) {
+      await completeIdempotencyKey(
+        idempotencyRecord.id,
+        jobBatchId,
+        responseBody
+      );
+    }
+
+    res.json(responseBody);
   } catch (err) {
-    console.error(`Enqueue error for ${service}:`, err);
+    log.error("Enqueue failed", { service, err });
+    if (idempotencyRecord) {
+      await releaseIdempotencyKey(idempotencyRecord.id);
+    }
     res.status(500).json({ error: err.message, service });
   }
 });
 
-// data for SEO test routes
+// data for SEO routes (provider callback, no user token)
 app.use("/api/dataforseo", dataForSEO);
+// Bright Data snapshot notifications (shared secret, no user token)
+app.use("/api/brightdata", brightData);
 // analytics
-app.use("/api/analytics", analytics);
+app.use("/api/analytics", requireAuth, analytics);
+// job batch status
+app.use("/jobs", requireAuth, jobs);
+// encrypted credential store
+app.use("/api/credentials", requireAuth, credentials);
+// provider routing and maintenance mode (operators only)
+app.use("/api/admin", requireAuth, requireAdmin, admin);
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Enqueue API listening on port ${PORT}`));
+app.listen(PORT, () => log.info(`Enqueue API listening on port ${PORT}`));
@@ -0,0 +1,214 @@
+// service/brightDataService.js
+// Bright Data dataset API: trigger a snapshot, wait for it and cancel it.
+const axios = require("axios");
+const { setTimeout: sleep } = require("timers/promises");
+const { bright, mock } = require("../config");
+const { snapshotPolls } = require("../utils/metrics");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("brightdata");
+
+const API_BASE = "https://api.brightdata.com/datasets/v3";
+
+// Snapshot statuses that mean "not ready yet, ask again later"
+const IN_PROGRESS_STATUSES = [
+  "starting",
+  "pending",
+  "running",
+  "building",
+  "collecting",
+  "digesting",
+];
+
+const authHeaders = () => ({ Authorization: `Bearer ${bright.key}` });
+
+// Resolves after `ms`, or as soon as `signal` is aborted
+const delay = (ms, signal) => sleep(ms, undefined, { signal }).catch(() => {});
+
+/**
+ * Trigger a snapshot for a batch of prompts; returns the snapshot id.
+ * With `notifyUrl` Bright Data calls that URL (sending `auth_header` as the
+ * Authorization header) once the snapshot is ready.
+ */
+async function triggerSnapshot(
+  prompts,
+  { userCountry = "US", webSearch = false, notifyUrl = null } = {}
+) {
+  const triggerBody = prompts.map((prompt) => ({
+    url: "https://chatgpt.com/",
+    prompt: prompt.text,
+    country: userCountry,
+    web_search: webSearch,
+  }));
+
+  const params = new URLSearchParams({ dataset_id: bright.dataset });
+  if (notifyUrl) {
+    params.set("notify", notifyUrl);
+    params.set("auth_header", bright.webhookSecret);
+  }
+
+  const { data } = await axios.post(
+    `${API_BASE}/trigger?${params}`,
+    triggerBody,
+    { headers: authHeaders() }
+  );
+  return data.snapshot_id;
+}
+
+/**
+ * Best-effort cancel of a running snapshot so Bright Data stops collecting it
+ */
+async function cancelSnapshot(snapshotId) {
+  try {
+    await axios.post(`${API_BASE}/snapshot/${snapshotId}/cancel`, null, {
+      headers: authHeaders(),
+    });
+    log.info("Cancelled Bright Data snapshot", { taskId: snapshotId });
+  } catch (err) {
+    log.warn("Could not cancel Bright Data snapshot", {
+      taskId: snapshotId,
+      err,
+    });
+  }
+}
+
+/**
+ * Progress of a snapshot: "running", "ready" or "failed" as Bright Data reports
+ * it, or "missing" when Bright Data does not know the snapshot
+ */
+async function getSnapshotStatus(snapshotId) {
+  try {
+    const { data } = await axios.get(`${API_BASE}/progress/${snapshotId}`, {
+      headers: authHeaders(),
+    });
+    return data?.status;
+  } catch (err) {
+    if (err.response?.status === 404) return "missing";
+    throw err;
+  }
+}
+
+/** Exponential backoff with equal jitter: half fixed, half random */
+function backoffDelay(attempt) {
+  const base = Math.min(
+    bright.pollInitialDelayMs * 2 ** attempt,
+    bright.pollMaxDelayMs
+  );
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+const isTransientError = (err) => {
+  const status = err.response?.status;
+  return (
+    status === 429 ||
+    status >= 500 ||
+    ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED"].includes(err.code)
+  );
+};
+
+/**
+ * Poll a snapshot until its results are available.
+ *
+ * Returns the results array, or null when `shouldStop()` turned true while
+ * waiting; aborting `signal` cuts the current backoff short so `shouldStop()`
+ * is asked right away. Throws "Bright Data snapshot failed: ..." when Bright
+ * Data reports a failure and "Bright Data snapshot timed out ..." once
+ * `maxWaitMs` has passed; a timed-out snapshot is cancelled before throwing.
+ */
+async function waitForSnapshot(
+  snapshotId,
+  { shouldStop = async () => false, signal, maxWaitMs = bright.maxWaitMs } = {}
+) {
+  const deadline = Date.now() + maxWaitMs;
+
+  for (let attempt = 0; ; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      await cancelSnapshot(snapshotId);
+      throw new Error(
+        `Bright Data snapshot timed out: ${snapshotId} not ready after ${Math.round(
+          maxWaitMs / 60000
+        )} minutes`
+      );
+    }
+
+    await delay(Math.min(backoffDelay(attempt), remaining), signal);
+
+    if (await shouldStop()) return null;
+
+    let data;
+    try {
+      ({ data } = await axios.get(
+        `${API_BASE}/snapshot/${snapshotId}?format=json`,
+        { headers: authHeaders() }
+      ));
+    } catch (err) {
+      snapshotPolls.inc({ result: "error" });
+      if (err.response?.status === 404) {
+        throw new Error(`Bright Data snapshot failed: ${snapshotId} not found`);
+      }
+      if (!isTransientError(err)) throw err;
+      // Temporary API trouble: keep polling until the deadline
+      log.warn("Polling snapshot failed", { taskId: snapshotId, err });
+      continue;
+    }
+
+    if (Array.isArray(data)) {
+      snapshotPolls.inc({ result: "ready" });
+      return data;
+    }
+
+    const status = data?.status;
+    snapshotPolls.inc({
+      result:
+        status === "failed" || IN_PROGRESS_STATUSES.includes(status)
+          ? status
+          : "unexpected",
+    });
+    if (status === "failed") {
+      throw new Error(
+        `Bright Data snapshot failed: ${data.message || "Unknown error"}`
+      );
+    } else if (IN_PROGRESS_STATUSES.includes(status)) {
+      log.debug("Snapshot not ready, polling again", {
+        taskId: snapshotId,
+        status,
+      });
+    } else {
+      log.warn("Unexpected status from Bright Data", {
+        taskId: snapshotId,
+        status,
+      });
+    }
+  }
+}
+
+/**
+ * Download a snapshot that Bright Data reported as ready
+ */
+async function downloadSnapshot(snapshotId) {
+  const { data } = await axios.get(
+    `${API_BASE}/snapshot/${snapshotId}?format=json`,
+    { headers: authHeaders() }
+  );
+
+  if (!Array.isArray(data)) {
+    throw new Error(
+      `Bright Data snapshot failed: ${snapshotId} is ${
+        data?.status || "not ready"
+      }`
+    );
+  }
+  return data;
+}
+
+// MOCK_PROVIDERS: serve canned snapshots from memory instead
+module.exports = mock.enabled
+  ? require("../mock/brightData")
+  : {
+      triggerSnapshot,
+      cancelSnapshot,
+      getSnapshotStatus,
+      waitForSnapshot,
+      downloadSnapshot,
+    };
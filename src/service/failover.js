@@ -0,0 +1,165 @@
+// service/failover.js
+// Cross-provider failover: when a provider fails a batch mid-flight (a failed
+// or empty Bright Data snapshot, DataForSEO refusing tasks), the prompts that
+// did not get an answer are re-published to the next healthy provider instead
+// of failing. Each switch is appended to tracking_results.provider_history and
+// counted in the message's `failover.hops`, bounded by FAILOVER_MAX_HOPS.
+const { supabase, failover, openaiAnswers } = require("../config");
+const { checkServiceHealth } = require("../utils/activeService");
+const { getRoutingSettings } = require("../utils/providerRouting");
+const {
+  topicForService,
+  sourceForService,
+  publishBatch,
+} = require("../utils/batching");
+const { laneOf } = require("../queue/lanes");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("failover");
+
+// Errors that mean the provider could not answer. Credential, analysis and
+// database errors would fail on any provider, so they are not failed over.
+const PROVIDER_FAILURES = [
+  /Bright Data snapshot (failed|timed out)/,
+  /Bright Data returned empty results/,
+  /DataForSEO task submission failed/,
+  /DataForSEO .* (task_post|live) failed/,
+];
+
+function isProviderFailure(err) {
+  // HTTP errors from the provider APIs themselves (trigger, task_post)
+  if (err?.isAxiosError && err.response?.status >= 500) return true;
+  return PROVIDER_FAILURES.some((pattern) => pattern.test(err?.message || ""));
+}
+
+/** Next provider to try, or null when none is left or healthy */
+async function pickFailoverService(from, tried) {
+  // The admin's provider order, then OpenAI as the configured fallback
+  const { order } = await getRoutingSettings();
+  const candidates = [...order, "openai"].filter(
+    (service) =>
+      service !== from &&
+      !tried.includes(service) &&
+      topicForService(service) &&
+      (service !== "openai" || openaiAnswers.fallbackEnabled)
+  );
+
+  for (const service of candidates) {
+    if (await checkServiceHealth(service)) return service;
+  }
+  return null;
+}
+
+/**
+ * Prompts of a regular batch that did not get an answer, with their tracking
+ * rows. Nightly batches have no rows yet, so all their prompts are failed over.
+ */
+async function unansweredPrompts(batch) {
+  const { prompts = [], isNightly = false } = batch;
+  if (isNightly) return { prompts, rows: [] };
+
+  const trackingIds = prompts.map((p) => p.trackingId).filter(Boolean);
+  if (trackingIds.length === 0) return { prompts: [], rows: [] };
+
+  const { data: rows, error } = await supabase
+    .from("tracking_results")
+    .select("id, status, provider_history")
+    .in("id", trackingIds);
+  if (error) throw new Error(`Failed to load tracking rows: ${error.message}`);
+
+  const open = (rows || []).filter(
+    (row) => row.status !== "fulfilled" && row.status !== "cancelled"
+  );
+  return {
+    prompts: prompts.filter((p) => open.some((row) => row.id === p.trackingId)),
+    rows: open,
+  };
+}
+
+/**
+ * Re-route the unanswered prompts of a failed batch to another provider.
+ *
+ * `batch` is the queue message of the failed batch and `from` the service that
+ * failed it. Resolves to the service the prompts went to, or null when the
+ * batch has to fail as before (not a provider failure, out of hops, another
+ * engine than ChatGPT or no healthy provider left).
+ */
+async function failoverBatch(batch, err, from) {
+  const { engine = "chatgpt" } = batch;
+  const hops = batch.failover?.hops || 0;
+  const history = batch.failover?.history || [];
+
+  // Other engines only exist on DataForSEO
+  if (engine !== "chatgpt") return null;
+  if (hops >= failover.maxHops || !isProviderFailure(err)) return null;
+
+  try {
+    const to = await pickFailoverService(
+      from,
+      history.map((hop) => hop.from)
+    );
+    if (!to) {
+      log.warn("No healthy provider to fail over batch", { from });
+      return null;
+    }
+
+    const { prompts, rows } = await unansweredPrompts(batch);
+    if (prompts.length === 0) return null;
+
+    const hop = {
+      from,
+      to,
+      reason: err.message,
+      at: new Date().toISOString(),
+    };
+
+    // Record the switch on the rows and put them back to pending for the new provider
+    for (const row of rows) {
+      const { error: updateError } = await supabase
+        .from("tracking_results")
+        .update({
+          status: "pending",
+          snapshot_id: null,
+          response: null,
+          source: sourceForService(to),
+          provider_history: [...(row.provider_history || []), hop],
+          timestamp: Date.now(),
+        })
+        .eq("id", row.id);
+      if (updateError) {
+        throw new Error(
+          `Failed to record failover on ${row.id}: ${updateError.message}`
+        );
+      }
+    }
+
+    // The same batch (number and counters) continues on the new provider
+    const { snapshotID, openai, provider, ...message } = batch;
+    await publishBatch(
+      topicForService(to, laneOf(batch)),
+      {
+        ...message,
+        prompts,
+        service: to,
+        failover: { hops: hops + 1, history: [...history, hop] },
+      },
+      "failover"
+    );
+
+    log.info("Failed over batch", {
+      from,
+      to,
+      prompts: prompts.length,
+      reason: err.message,
+    });
+    return to;
+  } catch (failoverErr) {
+    log.error("Failover failed", { from, err: failoverErr });
+    return null;
+  }
+}
+
+module.exports = {
+  isProviderFailure,
+  failoverBatch,
+};
@@ -0,0 +1,56 @@
+// service/openaiAnswers.js
+// Asks the model directly through the OpenAI Responses API (service "openai"),
+// with the user's own key. Answers keep their url_citation annotations, which
+// the "openai" answer adapter turns into citations.
+const { openaiAnswers } = require("../config");
+
+// The web search tool wants an ISO country code; prompts may store names
+const isCountryCode = (value) => /^[A-Z]{2}$/i.test(value || "");
+
+/**
+ * Request body for one prompt. With `webSearch` the model must search the web;
+ * otherwise it may decide, as ChatGPT does.
+ */
+function buildRequest(prompt, { userCountry, webSearch = false } = {}) {
+  const request = {
+    model: openaiAnswers.model,
+    input: prompt.text,
+    // Lets the adapter match the answer to its tracking row
+    metadata: {
+      tracking_id: prompt.trackingId || "",
+      country: userCountry || "",
+    },
+  };
+
+  if (openaiAnswers.webSearchTool || webSearch) {
+    const tool = { type: "web_search_preview" };
+    if (isCountryCode(userCountry)) {
+      tool.user_location = {
+        type: "approximate",
+        country: userCountry.toUpperCase(),
+      };
+    }
+    request.tools = [tool];
+    if (webSearch) request.tool_choice = { type: "web_search_preview" };
+  }
+
+  return request;
+}
+
+/**
+ * Answer one prompt; resolves to the raw Responses API response
+ */
+async function askOpenAI(openai, prompt, options) {
+  const response = await openai.responses.create(buildRequest(prompt, options));
+
+  if (response.status && response.status !== "completed") {
+    const reason =
+      response.error?.message ||
+      response.incomplete_details?.reason ||
+      response.status;
+    throw new Error(`OpenAI response ${response.id} not completed: ${reason}`);
+  }
+  return response;
+}
+
+module.exports = { askOpenAI, buildRequest };
@@ -0,0 +1,514 @@
+// service/snapshotResults.js
+// Turns a batch of provider answers into tracking_results rows. Shared by the
+// Bright Data worker (src/worker.js), the /api/brightdata/webhook route and the
+// OpenAI worker (src/openaiWorker.js).
+const { supabase } = require('../config');
+const { formatCitationsForDB } = require('../utils/urlUtils');
+const {
+  analyzeSentiment,
+  analyzeSalience,
+  countBrandMatches,
+  countDomainMatches
+} = require('../utils/analysis');
+const { EnhancedAnalyzer } = require('../utils/EnhancedAnalyzer');
+const { normalizeAnswer, isNormalizedAnswer } = require('../providers');
+const { sourceForService } = require('../utils/batching');
+const { getBatchPromptAIVolume } = require('../utils/dataForSeoService');
+const { retryWithBackoff, delay } = require('../utils/apiHelpers');
+const { createMailTransport } = require('../utils/mailer');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('snapshot-results');
+
+// ───────────── SMTP via Mailgun transport ─────────────
+const transporter = createMailTransport();
+
+/**
+ * Process the results of one batch snapshot: AI volume, brand/domain matching,
+ * sentiment, EnhancedAnalyzer, tracking_results writes, job progress and the
+ * batch email.
+ *
+ * `batch` is the Pub/Sub batch message plus `snapshotID` and an `openai` client.
+ * `results` are raw payloads of `batch.provider` (Bright Data rows by default)
+ * or normalized answers.
+ */
+async function processSnapshotResults(batch, results) {
+  const {
+    snapshotID: actualSnapshotID,
+    openai,
+    email,
+    openaiModel = 'gpt-4',
+    prompts = [],
+    isNightly = false,
+    jobBatchId = null,
+    batchNumber = 0,
+    totalBatches = 1,
+    userCountry = 'US',
+    provider = 'brightdata'
+  } = batch;
+  const source = sourceForService(provider);
+
+  // Validate that we have actual data, not just an empty array
+  if (results.length === 0) {
+    throw new Error(`${source} returned empty results array for snapshot ${actualSnapshotID}. This usually indicates a processing failure on their end.`);
+  }
+
+  // Validate that we have expected prompts
+  const expectedPromptCount = prompts.length;
+  if (results.length < expectedPromptCount) {
+    log.warn(`${source} returned ${results.length} results but expected ${expectedPromptCount} prompts`, { taskId: actualSnapshotID });
+  }
+
+  // 3) Fetch AI volume data for all prompts in this batch (before processing individual results)
+  let aiVolumeDataMap = new Map();
+  try {
+    log.info(`Fetching AI volume data for ${prompts.length} prompts`);
+    const promptTexts = prompts.map(p => p.text);
+    const aiVolumeResults = await getBatchPromptAIVolume(promptTexts, userCountry === 'US' ? 2840 : 2840); // Default to US for now
+    log.debug('AI volume results', { aiVolumeResults });
+    // Map AI volume results back to prompts
+    prompts.forEach((prompt, index) => {
+      if (aiVolumeResults[index]) {
+        aiVolumeDataMap.set(prompt.trackingId, aiVolumeResults[index]);
+      }
+    });
+    
+    log.info(`AI volume data fetched for ${aiVolumeDataMap.size} out of ${prompts.length} prompts`);
+  } catch (aiVolumeError) {
+    log.warn('Failed to fetch AI volume data, continuing without it', { err: aiVolumeError });
+    // Continue processing without AI volume data
+  }
+
+  // 4) Process each result sequentially and track which prompts were processed
+  const processedPromptIds = new Set();
+  
+  for (let bres of results) {
+      // Provider-neutral view of this result (text, citations, item types, ...)
+      const answer = isNormalizedAnswer(bres) ? bres : normalizeAnswer(bres, provider);
+      const job = prompts.find(p =>
+        (p.trackingId && p.trackingId === answer.promptId) || p.text === answer.prompt
+      );
+      if (!job) {
+        // console.warn('No matching job for response:', bres);
+        continue;
+      }
+
+      // Mark this prompt as processed
+      processedPromptIds.add(job.trackingId);
+
+      const answerText = answer.text;
+      
+      // Ensure brandMentions is always an array
+      let brandMentions = job.brandMentions;
+      if (typeof brandMentions === 'string') {
+        // Handle case where brandMentions might be a single string
+        brandMentions = [brandMentions];
+      } else if (!Array.isArray(brandMentions)) {
+        // Handle case where brandMentions might be null, undefined, or other type
+        // console.warn('Invalid brandMentions format:', typeof brandMentions, brandMentions);
+        brandMentions = [];
+      }
+      
+      // Detect if web search actually occurred (not just what user requested)
+      // This ensures we track ACTUAL web retrieval, not just the checkbox setting
+      const actualWebSearchOccurred = answer.webSearch;
+      
+      const match = countBrandMatches(brandMentions, answerText);
+      const domainMatch = countDomainMatches(job.domainMentions, answer.citations);
+      let sentiment = 0, salience = 0;
+      if (match.anyMatch) {
+        sentiment = await retryWithBackoff(
+          () => analyzeSentiment(answerText, brandMentions, openai, openaiModel),
+          5, `Sentiment for "${job.text}"`
+        );
+        await delay(300);
+        salience = await retryWithBackoff(
+          () => analyzeSalience(answerText, brandMentions, openai, openaiModel),
+          5, `Salience for "${job.text}"`
+        );
+      }
+
+      const serpAnalyzer = new EnhancedAnalyzer();
+      const analyzerResult = serpAnalyzer.analyzeResponse(answer);
+
+      // Pull out the summary
+      const { summary } = analyzerResult;
+      
+
+      // Get AI volume data for this prompt
+      const aiVolumeData = aiVolumeDataMap.get(job.trackingId);
+      
+      // Format citations for database storage (clean url/domain, keep path, remove params)
+      const formattedCitations = formatCitationsForDB(answer.citations);
+
+      // 4) Handle tracking_results: update stub for regular jobs, create new entry for nightly jobs
+      if (isNightly) {
+
+        // Create new tracking_results entry directly with real data
+        const insertData = {
+          prompt_id: job.id,
+          prompt: job.text,
+          project_id: job.projectId,
+          user_id: job.userId,
+          snapshot_id: actualSnapshotID,
+          status: 'fulfilled',
+          timestamp: Date.now(),
+          is_present: match.anyMatch,
+          is_domain_present: domainMatch.anyMatch,
+          sentiment,
+          salience,
+          response: JSON.stringify({answer_text: answerText}),
+          citations: formattedCitations, // Store formatted citations in dedicated field
+          brand_mentions: job.brandMentions,
+          domain_mentions: job.domainMentions,
+          brand_name: String(job.brandMentions),
+          source: `${source} (Nightly)`,
+          mention_count: match.totalMatches,
+          domain_mention_count: domainMatch.totalMatches,
+          web_search: actualWebSearchOccurred,
+          intent_classification: summary.intentClassification,
+          lcp: summary.lcp,
+          actionability: summary.actionability,
+          serp: summary.serp
+        };
+
+        // Add AI volume data if available
+        if (aiVolumeData) {
+          insertData.ai_search_volume = aiVolumeData.current_volume;
+          insertData.ai_monthly_trends = aiVolumeData.monthly_trends;
+          insertData.ai_volume_fetched_at = new Date().toISOString();
+          insertData.ai_volume_location_code = aiVolumeData.location_code || 2840;
+        }
+
+        const { error: insertErr } = await supabase
+          .from('tracking_results')
+          .insert([insertData]);
+
+        if (insertErr) throw insertErr;
+      } else {
+        // Update existing tracking_results stub (regular user-initiated jobs)
+        const updateData = {
+          snapshot_id: actualSnapshotID,
+          status: 'fulfilled',
+          timestamp: Date.now(),
+          is_present: match.anyMatch,
+          is_domain_present: domainMatch.anyMatch,
+          sentiment,
+          salience,
+          response: JSON.stringify({answer_text: answerText}),
+          citations: formattedCitations, // Store formatted citations in dedicated field
+          mention_count: match.totalMatches,
+          domain_mention_count: domainMatch.totalMatches,
+          web_search: actualWebSearchOccurred,
+          intent_classification: summary.intentClassification,
+          lcp: summary.lcp,
+          actionability: summary.actionability,
+          serp: summary.serp
+        };
+
+        // Add AI volume data if available
+        if (aiVolumeData) {
+          updateData.ai_search_volume = aiVolumeData.current_volume;
+          updateData.ai_monthly_trends = aiVolumeData.monthly_trends;
+          updateData.ai_volume_fetched_at = new Date().toISOString();
+          updateData.ai_volume_location_code = aiVolumeData.location_code || 2840;
+        }
+
+        const { error: updateErr } = await supabase
+          .from('tracking_results')
+          .update(updateData)
+          .eq('id', job.trackingId);
+
+        if (updateErr) throw updateErr;
+      }
+  }
+
+  // 4) Handle any unprocessed prompts (mark them as failed)
+  const unprocessedPrompts = prompts.filter(p => !processedPromptIds.has(p.trackingId));
+  if (unprocessedPrompts.length > 0) {
+    // console.warn(`${unprocessedPrompts.length} prompts were not processed by ${source} for snapshot ${actualSnapshotID}`);
+    
+    for (const unprocessedJob of unprocessedPrompts) {
+      try {
+        if (isNightly) {
+          // Create failed tracking_results entry for nightly jobs
+          const { error: insertErr } = await supabase
+            .from('tracking_results')
+            .insert([{
+              prompt_id: unprocessedJob.id,
+              prompt: unprocessedJob.text,
+              project_id: unprocessedJob.projectId,
+              user_id: unprocessedJob.userId,
+              snapshot_id: actualSnapshotID,
+              status: 'failed',
+              timestamp: Date.now(),
+              is_present: false,
+              sentiment: 0,
+              salience: 0,
+              response: JSON.stringify({error: `No response received from ${source}`}),
+              brand_mentions: unprocessedJob.brandMentions,
+              domain_mentions: unprocessedJob.domainMentions,
+              brand_name: String(unprocessedJob.brandMentions),
+              source: `${source} (Nightly)`,
+              mention_count: 0
+            }]);
+            
+          if (insertErr) log.error('Error inserting failed nightly result', { promptId: unprocessedJob.id, err: insertErr });
+        } else {
+          // Mark existing tracking_results stub as failed
+          const { error: updateErr } = await supabase
+            .from('tracking_results')
+            .update({
+              snapshot_id: actualSnapshotID,
+              status: 'failed',
+              timestamp: Date.now(),
+              is_present: false,
+              sentiment: 0,
+              salience: 0,
+              response: JSON.stringify({error: `No response received from ${source}`}),
+              mention_count: 0
+            })
+            .eq('id', unprocessedJob.trackingId);
+            
+          if (updateErr) log.error('Error updating failed result', { trackingId: unprocessedJob.trackingId, err: updateErr });
+        }
+      } catch (err) {
+        log.error('Error marking prompt as failed', { trackingId: unprocessedJob.trackingId, promptId: unprocessedJob.id, err });
+      }
+    }
+  }
+
+  // 5) Update job batch progress for tracking (simplified - emails sent per batch above)
+  if (!isNightly && jobBatchId) {
+    try {
+      // Check if this batch has already been marked as completed (prevent retry duplicates)
+      const { data: existingJob } = await supabase
+        .from('job_batches')
+        .select('completed_batches, total_batches, failed_batches')
+        .eq('id', jobBatchId)
+        .single();
+
+      // Only increment if this batch hasn't pushed us over the total
+      const currentTotal = (existingJob?.completed_batches || 0) + (existingJob?.failed_batches || 0);
+      if (currentTotal < (existingJob?.total_batches || 0)) {
+        log.info('Incrementing completed_batches (retry-safe)');
+        await supabase.rpc('increment_completed_batches', { job_id: jobBatchId });
+        
+        // Update final job status when all batches complete (for tracking only)
+        const newTotal = currentTotal + 1;
+        if (newTotal >= (existingJob?.total_batches || 0)) {
+          const finalStatus = (existingJob?.failed_batches || 0) > 0 ? 'completed_with_errors' : 'completed';
+          await supabase
+            .from('job_batches')
+            .update({ 
+              status: finalStatus,
+              completed_at: new Date().toISOString()
+            })
+            .eq('id', jobBatchId);
+          // console.log(`Job ${jobBatchId} completed with status: ${finalStatus}`);
+        }
+      } else {
+        // console.log(`Skipping completed_batches increment for job ${jobBatchId} - already at total batches (likely a retry)`);
+      }
+    } catch (err) {
+      // console.error('Error updating job progress:', err);
+    }
+  }
+
+  // 6) Send SUCCESS email for THIS batch (with deduplication)
+  if (!isNightly && actualSnapshotID) {
+    try {
+      // Check if we've already sent an email for this snapshot_id (prevent retry duplicates)
+      const { data: existingEmail } = await supabase
+        .from('tracking_results')
+        .select('id')
+        .eq('snapshot_id', actualSnapshotID)
+        .eq('user_id', prompts[0]?.userId)
+        .limit(1)
+        .single();
+
+      if (existingEmail) {
+        // Use existence of tracking_results with this snapshot_id as deduplication
+        // Only send email if this is the first time we're processing this snapshot
+        // console.log(`Sending SUCCESS email for batch ${batchNumber + 1}/${totalBatches}, snapshot: ${actualSnapshotID}`);
+        
+        const templateVars = {
+          appUrl: process.env.APP_URL,
+          dashboardUrl: `${process.env.APP_URL}/projects/${prompts[0].projectId}`,
+          snapshotID: actualSnapshotID,
+          unsubscribeUrl: process.env.UNSUBSCRIBE_URL,
+          year: new Date().getFullYear(),
+          prompts: prompts.map(p => p.text) // Specific prompts in this batch
+        };
+
+        await transporter.sendMail({
+          from: process.env.EMAIL_FROM,
+          to: email,
+          subject: `Batch ${batchNumber + 1}/${totalBatches} completed - ${prompts.length} prompts analyzed`,
+          template: process.env.MAILGUN_TEMPLATE_NAME,
+          'h:X-Mailgun-Variables': JSON.stringify(templateVars)
+        });
+
+        // console.log(`SUCCESS email sent for batch ${batchNumber + 1}/${totalBatches}, snapshot: ${actualSnapshotID}`);
+      }
+    } catch (emailErr) {
+      // console.error('Error sending success email notification:', emailErr);
+    }
+  }
+}
+
+/**
+ * User-facing reason for a failed batch, stored as the job's error_message
+ */
+function describeFailure(err) {
+  let failureReason = 'Unknown error occurred during processing';
+  if (err.message.includes('Bright Data returned empty results')) {
+    failureReason = 'BrightData returned no results for your prompts. This usually indicates a processing issue on their end.';
+  } else if (err.message.includes('OpenAI API returned empty results')) {
+    failureReason = 'OpenAI did not answer any of your prompts. Please check your key and try again.';
+  } else if (err.message.includes('Bright Data snapshot timed out')) {
+    failureReason = 'BrightData did not finish your request in time. Please try again later.';
+  } else if (err.message.includes('Bright Data snapshot failed')) {
+    failureReason = 'BrightData reported a processing failure for your request.';
+  } else if (err.message.includes('Credential')) {
+    failureReason = 'Your stored OpenAI key could not be loaded. Please save it again and retry.';
+  } else if (err.message.includes('OpenAI')) {
+    failureReason = 'OpenAI API error occurred during analysis.';
+  } else if (err.status === 429) {
+    failureReason = 'Rate limit exceeded. Please try again later.';
+  }
+  return failureReason;
+}
+
+/**
+ * Fail a regular (non-nightly) batch: mark its tracking rows failed, count it
+ * in failed_batches (finishing the job when it was the last batch) and send the
+ * batch failure email. Resolves to true when the batch was counted.
+ */
+async function handleBatchFailure(batch, err) {
+  const {
+    snapshotID: actualSnapshotID,
+    email,
+    prompts = [],
+    jobBatchId = null,
+    batchNumber = 0,
+    totalBatches = 1,
+    isNightly = false
+  } = batch;
+  if (isNightly) return false;
+
+  const failureReason = describeFailure(err);
+  let counted = false;
+
+  try {
+    // Mark tracking results as failed with specific error message
+    // Always update by job_batch_id and batch_number for the current batch
+    if (jobBatchId && typeof batchNumber !== 'undefined') {
+      // console.log(`Marking batch ${batchNumber + 1}/${totalBatches} as failed for job ${jobBatchId}`);
+      await supabase
+        .from('tracking_results')
+        .update({ 
+          status: 'failed',
+          response: JSON.stringify({error: err.message, snapshot_id: actualSnapshotID})
+        })
+        .eq('job_batch_id', jobBatchId)
+        .eq('batch_number', batchNumber);
+    } else if (actualSnapshotID) {
+      // Fallback: update by snapshot_id if job info not available
+      // console.log(`Marking records with snapshot ${actualSnapshotID} as failed`);
+      await supabase
+        .from('tracking_results')
+        .update({ 
+          status: 'failed',
+          response: JSON.stringify({error: err.message})
+        })
+        .eq('snapshot_id', actualSnapshotID);
+    } else if (jobBatchId) {
+      // Last resort: update all pending records for this job batch
+      // console.log(`Marking all pending records for job ${jobBatchId} as failed`);
+      await supabase
+        .from('tracking_results')
+        .update({ 
+          status: 'failed',
+          response: JSON.stringify({error: err.message})
+        })
+        .eq('job_batch_id', jobBatchId)
+        .eq('status', 'pending');
+    }
+
+    // Update job batch failed count for tracking
+    if (jobBatchId) {
+      // Check if this batch has already been marked as failed (prevent retry duplicates)
+      const { data: existingJob } = await supabase
+        .from('job_batches')
+        .select('failed_batches, total_batches, completed_batches')
+        .eq('id', jobBatchId)
+        .single();
+
+      // Only increment if this batch hasn't pushed us over the total
+      const currentTotal = (existingJob?.failed_batches || 0) + (existingJob?.completed_batches || 0);
+      if (currentTotal < (existingJob?.total_batches || 0)) {
+        // console.log(`Incrementing failed_batches for job ${jobBatchId} (retry-safe)`);
+        await supabase.rpc('increment_failed_batches', { job_id: jobBatchId });
+        counted = true;
+        
+        // Update final job status when all batches complete (for tracking only)
+        const newTotal = currentTotal + 1;
+        if (newTotal >= (existingJob?.total_batches || 0)) {
+          const finalStatus = (existingJob?.completed_batches || 0) > 0 ? 'completed_with_errors' : 'failed';
+          await supabase
+            .from('job_batches')
+            .update({ 
+              status: finalStatus,
+              completed_at: new Date().toISOString(),
+              error_message: failureReason
+            })
+            .eq('id', jobBatchId);
+          // console.log(`Job ${jobBatchId} failed with status: ${finalStatus}`);
+        }
+      } else {
+        // console.log(`Skipping failed_batches increment for job ${jobBatchId} - already at total batches (likely a retry)`);
+      }
+    }
+
+    // Send FAILURE email for THIS batch (simplified - no complex deduplication needed)
+    if (!isNightly && jobBatchId && typeof batchNumber !== 'undefined') {
+      try {
+        // console.log(`Sending FAILURE email for batch ${batchNumber + 1}/${totalBatches}, snapshot: ${actualSnapshotID || 'N/A'}`);
+        
+        const templateVars = {
+          appUrl: process.env.APP_URL,
+          dashboardUrl: `${process.env.APP_URL}/projects/${prompts[0]?.projectId}`,
+          snapshotID: actualSnapshotID || 'N/A',
+          unsubscribeUrl: process.env.UNSUBSCRIBE_URL,
+          year: new Date().getFullYear(),
+          prompts: prompts.map(p => p.text) // Specific prompts that failed in this batch
+        };
+
+        await transporter.sendMail({
+          from: process.env.EMAIL_FROM,
+          to: email,
+          subject: `Batch ${batchNumber + 1}/${totalBatches} failed - ${prompts.length} prompts could not be processed`,
+          template: 'batch failed',
+          'h:X-Mailgun-Variables': JSON.stringify(templateVars)
+        });
+
+        // console.log(`FAILURE email sent for batch ${batchNumber + 1}/${totalBatches}, snapshot: ${actualSnapshotID || 'N/A'}`);
+      } catch (emailErr) {
+        // console.error('Error sending failure email notification:', emailErr);
+      }
+    } else {
+      // console.log(`Skipping FAILURE email - missing required identifiers: jobBatchId=${!!jobBatchId}, batchNumber=${batchNumber}`);
+    }
+
+  } catch (updateErr) {
+    // console.error('Error updating failure status:', updateErr);
+  }
+  return counted;
+}
+
+module.exports = {
+  processSnapshotResults,
+  describeFailure,
+  handleBatchFailure
+};
@@ -1,3 +1,5 @@
+const { normalizeAnswer, isNormalizedAnswer } = require('../providers');
+
 class EnhancedAnalyzer {
   constructor() {
     this.startTime = performance.now();
@@ -12,98 +14,22 @@ class EnhancedAnalyzer {
   }
 
   // Calculate Linked Citation Potential (LCP) score (0-100) based on client specification
-  calculateLCPScore(responseData, provider) {
+  calculateLCPScore(answer) {
     try {
       let lcp = 0;
       let distinctDomains = new Set();
-      let sources = [];
-      let itemTypes = [];
       let bonusDetails = [];
-
-      if (provider === 'brightdata') {
-        // Extract domains from links_attached
-        if (responseData.links_attached?.length > 0) {
-          responseData.links_attached.forEach(link => {
-            if (link.url) {
-              try {
-                const domain = new URL(link.url).hostname;
-                distinctDomains.add(domain);
-              } catch (e) {
-                // Invalid URL, skip
-              }
-            }
-          });
-        }
-
-        // Extract domains from citations
-        if (responseData.citations?.length > 0) {
-          responseData.citations.forEach(citation => {
-            if (citation.url) {
-              try {
-                const domain = new URL(citation.url).hostname;
-                distinctDomains.add(domain);
-                sources.push({
-                  url: citation.url,
-                  title: citation.title,
-                  cited: citation.cited
-                });
-              } catch (e) {
-                // Invalid URL, skip
-              }
-            }
-          });
-        }
-
-        // Detect item types from content structure
-        itemTypes = this.detectItemTypesFromBrightData(responseData);
-
-      } else if (provider === 'dataforseo') {
-        const result = responseData.tasks?.[0]?.result?.[0];
-        if (result) {
-          // Extract domains from sources
-          if (result.sources?.length > 0) {
-            result.sources.forEach(source => {
-              if (source.url) {
-                try {
-                  const domain = new URL(source.url).hostname;
-                  distinctDomains.add(domain);
-                  sources.push({
-                    url: source.url,
-                    title: source.title,
-                    date_published: source.date_published
-                  });
-                } catch (e) {
-                  // Invalid URL, skip
-                }
-              }
-            });
-          }
-
-          // Extract domains from search results
-          if (result.search_results?.length > 0) {
-            result.search_results.forEach(item => {
-              if (item.url) {
-                try {
-                  const domain = new URL(item.url).hostname;
-                  distinctDomains.add(domain);
-                } catch (e) {
-                  // Invalid URL, skip
-                }
-              }
-            });
-          }
-
-          // Get item types directly from DataForSEO
-          itemTypes = result.item_types || [];
-          if (result.items) {
-            result.items.forEach(item => {
-              if (item.type && !itemTypes.includes(item.type)) {
-                itemTypes.push(item.type);
-              }
-            });
-          }
+      const sources = answer.citations;
+      const itemTypes = answer.itemTypes;
+
+      // Extract domains from cited sources and other linked pages
+      [...answer.citations, ...answer.links].forEach(link => {
+        try {
+          distinctDomains.add(new URL(link.url).hostname);
+        } catch (e) {
+          // Invalid URL, skip
         }
-      }
+      });
 
       // Base Score from Distinct Domains (8 points each, max 8 domains)
       const domainCount = Math.min(distinctDomains.size, 8);
@@ -174,55 +100,13 @@ class EnhancedAnalyzer {
   }
 
   // Calculate Actionability Score (0-100) based on client specification
-  calculateActionabilityScore(responseData, provider) {
+  calculateActionabilityScore(answer) {
     try {
       let actionability = 0;
-      let itemTypes = [];
-      let sources = [];
       let bonusDetails = [];
-
-      if (provider === 'brightdata') {
-        // Detect item types from content structure
-        itemTypes = this.detectItemTypesFromBrightData(responseData);
-
-        // Get sources for freshness analysis
-        if (responseData.citations?.length > 0) {
-          responseData.citations.forEach(citation => {
-            if (citation.url) {
-              sources.push({
-                url: citation.url,
-                title: citation.title,
-                cited: citation.cited
-              });
-            }
-          });
-        }
-
-      } else if (provider === 'dataforseo') {
-        const result = responseData.tasks?.[0]?.result?.[0];
-        if (result) {
-          // Get item types directly from DataForSEO
-          itemTypes = result.item_types || [];
-          if (result.items) {
-            result.items.forEach(item => {
-              if (item.type && !itemTypes.includes(item.type)) {
-                itemTypes.push(item.type);
-              }
-            });
-          }
-
-          // Get sources for freshness analysis
-          if (result.sources?.length > 0) {
-            result.sources.forEach(source => {
-              sources.push({
-                url: source.url,
-                title: source.title,
-                date_published: source.date_published
-              });
-            });
-          }
-        }
-      }
+      const itemTypes = answer.itemTypes;
+      // Sources for freshness analysis
+      const sources = answer.citations;
 
       // Table Presence Bonus (+30)
       if (itemTypes.includes('chat_gpt_table')) {
@@ -303,8 +187,8 @@ class EnhancedAnalyzer {
     threshold.setDate(threshold.getDate() - daysThreshold);
     
     return sources.some(source => {
-      if (source.date_published) {
-        const publishDate = new Date(source.date_published);
+      if (source.datePublished) {
+        const publishDate = new Date(source.datePublished);
         return publishDate > threshold;
       }
       return false; // No date means not fresh
@@ -321,8 +205,8 @@ class EnhancedAnalyzer {
     // Find the freshest source
     let freshestDate = null;
     sources.forEach(source => {
-      if (source.date_published) {
-        const publishDate = new Date(source.date_published);
+      if (source.datePublished) {
+        const publishDate = new Date(source.datePublished);
         if (!freshestDate || publishDate > freshestDate) {
           freshestDate = publishDate;
         }
@@ -333,45 +217,6 @@ class EnhancedAnalyzer {
     return freshestDate && freshestDate < threshold;
   }
 
-  // Helper: Detect item types from BrightData response structure
-  detectItemTypesFromBrightData(responseData) {
-    const itemTypes = [];
-    
-    // Always has text if there's an answer
-    if (responseData.answer_text_markdown?.length > 0) {
-      itemTypes.push('chat_gpt_text');
-    }
-
-    // Check for products/shopping
-    if (responseData.shopping_visible && responseData.shopping?.length > 0) {
-      itemTypes.push('chat_gpt_products');
-    }
-
-    // Check for images in markdown
-    const imageMatches = responseData.answer_text_markdown?.match(/!\[.*?\]\(.*?\)/g) || [];
-    if (imageMatches.length > 0) {
-      itemTypes.push('chat_gpt_images');
-    }
-
-    // Check for tables (look for markdown table syntax)
-    const tableMatches = responseData.answer_text_markdown?.match(/\|.*\|/g) || [];
-    if (tableMatches.length > 2) { // At least header + separator + data row
-      itemTypes.push('chat_gpt_table');
-    }
-
-    // Check for navigation lists (multiple structured links)
-    if (responseData.links_attached?.length > 3) {
-      itemTypes.push('chat_gpt_navigation_list');
-    }
-
-    // Check for local businesses (if map is present)
-    if (responseData.is_map) {
-      itemTypes.push('chat_gpt_local_businesses');
-    }
-
-    return itemTypes;
-  }
-
   getActionabilityRating(score) {
     if (score >= 80) return { rating: 'Highly Actionable', color: '🟢' };
     if (score >= 60) return { rating: 'Moderately Actionable', color: '🟡' };
@@ -380,7 +225,7 @@ class EnhancedAnalyzer {
   }
 
   // Calculate Intent Classification (informational, transactional, navigational)
-  calculateIntentClassification(responseData, provider) {
+  calculateIntentClassification(answer) {
     try {
       let scores = {
         informational: 0,
@@ -390,36 +235,9 @@ class EnhancedAnalyzer {
         navigational: 0
       };
 
-      let itemTypes = [];
-      let content = '';
-      let sources = [];
-
-      if (provider === 'brightdata') {
-        itemTypes = this.detectItemTypesFromBrightData(responseData);
-        content = responseData.answer_text_markdown || '';
-        if (responseData.citations?.length > 0) {
-          responseData.citations.forEach(citation => {
-            sources.push({
-              url: citation.url,
-              title: citation.title
-            });
-          });
-        }
-      } else if (provider === 'dataforseo') {
-        const result = responseData.tasks?.[0]?.result?.[0];
-        if (result) {
-          itemTypes = result.item_types || [];
-          content = result.text || '';
-          if (result.sources?.length > 0) {
-            result.sources.forEach(source => {
-              sources.push({
-                url: source.url,
-                title: source.title
-              });
-            });
-          }
-        }
-      }
+      const itemTypes = answer.itemTypes;
+      const content = answer.markdown;
+      const sources = answer.citations;
 
       // Commercial signals (product-focused, comparison, reviews)
       if (itemTypes.includes('chat_gpt_products')) {
@@ -700,7 +518,7 @@ class EnhancedAnalyzer {
   }
 
   // Enhanced feature detection
-  detectSERPFeatures(responseData, provider) {
+  detectSERPFeatures(answer) {
     // Reset features
     Object.keys(this.features).forEach(key => {
       this.features[key].detected = false;
@@ -708,115 +526,17 @@ class EnhancedAnalyzer {
     });
 
     try {
-      if (provider === 'brightdata') {
-        this.detectBrightDataFeatures(responseData);
-      } else if (provider === 'dataforseo') {
-        this.detectDataForSEOFeatures(responseData);
-      }
-
-      return this.features;
-    } catch (error) {
-      console.error('Feature detection error:', error);
-      return this.features;
-    }
-  }
-
-  detectBrightDataFeatures(data) {
-    // Map BrightData features to ChatGPT categories
-    
-    // Text content
-    if (data.answer_text_markdown?.length > 0) {
-      this.features.chat_gpt_text.detected = true;
-      this.features.chat_gpt_text.count = 1;
-    }
-
-    // Products/Shopping
-    if (data.shopping_visible && data.shopping?.length > 0) {
-      this.features.chat_gpt_products.detected = true;
-      this.features.chat_gpt_products.count = data.shopping.length;
-    }
-
-    // Images
-    const imageMatches = data.answer_text_markdown?.match(/!\[.*?\]\(.*?\)/g) || [];
-    if (imageMatches.length > 0) {
-      this.features.chat_gpt_images.detected = true;
-      this.features.chat_gpt_images.count = imageMatches.length;
-    }
-
-    // Tables (look for markdown table syntax)
-    const tableMatches = data.answer_text_markdown?.match(/\|.*\|/g) || [];
-    if (tableMatches.length > 2) { // At least header + separator + data row
-      this.features.chat_gpt_table.detected = true;
-      this.features.chat_gpt_table.count = 1;
-    }
-
-    // Navigation lists (structured lists with links)
-    const linkMatches = data.links_attached || [];
-    if (linkMatches.length > 3) {
-      this.features.chat_gpt_navigation_list.detected = true;
-      this.features.chat_gpt_navigation_list.count = 1;
-    }
-
-    // Local businesses (if map is present, assume local context)
-    if (data.is_map) {
-      this.features.chat_gpt_local_businesses.detected = true;
-      this.features.chat_gpt_local_businesses.count = 1;
-    }
-  }
-
-  detectDataForSEOFeatures(data) {
-    const result = data.tasks?.[0]?.result?.[0];
-    if (!result) return;
-
-    // Use the item_types array if available (most accurate)
-    if (result.item_types && Array.isArray(result.item_types)) {
-      result.item_types.forEach(type => {
-        if (this.features[type]) {
-          this.features[type].detected = true;
-          this.features[type].count = 1; // Will be updated below with actual counts
-        }
-      });
-    }
-
-    // Count actual items by type
-    if (result.items && Array.isArray(result.items)) {
-      const typeCounts = {};
-      
-      result.items.forEach(item => {
-        const type = item.type;
+      Object.entries(answer.itemCounts).forEach(([type, count]) => {
         if (this.features[type]) {
-          typeCounts[type] = (typeCounts[type] || 0) + 1;
-          
-          // For products and local businesses, count nested items
-          if (type === 'chat_gpt_products' && item.items) {
-            this.features[type].count = item.items.length;
-          } else if (type === 'chat_gpt_local_businesses' && item.items) {
-            this.features[type].count = item.items.length;
-          } else if (type === 'chat_gpt_images' && item.items) {
-            this.features[type].count = item.items.length;
-          } else {
-            this.features[type].count = typeCounts[type];
-          }
           this.features[type].detected = true;
+          this.features[type].count = count;
         }
       });
-    }
 
-    // Additional counts from other sources
-    if (result.search_results?.length > 0) {
-      // Search results don't have their own type in ChatGPT, but indicate text content
-      if (!this.features.chat_gpt_text.detected) {
-        this.features.chat_gpt_text.detected = true;
-        this.features.chat_gpt_text.count = 1;
-      }
-    }
-
-    if (result.sources?.length > 0) {
-      // Sources typically indicate navigation lists
-      if (!this.features.chat_gpt_navigation_list.detected) {
-        this.features.chat_gpt_navigation_list.detected = true;
-        this.features.chat_gpt_navigation_list.count = 1;
-      }
+      return this.features;
+    } catch (error) {
+      console.error('Feature detection error:', error);
+      return this.features;
     }
   }
 
@@ -829,19 +549,19 @@ class EnhancedAnalyzer {
     return detected || 'No special features detected';
   }
 
-  // Main analysis method
+  // Main analysis method: takes a normalized answer (see providers/) or a raw provider payload
   analyzeResponse(responseData, provider = 'auto') {
     try {
-      // Auto-detect provider
-      if (provider === 'auto') {
-        provider = responseData.tasks ? 'dataforseo' : 'brightdata';
-      }
-
-      const lcp = this.calculateLCPScore(responseData, provider); // Linked Citation Potential
-      const actionability = this.calculateActionabilityScore(responseData, provider);
-      const features = this.detectSERPFeatures(responseData, provider);
+      const answer = isNormalizedAnswer(responseData)
+        ? responseData
+        : normalizeAnswer(responseData, provider === 'auto' ? undefined : provider);
+      provider = answer.provider;
+
+      const lcp = this.calculateLCPScore(answer); // Linked Citation Potential
+      const actionability = this.calculateActionabilityScore(answer);
+      const features = this.detectSERPFeatures(answer);
       const featureDisplay = this.generateFeatureDisplay();
-      const intentClassification = this.calculateIntentClassification(responseData, provider);
+      const intentClassification = this.calculateIntentClassification(answer);
 
       return {
         provider,
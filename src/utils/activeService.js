@@ -1,22 +1,43 @@
 // / utils/activeService.js
 const cron = require("node-cron");
 const axios = require("axios");
-const { bright, dataForSeo } = require("../config");
+const {
+  bright,
+  dataForSeo,
+  mock,
+  openaiAnswers,
+  openaiTopic,
+} = require("../config");
+const {
+  refreshCircuitBreakers,
+  isCircuitAvailable,
+  takeProbe,
+  getCircuitStatus,
+} = require("./circuitBreaker");
+const { getRoutingSettings, chooseService } = require("./providerRouting");
+const { createLogger } = require("./logger");
+
+const log = createLogger("active-service");
 
 // Configuration
 const BRIGHTDATA_API_KEY = bright.key;
 const DATAFORSEO_LOGIN = dataForSeo.login;
 const DATAFORSEO_PASSWORD = dataForSeo.password;
 
-// Current active service and initialization state
+// Current active service and initialization state.
+// healthyServices: every healthy scraper in the admin's health check order
 let activeService = null;
+let healthyServices = [];
 let isInitialized = false;
 let initializationPromise = null;
+// When the last health check ran, and when each service last passed one
+let lastCheckedAt = null;
+const lastHealthyAt = {};
 
 // Check BrightData health with proper await
 async function checkBrightData() {
   try {
-    console.log("🔍 Checking BrightData API health...");
+    log.debug("Checking BrightData API health");
 
     const response = await axios.get(
       "https://api.brightdata.com/network_status/all",
@@ -29,19 +50,18 @@ async function checkBrightData() {
 
     // Check for rate limiting
     if (response.status === 429) {
-      console.log(
-        "⚠️ BrightData rate limited (429) - treating as healthy but busy"
-      );
+      log.warn("BrightData rate limited (429), treating as healthy but busy");
       return true; // Service is healthy, just rate limited
     }
 
     const isHealthy = response.status === 200;
-    console.log(
-      `${isHealthy ? "✅" : "❌"} BrightData health check: ${response.status}`
-    );
+    log.info("BrightData health check", {
+      healthy: isHealthy,
+      status: response.status,
+    });
     return isHealthy;
   } catch (error) {
-    console.log(`❌ BrightData check failed: ${error.message}`);
+    log.warn("BrightData check failed", { err: error });
     return false;
   }
 }
@@ -49,7 +69,7 @@ async function checkBrightData() {
 // Check DataForSEO health with proper await
 async function checkDataForSEO() {
   try {
-    console.log("🔍 Checking DataForSEO API health...");
+    log.debug("Checking DataForSEO API health");
 
     const credentials = Buffer.from(
       `${DATAFORSEO_LOGIN}:${DATAFORSEO_PASSWORD}`
@@ -66,59 +86,104 @@ async function checkDataForSEO() {
 
     // Check for rate limiting
     if (response.status === 429) {
-      console.log(
-        "⚠️ DataForSEO rate limited (429) - treating as healthy but busy"
-      );
+      log.warn("DataForSEO rate limited (429), treating as healthy but busy");
       return true;
     }
 
     const isHealthy = response.data?.status_code === 20000;
-    console.log(
-      `${isHealthy ? "✅" : "❌"} DataForSEO health check: ${
-        response.data?.status_code || response.status
-      }`
-    );
+    log.info("DataForSEO health check", {
+      healthy: isHealthy,
+      status: response.data?.status_code || response.status,
+    });
     return isHealthy;
   } catch (error) {
-    console.log(`❌ DataForSEO check failed: ${error.message}`);
+    log.warn("DataForSEO check failed", { err: error });
     return false;
   }
 }
 
+// A service is healthy when its circuit is not open and its ping check passes
+async function isHealthy(service, pingCheck) {
+  if (!isCircuitAvailable(service)) {
+    log.info(`${service} circuit is open, skipping it`);
+    return false;
+  }
+  return pingCheck();
+}
+
+// The OpenAI API answers with the user's own key; only config and its circuit matter
+const isOpenAIAvailable = () =>
+  openaiAnswers.fallbackEnabled &&
+  Boolean(openaiTopic) &&
+  isCircuitAvailable("openai");
+
+const PING_CHECKS = {
+  brightdata: checkBrightData,
+  dataforseo: checkDataForSEO,
+};
+
 // Main health check function - waits for complete API responses
 async function updateActiveService() {
+  // Mock providers are always up; no health check requests
+  if (mock.enabled) {
+    activeService = mock.service;
+    healthyServices = [mock.service];
+    lastCheckedAt = new Date().toISOString();
+    lastHealthyAt[mock.service] = lastCheckedAt;
+    log.info(`Mock providers enabled, active service: ${activeService}`);
+    return activeService;
+  }
+
   try {
     const startTime = Date.now();
     
-    // This will wait for the full response before continuing
-    const dataForSEOHealthy = await checkDataForSEO();
+    // Real task outcomes first: an open circuit skips the ping check entirely
+    await refreshCircuitBreakers();
+    // Admins set the order (provider_routing); every scraper is checked so
+    // weighted routing and pins know all the healthy ones
+    const { order } = await getRoutingSettings({ maxAgeMs: 0 });
+
+    const healthy = [];
+    for (const service of order.filter((name) => PING_CHECKS[name])) {
+      // This will wait for the full response before continuing
+      if (await isHealthy(service, PING_CHECKS[service])) {
+        healthy.push(service);
+        lastHealthyAt[service] = new Date().toISOString();
+      }
+    }
+    healthyServices = healthy;
+    lastCheckedAt = new Date().toISOString();
 
-    if (dataForSEOHealthy) {
-      activeService = "dataforseo";
+    if (healthy.length > 0) {
+      activeService = healthy[0];
       const duration = Date.now() - startTime;
-      console.log(`✅ DataForSEO selected as active service (${duration}ms)`);
+      log.info(`${activeService} selected as active service`, {
+        healthy,
+        durationMs: duration,
+      });
       return activeService;
     }
-    // Check BrightData first (preferred service)
-    // This will wait for the full response before continuing
-    const brightDataHealthy = await checkBrightData();
 
-    if (brightDataHealthy) {
-      activeService = "brightdata";
+    // Both scrapers failed: ask the model directly with the user's own key
+    // (validated per request), so there is no shared health check to run
+    if (isOpenAIAvailable()) {
+      activeService = "openai";
       const duration = Date.now() - startTime;
-      console.log(`✅ BrightData selected as active service (${duration}ms)`);
+      log.warn("Scrapers down, falling back to OpenAI API", {
+        durationMs: duration,
+      });
       return activeService;
     }
 
-
     // Both services failed
     activeService = null;
     const duration = Date.now() - startTime;
-    console.log(`❌ All services are down (${duration}ms)`);
+    log.error("All services are down", { durationMs: duration });
     return activeService;
   } catch (error) {
-    console.error("❌ Error during service health check:", error.message);
+    log.error("Error during service health check", { err: error });
     activeService = null;
+    healthyServices = [];
     return activeService;
   }
 }
@@ -127,28 +192,26 @@ async function updateActiveService() {
 async function initializeServices() {
   // Return existing initialization if already in progress
   if (initializationPromise) {
-    console.log("⏳ Service initialization already in progress, waiting...");
+    log.debug("Service initialization already in progress, waiting");
     return await initializationPromise;
   }
 
   // Create new initialization promise
   initializationPromise = (async () => {
     try {
-      console.log("🚀 Initializing service monitoring...");
+      log.info("Initializing service monitoring");
 
       // Wait for updateActiveService to complete fully
       const service = await updateActiveService();
 
       isInitialized = true;
-      console.log(
-        `🎯 Service monitoring initialized. Active service: ${
-          service || "NONE"
-        }`
+      log.info(
+        `Service monitoring initialized. Active service: ${service || "NONE"}`
       );
 
       return service;
     } catch (error) {
-      console.error("❌ Service initialization failed:", error);
+      log.error("Service initialization failed", { err: error });
       isInitialized = false;
       initializationPromise = null; // Reset so it can be retried
       throw error;
@@ -162,82 +225,135 @@ async function initializeServices() {
 // Get active service (synchronous - returns immediately)
 function getActiveService() {
   if (!isInitialized) {
-    console.warn("⚠️ Service monitoring not yet initialized, returning null");
+    log.warn("Service monitoring not yet initialized, returning null");
   }
   return activeService;
 }
 
-// Get active service and wait for initialization if needed
-async function getActiveServiceAsync() {
+// Get the service for a request and wait for initialization if needed.
+// `context` ({ userId, projectId }) lets admin pins route specific customers;
+// without it the global pin / weights / order still apply.
+async function getActiveServiceAsync(context = {}) {
   // If not initialized, wait for initialization to complete
   if (!isInitialized) {
-    console.log("⏳ Service not initialized, waiting for initialization...");
+    log.info("Service not initialized, waiting for initialization");
 
     try {
       // This will wait for all API calls to complete
       const service = await initializeServices();
-      console.log(`✅ Service initialized: ${service || "NONE"}`);
-      return service;
+      log.info(`Service initialized: ${service || "NONE"}`);
     } catch (error) {
-      console.error("❌ Failed to initialize service:", error);
+      log.error("Failed to initialize service", { err: error });
       return null;
     }
   }
 
-  // Already initialized, return immediately
-  console.log(`ℹ️ Returning cached active service: ${activeService || "NONE"}`);
-  return activeService;
+  // Only the OpenAI fallback (or nothing) is up: no routing choice to make
+  if (healthyServices.length === 0) {
+    log.debug(`Returning cached active service: ${activeService || "NONE"}`);
+    return activeService;
+  }
+
+  // OpenAI comes last, so only pins and weights send traffic to it. A
+  // half-open circuit drops out once its probes are taken.
+  const available = healthyServices.filter(isCircuitAvailable);
+  const candidates = isOpenAIAvailable() ? [...available, "openai"] : available;
+  const service = chooseService(
+    candidates,
+    await getRoutingSettings(),
+    context
+  );
+  if (service) takeProbe(service);
+  log.debug(`Routed to ${service}`, { healthy: healthyServices });
+  return service;
+}
+
+// Healthy scrapers as of the last health check
+function getHealthyServices() {
+  return [...healthyServices];
 }
 
 // Start monitoring with proper initialization
 async function startMonitoring() {
   try {
-    console.log("🚀 Starting service monitoring system...");
+    log.info("Starting service monitoring system");
 
     // Initialize services first and wait for completion
     const initialService = await initializeServices();
-    console.log(`✅ Initial service selected: ${initialService || "NONE"}`);
+    log.info(`Initial service selected: ${initialService || "NONE"}`);
 
     // Schedule periodic health checks every minute
     // Each check will wait for API responses before continuing
     cron.schedule("* * * * *", async () => {
-      console.log("⏰ Running scheduled health check...");
+      log.debug("Running scheduled health check");
       try {
         await updateActiveService();
       } catch (error) {
-        console.error("❌ Scheduled health check failed:", error);
+        log.error("Scheduled health check failed", { err: error });
       }
     });
 
-    console.log(
-      "✅ Service monitoring started with periodic health checks (every 1 minute)"
+    log.info(
+      "Service monitoring started with periodic health checks (every 1 minute)"
     );
     return initialService;
   } catch (error) {
-    console.error("❌ Failed to start service monitoring:", error);
+    log.error("Failed to start service monitoring", { err: error });
     throw error;
   }
 }
 
 // Force refresh the active service (waits for completion)
 async function refreshActiveService() {
-  console.log("🔄 Force refreshing active service...");
+  log.info("Force refreshing active service");
 
   try {
     const service = await updateActiveService();
-    console.log(`✅ Service refreshed: ${service || "NONE"}`);
+    log.info(`Service refreshed: ${service || "NONE"}`);
     return service;
   } catch (error) {
-    console.error("❌ Failed to refresh service:", error);
+    log.error("Failed to refresh service", { err: error });
     return null;
   }
 }
 
+// Check one service right now, whatever the active service is (used by failover)
+async function checkServiceHealth(service) {
+  // Mock providers are always up
+  if (mock.enabled) return service !== "openai" || openaiAnswers.fallbackEnabled;
+
+  // Workers fail over rarely; a minute old view of the circuits is enough
+  await refreshCircuitBreakers(60 * 1000);
+
+  // The caller sends the batch there, so a half-open circuit spends a probe
+  switch (service) {
+    case "brightdata":
+      return (
+        (await isHealthy("brightdata", checkBrightData)) &&
+        takeProbe("brightdata")
+      );
+    case "dataforseo":
+      return (
+        (await isHealthy("dataforseo", checkDataForSEO)) &&
+        takeProbe("dataforseo")
+      );
+    case "openai":
+      return isOpenAIAvailable() && takeProbe("openai");
+    default:
+      return false;
+  }
+}
+
 // Get service status for debugging
 function getServiceStatus() {
   return {
     activeService,
+    healthyServices,
     isInitialized,
+    lastCheckedAt,
+    lastHealthyAt: { ...lastHealthyAt },
+    // Circuit state per provider as of the last health check
+    circuits: getCircuitStatus(),
     timestamp: new Date().toISOString(),
   };
 }
@@ -249,20 +365,22 @@ module.exports = {
   refreshActiveService,
   getServiceStatus,
   initializeServices,
+  checkServiceHealth,
+  getHealthyServices,
 };
 
 // Auto-start if run directly
 if (require.main === module) {
   startMonitoring()
     .then((service) => {
-      console.log(
-        `✅ Service monitoring started successfully with ${
+      log.info(
+        `Service monitoring started successfully with ${
           service || "NO"
         } service`
       );
     })
     .catch((error) => {
-      console.error("❌ Failed to start service monitoring:", error);
+      log.error("Failed to start service monitoring", { err: error });
       process.exit(1);
     });
 }
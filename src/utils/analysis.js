@@ -1,5 +1,20 @@
 // src/analysis.js
 const OpenAI = require("openai");
+const { observeAnalysisCall } = require("./metrics");
+
+/**
+ * chat.completions.create, counted in the OpenAI analysis metrics
+ */
+async function createCompletion(openai, params) {
+  try {
+    const completion = await openai.chat.completions.create(params);
+    observeAnalysisCall(params.model, { usage: completion.usage });
+    return completion;
+  } catch (error) {
+    observeAnalysisCall(params.model, { error });
+    throw error;
+  }
+}
 
 /**
  * Normalize text for better brand matching by handling quotes and accents
@@ -152,7 +167,7 @@ Relevant Text:
 ${response}
 """`;
 
-  const completion = await openai.chat.completions.create({
+  const completion = await createCompletion(openai, {
     model,
     messages: [
       {
@@ -200,7 +215,7 @@ ${response}
 
 Provide only a single number between 0-100 as your rating.`;
 
-  const completion = await openai.chat.completions.create({
+  const completion = await createCompletion(openai, {
     model,
     messages: [
       {
@@ -272,7 +287,7 @@ ${response}
 
 
   try {
-    const completion = await openai.chat.completions.create({
+    const completion = await createCompletion(openai, {
       model,
       messages: [
         {
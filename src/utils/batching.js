@@ -0,0 +1,94 @@
+// utils/batching.js
+// Helpers shared by everything that splits prompts into batches and queues them
+const {
+  pubsubTopic,
+  dataForSEOTopic,
+  openaiTopic,
+  pubsubNightlyTopic,
+  dataForSEONightlyTopic,
+  openaiNightlyTopic,
+} = require("../config");
+const queue = require("../queue");
+const { LANES, schedulingAttributes } = require("../queue/lanes");
+const { enqueuedPrompts } = require("./metrics");
+const { toMessageAttributes } = require("./logger");
+
+/** Pick batch size: <5 ⇒ all, ≤10 ⇒ 5, else ⇒ 10 */
+function getBatchSize(count) {
+  if (count < 5) return count;
+  if (count <= 10) return 5;
+  return 10;
+}
+
+/** Simple chunking helper */
+function chunkArray(arr, n) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += n) {
+    out.push(arr.slice(i, i + n));
+  }
+  return out;
+}
+
+/**
+ * Queue topic consumed by the worker of a service. The nightly lane falls
+ * back to the interactive topic when it has none of its own.
+ */
+function topicForService(service, lane = LANES.interactive) {
+  const nightly = lane === LANES.nightly;
+  switch (service) {
+    case "brightdata":
+      return (nightly && pubsubNightlyTopic) || pubsubTopic;
+    case "dataforseo":
+      return (nightly && dataForSEONightlyTopic) || dataForSEOTopic;
+    case "openai":
+      return (nightly && openaiNightlyTopic) || openaiTopic;
+    default:
+      return null;
+  }
+}
+
+/** Human readable `source` stored on prompts / tracking_results */
+function sourceForService(service) {
+  switch (service) {
+    case "dataforseo":
+      return "DataForSEO";
+    case "openai":
+      return "OpenAI API";
+    default:
+      return "Bright Data";
+  }
+}
+
+/**
+ * Publish one batch message to a topic. `source` (enqueue, retry, nightly,
+ * failover) labels the queued prompts in the metrics. The log correlation
+ * fields and what the workers schedule by (lane, plan, project) travel as
+ * message attributes.
+ */
+async function publishBatch(topicName, payload, source = "enqueue") {
+  const messageId = await queue.publish(topicName, JSON.stringify(payload), {
+    ...toMessageAttributes({
+      jobBatchId: payload.jobBatchId,
+      batchNumber: payload.batchNumber,
+      userId: payload.user_id,
+    }),
+    ...schedulingAttributes(payload),
+  });
+  enqueuedPrompts.inc(
+    {
+      source,
+      engine: payload.engine || "chatgpt",
+      service: payload.service || "unknown",
+    },
+    payload.prompts?.length || 0
+  );
+  return messageId;
+}
+
+module.exports = {
+  getBatchSize,
+  chunkArray,
+  topicForService,
+  sourceForService,
+  publishBatch,
+};
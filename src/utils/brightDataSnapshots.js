@@ -0,0 +1,192 @@
+// utils/brightDataSnapshots.js
+// Batch context of Bright Data snapshots delivered by webhook. The worker stores
+// the batch when it triggers the snapshot and acks its Pub/Sub message; the
+// webhook route claims the row when Bright Data reports the snapshot ready.
+//
+// Snapshots the worker polls itself are checkpointed under the id of their
+// queue message, so a redelivered batch resumes polling the same snapshot.
+const { supabase } = require("../config");
+const { createLogger } = require("./logger");
+
+const TABLE = "brightdata_snapshots";
+
+const log = createLogger("brightdata-snapshots");
+
+/**
+ * Remember the batch a webhook-delivered snapshot belongs to
+ */
+async function registerWebhookSnapshot(snapshotId, batch) {
+  // Never persist plaintext keys; workers resolve credentialId instead
+  const { openaiKey, ...storedBatch } = batch;
+
+  const { error } = await supabase.from(TABLE).upsert(
+    [
+      {
+        snapshot_id: snapshotId,
+        job_batch_id: batch.jobBatchId || null,
+        batch: storedBatch,
+        status: "waiting",
+        updated_at: new Date().toISOString(),
+      },
+    ],
+    { onConflict: "snapshot_id" }
+  );
+
+  if (error) {
+    throw new Error(
+      `Failed to register snapshot ${snapshotId}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Remember the snapshot a polling worker triggered for a queue message. Best
+ * effort: without the checkpoint a redelivery only triggers a new snapshot.
+ */
+async function registerPolledSnapshot(snapshotId, batch, messageId) {
+  const { openaiKey, ...storedBatch } = batch;
+
+  const { error } = await supabase.from(TABLE).upsert(
+    [
+      {
+        snapshot_id: snapshotId,
+        message_id: messageId,
+        job_batch_id: batch.jobBatchId || null,
+        batch: storedBatch,
+        status: "polling",
+        updated_at: new Date().toISOString(),
+      },
+    ],
+    { onConflict: "snapshot_id" }
+  );
+
+  if (error) {
+    log.error("Failed to checkpoint snapshot", {
+      taskId: snapshotId,
+      err: error,
+    });
+  }
+}
+
+/**
+ * Snapshot still being polled for a queue message, or null
+ */
+async function findPolledSnapshot(messageId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("snapshot_id")
+    .eq("message_id", messageId)
+    .eq("status", "polling")
+    .maybeSingle();
+
+  if (error) {
+    log.error("Failed to look up snapshot of message", {
+      messageId,
+      err: error,
+    });
+    return null;
+  }
+  return data?.snapshot_id || null;
+}
+
+/**
+ * Move a waiting snapshot to "processing". Returns the row, or null when the
+ * snapshot is unknown or another notification already claimed it.
+ */
+async function claimWebhookSnapshot(snapshotId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ status: "processing", updated_at: new Date().toISOString() })
+    .eq("snapshot_id", snapshotId)
+    .eq("status", "waiting")
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to claim snapshot ${snapshotId}: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Webhook snapshots that may have been lost: rows still waiting for a
+ * notification since before `waitingBefore`, and rows whose processing was
+ * interrupted (no update since `processingBefore`). Oldest first.
+ */
+async function findStaleWebhookSnapshots({
+  waitingBefore,
+  processingBefore,
+  limit,
+}) {
+  const load = async (status, column, before) => {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select("*")
+      .eq("status", status)
+      .lt(column, before.toISOString())
+      .order(column, { ascending: true })
+      .limit(limit);
+    if (error) {
+      throw new Error(`Failed to load ${status} snapshots: ${error.message}`);
+    }
+    return data || [];
+  };
+
+  return [
+    ...(await load("waiting", "created_at", waitingBefore)),
+    ...(await load("processing", "updated_at", processingBefore)),
+  ];
+}
+
+/**
+ * Take over a snapshot whose processing was interrupted. Returns the row, or
+ * null when someone else touched it since it was loaded.
+ */
+async function reclaimWebhookSnapshot(row) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ updated_at: new Date().toISOString() })
+    .eq("snapshot_id", row.snapshot_id)
+    .eq("status", "processing")
+    .eq("updated_at", row.updated_at)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(
+      `Failed to reclaim snapshot ${row.snapshot_id}: ${error.message}`
+    );
+  }
+  return data;
+}
+
+/**
+ * Record the final state of a stored snapshot
+ */
+async function finishSnapshot(snapshotId, status, errorMessage = null) {
+  const { error } = await supabase
+    .from(TABLE)
+    .update({
+      status,
+      error_message: errorMessage,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("snapshot_id", snapshotId);
+
+  if (error) {
+    log.error(`Failed to update snapshot to ${status}`, {
+      taskId: snapshotId,
+      err: error,
+    });
+  }
+}
+
+module.exports = {
+  registerWebhookSnapshot,
+  registerPolledSnapshot,
+  findPolledSnapshot,
+  claimWebhookSnapshot,
+  findStaleWebhookSnapshots,
+  reclaimWebhookSnapshot,
+  finishSnapshot,
+};
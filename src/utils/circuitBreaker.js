@@ -0,0 +1,248 @@
+// utils/circuitBreaker.js
+// Per-provider circuit breaker fed by real task outcomes. Ping checks
+// (network_status, appendix/status) can be green while tasks fail, so the
+// workers and the DataForSEO callback record every task outcome in
+// provider_outcomes; whoever picks the active service evaluates the rolling
+// window from there, since outcomes come from several processes.
+//
+// closed ──(failure rate ≥ threshold)──▶ open ──(openMs)──▶ half_open
+// half_open ──(probeSuccesses successes)──▶ closed, ──(any failure)──▶ open
+//
+// A half-open circuit lets probeRequests tasks through (takeProbe), then
+// holds traffic back until their outcomes close or reopen it; when none
+// arrive within openMs, another round of probes is let through.
+//
+// Outcomes are shared, but each process (server, workers) keeps its own
+// circuit state and probe budget: circuits of different processes may
+// disagree until their next refresh, and each process sends its own probes.
+const { supabase, circuitBreaker: settings } = require("../config");
+const { observeProviderTask } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const TABLE = "provider_outcomes";
+const PROVIDERS = ["brightdata", "dataforseo", "openai"];
+// Outcomes are only needed for the window; older rows are pruned hourly
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const log = createLogger("circuit-breaker");
+
+const circuits = Object.fromEntries(
+  PROVIDERS.map((provider) => [
+    provider,
+    {
+      state: "closed",
+      // Outcomes before `since` belong to an earlier state and are ignored
+      since: null,
+      // Tasks a half-open circuit may still let through, and since when
+      probesLeft: 0,
+      probesSince: null,
+      samples: 0,
+      failures: 0,
+      failureRate: 0,
+      avgLatencyMs: null,
+      lastError: null,
+    },
+  ])
+);
+let refreshedAt = 0;
+let prunedAt = 0;
+
+/**
+ * Record the outcome of one provider task. Never throws: losing an outcome
+ * must not fail the task it describes.
+ */
+async function recordProviderOutcome(
+  provider,
+  { success, latencyMs = null, error = null }
+) {
+  if (!PROVIDERS.includes(provider)) return;
+  observeProviderTask(provider, success, latencyMs);
+
+  try {
+    const { error: insertError } = await supabase.from(TABLE).insert([
+      {
+        provider,
+        success: Boolean(success),
+        latency_ms: Number.isFinite(latencyMs) ? Math.round(latencyMs) : null,
+        error: error ? String(error).slice(0, 500) : null,
+      },
+    ]);
+    if (insertError) throw insertError;
+  } catch (err) {
+    log.warn("Could not record provider outcome", { provider, err });
+  }
+}
+
+function transition(circuit, provider, state, now) {
+  log.info(`Circuit ${provider}: ${circuit.state} → ${state}`, { provider });
+  circuit.state = state;
+  circuit.since = now;
+  if (state === "half_open") allowProbes(circuit, now);
+}
+
+function allowProbes(circuit, now) {
+  circuit.probesLeft = settings.probeRequests;
+  circuit.probesSince = now;
+}
+
+/**
+ * Counts of the outcomes `provider` had since `windowStart`, aggregated by the
+ * database (summarize_provider_outcomes)
+ */
+async function loadWindow(provider, windowStart) {
+  const { data, error } = await supabase
+    .rpc("summarize_provider_outcomes", {
+      p_provider: provider,
+      p_since: new Date(windowStart).toISOString(),
+    })
+    .maybeSingle();
+  if (error) throw error;
+
+  return {
+    samples: data?.samples || 0,
+    failures: data?.failures || 0,
+    avgLatencyMs: data?.avg_latency_ms ?? null,
+    lastError: data?.last_error || null,
+  };
+}
+
+/** Apply the window of `provider` to its circuit */
+function evaluateCircuit(provider, window, now) {
+  const circuit = circuits[provider];
+
+  circuit.samples = window.samples;
+  circuit.failures = window.failures;
+  circuit.failureRate =
+    window.samples > 0 ? window.failures / window.samples : 0;
+  circuit.avgLatencyMs = window.avgLatencyMs;
+  circuit.lastError = window.lastError || circuit.lastError;
+
+  switch (circuit.state) {
+    case "closed":
+      if (
+        circuit.samples >= settings.minSamples &&
+        circuit.failureRate >= settings.failureRate
+      ) {
+        transition(circuit, provider, "open", now);
+      }
+      break;
+    case "open":
+      if (now - circuit.since >= settings.openMs) {
+        transition(circuit, provider, "half_open", now);
+      }
+      break;
+    case "half_open":
+      // Only outcomes since the circuit half-opened count as probes
+      if (circuit.failures > 0) {
+        transition(circuit, provider, "open", now);
+      } else if (circuit.samples >= settings.probeSuccesses) {
+        transition(circuit, provider, "closed", now);
+      } else if (
+        circuit.probesLeft === 0 &&
+        now - circuit.probesSince >= settings.openMs
+      ) {
+        // The probes never reported back (lost, or still running)
+        log.info(`Circuit ${provider}: probing again`, { provider });
+        allowProbes(circuit, now);
+      }
+      break;
+  }
+}
+
+async function pruneOutcomes(now) {
+  if (now - prunedAt < PRUNE_INTERVAL_MS) return;
+  prunedAt = now;
+
+  const { error } = await supabase
+    .from(TABLE)
+    .delete()
+    .lt("created_at", new Date(now - RETENTION_MS).toISOString());
+  if (error) log.warn(`Could not prune ${TABLE}`, { err: error });
+}
+
+/**
+ * Re-evaluate every circuit from the outcomes of the rolling window.
+ * Skipped when the last refresh is younger than `maxAgeMs`. On a database
+ * error the circuits keep their previous state.
+ */
+async function refreshCircuitBreakers(maxAgeMs = 0) {
+  const now = Date.now();
+  if (now - refreshedAt < maxAgeMs) return getCircuitStatus();
+
+  try {
+    // Outcomes before the circuit's last transition belong to the old state
+    const windows = await Promise.all(
+      PROVIDERS.map((provider) =>
+        loadWindow(
+          provider,
+          Math.max(now - settings.windowMs, circuits[provider].since || 0)
+        )
+      )
+    );
+    PROVIDERS.forEach((provider, index) =>
+      evaluateCircuit(provider, windows[index], now)
+    );
+    refreshedAt = now;
+    await pruneOutcomes(now);
+  } catch (err) {
+    log.warn("Circuit breaker refresh failed", { err });
+  }
+
+  return getCircuitStatus();
+}
+
+/**
+ * Whether tasks may be sent to `provider`: closed, or half-open with probes
+ * left. Sending one takes a probe (takeProbe).
+ */
+function isCircuitAvailable(provider) {
+  const circuit = circuits[provider];
+  if (!circuit) return true;
+  if (circuit.state === "half_open") return circuit.probesLeft > 0;
+  return circuit.state !== "open";
+}
+
+/**
+ * Claim the right to send a task to `provider`. Always true for a closed
+ * circuit; a half-open one hands out its remaining probes, then refuses.
+ */
+function takeProbe(provider) {
+  const circuit = circuits[provider];
+  if (!isCircuitAvailable(provider)) return false;
+  if (circuit?.state === "half_open") {
+    circuit.probesLeft -= 1;
+    log.info(`Circuit ${provider}: probe sent`, {
+      provider,
+      probesLeft: circuit.probesLeft,
+    });
+  }
+  return true;
+}
+
+function getCircuitStatus() {
+  return Object.fromEntries(
+    PROVIDERS.map((provider) => {
+      const circuit = circuits[provider];
+      return [
+        provider,
+        {
+          ...circuit,
+          failureRate: Math.round(circuit.failureRate * 100) / 100,
+          since: circuit.since ? new Date(circuit.since).toISOString() : null,
+          probesSince: circuit.probesSince
+            ? new Date(circuit.probesSince).toISOString()
+            : null,
+        },
+      ];
+    })
+  );
+}
+
+module.exports = {
+  recordProviderOutcome,
+  refreshCircuitBreakers,
+  isCircuitAvailable,
+  takeProbe,
+  getCircuitStatus,
+};
@@ -0,0 +1,398 @@
+// utils/credentials.js
+// Encrypted-at-rest credential store (user OpenAI keys).
+//
+// Envelope encryption: every secret is sealed with its own random data key
+// (AES-256-GCM) and that data key is sealed with a server master key. Rotating
+// the master key only re-wraps data keys; secrets are never re-encrypted.
+//
+// Master keys come from CREDENTIALS_MASTER_KEYS ("v2:<base64>,v1:<base64>") and
+// new credentials use CREDENTIALS_ACTIVE_KEY_ID (defaults to the first key).
+// Old keys must stay listed until `node src/utils/credentials.js rotate` ran.
+//
+// A user has at most one saved credential per provider (dashboard key). Keys
+// sent with a job are stored as job credentials beside it, so enqueueing
+// never replaces the saved key.
+const crypto = require("crypto");
+const { supabase, credentials } = require("../config");
+const { createLogger } = require("./logger");
+
+const TABLE = "user_credentials";
+const ALGORITHM = "aes-256-gcm";
+
+const log = createLogger("credentials");
+
+let masterKeys = null;
+
+function loadMasterKeys() {
+  if (masterKeys) return masterKeys;
+
+  const keys = new Map();
+  (credentials.masterKeys || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0) {
+        throw new Error(
+          "CREDENTIALS_MASTER_KEYS entries must look like <keyId>:<base64 key>"
+        );
+      }
+      const keyId = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), "base64");
+      if (key.length !== 32) {
+        throw new Error(`Master key "${keyId}" must decode to 32 bytes`);
+      }
+      keys.set(keyId, key);
+    });
+
+  if (keys.size === 0) {
+    throw new Error("CREDENTIALS_MASTER_KEYS is not configured");
+  }
+
+  masterKeys = keys;
+  return masterKeys;
+}
+
+function getActiveKeyId() {
+  const keys = loadMasterKeys();
+  const activeKeyId = credentials.activeKeyId || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active master key "${activeKeyId}" is not configured`);
+  }
+  return activeKeyId;
+}
+
+function getMasterKey(keyId) {
+  const key = loadMasterKeys().get(keyId);
+  if (!key) throw new Error(`Master key "${keyId}" is not configured`);
+  return key;
+}
+
+/** AES-256-GCM seal → "iv.tag.ciphertext" (base64 parts) */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(".");
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Binds ciphertexts to their owner so rows cannot be swapped between users
+const additionalData = (userId, provider) => `${userId}:${provider}`;
+
+function encryptSecret(userId, provider, secret) {
+  const keyId = getActiveKeyId();
+  const dataKey = crypto.randomBytes(32);
+  const aad = additionalData(userId, provider);
+
+  return {
+    encrypted_secret: seal(dataKey, Buffer.from(secret, "utf8"), aad),
+    encrypted_data_key: seal(getMasterKey(keyId), dataKey, aad),
+    key_id: keyId,
+  };
+}
+
+function decryptSecret(row) {
+  const aad = additionalData(row.user_id, row.provider);
+  const dataKey = open(getMasterKey(row.key_id), row.encrypted_data_key, aad);
+  return open(dataKey, row.encrypted_secret, aad).toString("utf8");
+}
+
+/** Short non-secret hint for UIs, e.g. "sk-…AbCd" */
+function secretHint(secret) {
+  return secret.length > 8 ? `${secret.slice(0, 3)}…${secret.slice(-4)}` : "";
+}
+
+/**
+ * Encrypt and store a user's saved credential (one per user + provider),
+ * replacing the previous one. Returns the credential id to pass around
+ * instead of the secret.
+ */
+async function storeCredential(userId, provider, secret) {
+  if (!userId || !secret) {
+    throw new Error("userId and secret are required to store a credential");
+  }
+
+  const { data: saved, error: findError } = await supabase
+    .from(TABLE)
+    .select("id")
+    .eq("user_id", userId)
+    .eq("provider", provider)
+    .eq("scope", "saved")
+    .maybeSingle();
+  if (findError) {
+    throw new Error(`Failed to load credential: ${findError.message}`);
+  }
+
+  const fields = {
+    ...encryptSecret(userId, provider, secret),
+    secret_hint: secretHint(secret),
+    updated_at: new Date().toISOString(),
+  };
+  const query = saved
+    ? supabase.from(TABLE).update(fields).eq("id", saved.id)
+    : supabase
+        .from(TABLE)
+        .insert([{ user_id: userId, provider, scope: "saved", ...fields }]);
+  const { data, error } = await query.select("id").single();
+
+  if (error) throw new Error(`Failed to store credential: ${error.message}`);
+  return data.id;
+}
+
+/**
+ * Credential for a job to reference: the user's stored one holding the same
+ * secret, or else a new job credential. The saved credential is left alone.
+ */
+async function storeJobCredential(userId, provider, secret) {
+  if (!userId || !secret) {
+    throw new Error("userId and secret are required to store a credential");
+  }
+
+  const { data: rows, error: listError } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("user_id", userId)
+    .eq("provider", provider);
+  if (listError) {
+    throw new Error(`Failed to load credentials: ${listError.message}`);
+  }
+
+  const same = (rows || []).find((row) => {
+    try {
+      return decryptSecret(row) === secret;
+    } catch {
+      return false; // sealed with a master key that is gone
+    }
+  });
+  if (same) return same.id;
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert([
+      {
+        user_id: userId,
+        provider,
+        scope: "job",
+        ...encryptSecret(userId, provider, secret),
+        secret_hint: secretHint(secret),
+      },
+    ])
+    .select("id")
+    .single();
+
+  if (error) throw new Error(`Failed to store credential: ${error.message}`);
+  return data.id;
+}
+
+/**
+ * Decrypt a credential by id (the reference carried in queue messages)
+ */
+async function resolveCredential(credentialId) {
+  if (!credentialId) throw new Error("Missing credential reference");
+
+  const { data: row, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("id", credentialId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load credential: ${error.message}`);
+  if (!row) throw new Error(`Credential ${credentialId} not found`);
+  return decryptSecret(row);
+}
+
+/**
+ * Plaintext key still stored by older clients in user_settings.openai_key
+ */
+async function fetchLegacyOpenAIKey(userId) {
+  const { data, error } = await supabase
+    .from("user_settings")
+    .select("openai_key")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to read user settings: ${error.message}`);
+  return data?.openai_key || null;
+}
+
+/**
+ * Drop the plaintext copy in user_settings once the encrypted one exists
+ */
+async function clearLegacyOpenAIKey(userId) {
+  const { error } = await supabase
+    .from("user_settings")
+    .update({ openai_key: null })
+    .eq("user_id", userId);
+  if (error) {
+    log.warn("Could not clear legacy OpenAI key", { userId, err: error });
+  }
+}
+
+/**
+ * Get a user's saved credential as { id, secret }, or null when none is
+ * stored. Legacy plaintext OpenAI keys are moved into the encrypted store on
+ * first use.
+ */
+async function getUserCredential(userId, provider = "openai") {
+  if (!userId) return null;
+
+  const { data: row, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("user_id", userId)
+    .eq("provider", provider)
+    .eq("scope", "saved")
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load credential: ${error.message}`);
+  if (row) return { id: row.id, secret: decryptSecret(row) };
+
+  if (provider !== "openai") return null;
+
+  const legacyKey = await fetchLegacyOpenAIKey(userId);
+  if (!legacyKey) return null;
+
+  const id = await storeCredential(userId, provider, legacyKey);
+  await clearLegacyOpenAIKey(userId);
+  log.info("Imported legacy OpenAI key into credential store", { userId });
+  return { id, secret: legacyKey };
+}
+
+/**
+ * Non-secret metadata of a user's saved credentials
+ */
+async function listCredentials(userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("provider, secret_hint, key_id, created_at, updated_at")
+    .eq("user_id", userId)
+    .eq("scope", "saved");
+
+  if (error) throw new Error(`Failed to list credentials: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Unfinished jobs of a user that reference one of their `provider` credentials
+ */
+async function countJobsUsingCredentials(userId, provider) {
+  const { data: rows, error } = await supabase
+    .from(TABLE)
+    .select("id")
+    .eq("user_id", userId)
+    .eq("provider", provider);
+  if (error) throw new Error(`Failed to load credentials: ${error.message}`);
+  if (!rows?.length) return 0;
+
+  const { count, error: jobsError } = await supabase
+    .from("job_batches")
+    .select("id", { count: "exact", head: true })
+    .in(
+      "openai_credential_id",
+      rows.map((row) => row.id)
+    )
+    .in("status", ["pending", "processing"]);
+  if (jobsError) {
+    throw new Error(`Failed to count running jobs: ${jobsError.message}`);
+  }
+  return count || 0;
+}
+
+/**
+ * Delete a user's saved credential and the job credentials beside it.
+ * Callers check countJobsUsingCredentials first: queued batches of running
+ * jobs fail once their credential is gone.
+ */
+async function deleteCredential(userId, provider = "openai") {
+  const { error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq("user_id", userId)
+    .eq("provider", provider);
+
+  if (error) throw new Error(`Failed to delete credential: ${error.message}`);
+}
+
+/**
+ * Re-wrap every data key that is not sealed with the active master key.
+ * Returns the number of rotated credentials.
+ */
+async function rotateCredentials() {
+  const activeKeyId = getActiveKeyId();
+  const { data: rows, error } = await supabase
+    .from(TABLE)
+    .select("id, user_id, provider, encrypted_data_key, key_id")
+    .neq("key_id", activeKeyId);
+
+  if (error) throw new Error(`Failed to list credentials: ${error.message}`);
+
+  let rotated = 0;
+  for (const row of rows || []) {
+    const aad = additionalData(row.user_id, row.provider);
+    const dataKey = open(getMasterKey(row.key_id), row.encrypted_data_key, aad);
+
+    const { error: updateError } = await supabase
+      .from(TABLE)
+      .update({
+        encrypted_data_key: seal(getMasterKey(activeKeyId), dataKey, aad),
+        key_id: activeKeyId,
+        rotated_at: new Date().toISOString(),
+      })
+      .eq("id", row.id)
+      .eq("key_id", row.key_id);
+
+    if (updateError) {
+      log.error("Failed to rotate credential", {
+        credentialId: row.id,
+        err: updateError,
+      });
+      continue;
+    }
+    rotated += 1;
+  }
+
+  return rotated;
+}
+
+module.exports = {
+  storeCredential,
+  storeJobCredential,
+  resolveCredential,
+  getUserCredential,
+  clearLegacyOpenAIKey,
+  listCredentials,
+  countJobsUsingCredentials,
+  deleteCredential,
+  rotateCredentials,
+};
+
+// Run key rotation directly: node src/utils/credentials.js rotate
+if (require.main === module) {
+  if (process.argv[2] !== "rotate") {
+    console.log("Usage: node src/utils/credentials.js rotate");
+    process.exit(1);
+  }
+  rotateCredentials()
+    .then((count) => {
+      log.info(`Re-wrapped ${count} credential(s) with the active master key`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      log.error("Credential rotation failed", { err });
+      process.exit(1);
+    });
+}
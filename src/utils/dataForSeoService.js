@@ -1,6 +1,8 @@
 // src/utils/dataForSeoService.js
 const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
+const { mock } = require("../config");
+const { mockKeywordVolume } = require("../mock/dataForSeo");
 
 const BASE_URL = "https://api.dataforseo.com/v3";
 const DATAFORSEO_LOGIN = process.env.DATAFORSEO_LOGIN;
@@ -185,6 +187,10 @@ async function fetchAIKeywordVolume(
   locationCode = 2840,
   languageCode = "en"
 ) {
+  if (mock.enabled) {
+    return mockKeywordVolume(keywords, locationCode, languageCode);
+  }
+
   if (!DATAFORSEO_LOGIN || !DATAFORSEO_PASSWORD) {
     throw new Error("DataForSEO credentials not configured");
   }
@@ -0,0 +1,146 @@
+// utils/engines.js
+// AI answer engines a project can track. ChatGPT is answered by whichever
+// service is active (Bright Data, DataForSEO or the OpenAI API); the other
+// engines only exist on DataForSEO, each with its own endpoints and task shape.
+const { dataForSeo } = require("../config");
+
+const DEFAULT_ENGINE = "chatgpt";
+
+/**
+ * dataForSeo.delivery: "postback" tasks answer on /api/dataforseo/callback,
+ * "live" endpoints return the result in the submit response.
+ * dataForSeo.fn is the DataForSEO function; the answer adapter parses by it.
+ */
+const ENGINES = {
+  chatgpt: {
+    id: "chatgpt",
+    label: "ChatGPT",
+    dataForSeo: {
+      fn: "llm_scraper",
+      delivery: "postback",
+      basePath: "ai_optimization/chat_gpt/llm_scraper",
+      taskGetPath: "task_get/advanced",
+      postbackData: "advanced",
+    },
+  },
+  perplexity: {
+    id: "perplexity",
+    label: "Perplexity",
+    dataForSeo: {
+      fn: "llm_responses",
+      delivery: "live",
+      basePath: "ai_optimization/perplexity/llm_responses",
+      model: process.env.DATAFORSEO_PERPLEXITY_MODEL || "sonar",
+    },
+  },
+  gemini: {
+    id: "gemini",
+    label: "Gemini",
+    dataForSeo: {
+      fn: "llm_responses",
+      delivery: "postback",
+      basePath: "ai_optimization/gemini/llm_responses",
+      taskGetPath: "task_get",
+      model: process.env.DATAFORSEO_GEMINI_MODEL || "gemini-2.5-flash",
+    },
+  },
+  google_ai_overview: {
+    id: "google_ai_overview",
+    label: "Google AI Overview",
+    dataForSeo: {
+      fn: "organic",
+      delivery: "postback",
+      basePath: "serp/google/organic",
+      taskGetPath: "task_get/advanced",
+      postbackData: "advanced",
+    },
+  },
+};
+
+const ENGINE_IDS = Object.keys(ENGINES);
+
+const isValidEngine = (id) => ENGINE_IDS.includes(id);
+
+function getEngine(id = DEFAULT_ENGINE) {
+  const engine = ENGINES[id];
+  if (!engine) throw new Error(`Unknown answer engine "${id}"`);
+  return engine;
+}
+
+/** Valid, de-duplicated engine ids; ChatGPT when nothing usable is given */
+function normalizeEngines(ids) {
+  const engines = [...new Set(Array.isArray(ids) ? ids : [])].filter(
+    isValidEngine
+  );
+  return engines.length > 0 ? engines : [DEFAULT_ENGINE];
+}
+
+/**
+ * Service that answers `engineId`, or null when it cannot run right now.
+ * `service` answers ChatGPT; other engines need DataForSEO among the
+ * `healthyServices`.
+ */
+function serviceForEngine(engineId, service, healthyServices = [service]) {
+  if (engineId === DEFAULT_ENGINE) return service;
+  return healthyServices.includes("dataforseo") ? "dataforseo" : null;
+}
+
+/**
+ * Engine of a DataForSEO task, from its path (["v3", "serp", "google", ...])
+ * or the data it echoes back
+ */
+function engineFromTask(task = {}) {
+  const [, api = task.data?.api, se = task.data?.se] = task.path || [];
+  if (api === "serp") return "google_ai_overview";
+  if (se === "perplexity") return "perplexity";
+  if (se === "gemini") return "gemini";
+  return DEFAULT_ENGINE;
+}
+
+/**
+ * DataForSEO task body for one prompt on an engine.
+ * `location` / `language` are the validated llm_scraper payloads.
+ */
+function buildDataForSeoTask(
+  engineId,
+  { prompt, webSearch = false, location = {}, language = {} }
+) {
+  const engine = getEngine(engineId);
+
+  switch (engine.dataForSeo.fn) {
+    case "llm_responses":
+      return {
+        user_prompt: prompt,
+        model_name: engine.dataForSeo.model,
+        web_search: webSearch,
+      };
+    case "organic":
+      return {
+        keyword: prompt,
+        location_code: location.location_code || dataForSeo.defaultLocationCode,
+        language_code: language.language_code || dataForSeo.defaultLanguageCode,
+        device: "desktop",
+        // AI Overviews load asynchronously on Google; ask DataForSEO to wait
+        load_async_ai_overview: true,
+      };
+    default:
+      return {
+        ...location,
+        ...language,
+        keyword: prompt,
+        force_web_search: webSearch,
+        expand_citations: webSearch,
+      };
+  }
+}
+
+module.exports = {
+  DEFAULT_ENGINE,
+  ENGINE_IDS,
+  isValidEngine,
+  getEngine,
+  normalizeEngines,
+  serviceForEngine,
+  engineFromTask,
+  buildDataForSeoTask,
+};
@@ -0,0 +1,111 @@
+// utils/health.js
+// Dependency report behind GET /health and GET /ready: Supabase, the queue
+// topics, the active-service check and the worker heartbeats.
+const {
+  supabase,
+  pubsubTopic,
+  dataForSEOTopic,
+  openaiTopic,
+  pubsubNightlyTopic,
+  dataForSEONightlyTopic,
+  openaiNightlyTopic,
+} = require("../config");
+const queue = require("../queue");
+const { getServiceStatus } = require("./activeService");
+const { WORKER_FOR_SERVICE, getWorkerHeartbeats } = require("./heartbeat");
+
+const CHECK_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${label} timed out after ${CHECK_TIMEOUT_MS}ms`)),
+      CHECK_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** Run one check, turning a throw into { ok: false, error } with its latency */
+async function runCheck(label, check) {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(check(), label);
+    return { ok: true, latencyMs: Date.now() - startedAt, ...details };
+  } catch (err) {
+    return {
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      error: err.message || String(err),
+    };
+  }
+}
+
+async function checkSupabase() {
+  const { error } = await supabase.from("job_batches").select("id").limit(1);
+  if (error) throw new Error(error.message);
+  return {};
+}
+
+async function checkQueue() {
+  const topics = [
+    pubsubTopic,
+    dataForSEOTopic,
+    openaiTopic,
+    pubsubNightlyTopic,
+    dataForSEONightlyTopic,
+    openaiNightlyTopic,
+  ].filter(Boolean);
+  return queue.check([...new Set(topics)]);
+}
+
+/**
+ * Full dependency report. `ready` is false, with the reasons, when a new
+ * batch could not be processed: the database or queue is unreachable, no
+ * provider is healthy, or the worker of the active service stopped beating.
+ */
+async function getHealthReport() {
+  const [database, queue, heartbeats] = await Promise.all([
+    runCheck("Supabase", checkSupabase),
+    runCheck("Queue", checkQueue),
+    runCheck("Heartbeats", async () => ({
+      workers: await getWorkerHeartbeats(),
+    })),
+  ]);
+  const services = getServiceStatus();
+
+  const reasons = [];
+  if (!database.ok) reasons.push(`Supabase unreachable: ${database.error}`);
+  if (!queue.ok) reasons.push(`Queue unreachable: ${queue.error}`);
+  if (!services.isInitialized) {
+    reasons.push("Service health check has not completed yet");
+  } else if (!services.activeService) {
+    reasons.push("No provider is healthy");
+  }
+
+  const requiredWorker = WORKER_FOR_SERVICE[services.activeService];
+  if (requiredWorker && heartbeats.ok) {
+    const beat = heartbeats.workers[requiredWorker];
+    if (!beat?.fresh) {
+      reasons.push(
+        `Worker ${requiredWorker} has no fresh heartbeat${
+          beat ? ` (last ${beat.ageSeconds}s ago)` : ""
+        }`
+      );
+    }
+  } else if (requiredWorker) {
+    reasons.push(`Worker heartbeats unavailable: ${heartbeats.error}`);
+  }
+
+  return {
+    // down: nothing can be accepted; degraded: running but not ready for work
+    status: !database.ok ? "down" : reasons.length > 0 ? "degraded" : "ok",
+    ready: reasons.length === 0,
+    reasons,
+    checks: { database, queue, services, heartbeats },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+module.exports = { getHealthReport };
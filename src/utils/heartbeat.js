@@ -0,0 +1,92 @@
+// utils/heartbeat.js
+// Long-running processes upsert their row in worker_heartbeats on an interval
+// so /ready can tell a stuck or crashed worker from an idle one.
+const os = require("os");
+const { supabase, health } = require("../config");
+const { createLogger } = require("./logger");
+
+const TABLE = "worker_heartbeats";
+// Rows of instances that stopped beating (restarts, old hosts) are dropped after a day
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const log = createLogger("heartbeat");
+
+// Worker (pm2 app name) consuming each service's queue
+const WORKER_FOR_SERVICE = {
+  brightdata: "worker",
+  dataforseo: "dataforseo-worker",
+  openai: "openai-worker",
+};
+
+/**
+ * Beat for `worker` every HEARTBEAT_INTERVAL_SECONDS. The timer does not keep
+ * the process alive. Never throws: a missed beat only makes the worker look stale.
+ */
+function startHeartbeat(worker) {
+  const instance = `${os.hostname()}:${process.pid}`;
+  const startedAt = new Date().toISOString();
+
+  async function beat() {
+    try {
+      const { error } = await supabase.from(TABLE).upsert(
+        {
+          worker,
+          instance,
+          started_at: startedAt,
+          last_beat_at: new Date().toISOString(),
+        },
+        { onConflict: "worker,instance" }
+      );
+      if (error) throw error;
+    } catch (err) {
+      log.warn(`Heartbeat of ${worker} failed`, { err });
+    }
+  }
+
+  async function prune() {
+    const { error } = await supabase
+      .from(TABLE)
+      .delete()
+      .eq("worker", worker)
+      .lt("last_beat_at", new Date(Date.now() - RETENTION_MS).toISOString());
+    if (error) log.warn(`Could not prune ${TABLE}`, { err: error });
+  }
+
+  beat();
+  prune();
+  const timer = setInterval(beat, health.heartbeatIntervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Newest beat per worker, with `fresh` telling whether it is recent enough
+ */
+async function getWorkerHeartbeats() {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("worker, instance, started_at, last_beat_at")
+    .gte("last_beat_at", new Date(Date.now() - RETENTION_MS).toISOString())
+    .order("last_beat_at", { ascending: false });
+  if (error) throw new Error(`Failed to load heartbeats: ${error.message}`);
+
+  const workers = {};
+  (data || []).forEach((row) => {
+    const ageMs = Date.now() - new Date(row.last_beat_at).getTime();
+    const fresh = ageMs <= health.heartbeatStaleMs;
+    const entry = (workers[row.worker] ??= {
+      lastBeatAt: row.last_beat_at,
+      ageSeconds: Math.round(ageMs / 1000),
+      fresh,
+      liveInstances: 0,
+    });
+    if (fresh) entry.liveInstances += 1;
+  });
+  return workers;
+}
+
+module.exports = {
+  WORKER_FOR_SERVICE,
+  startHeartbeat,
+  getWorkerHeartbeats,
+};
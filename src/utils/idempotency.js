@@ -0,0 +1,141 @@
+// utils/idempotency.js
+// Idempotency-Key support for POST /enqueue: repeated submissions inside the
+// window replay the original response instead of creating a second job batch.
+const crypto = require("crypto");
+const { supabase } = require("../config");
+const { createLogger } = require("./logger");
+
+const TABLE = "enqueue_idempotency_keys";
+const WINDOW_HOURS = Number(process.env.ENQUEUE_IDEMPOTENCY_WINDOW_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+const log = createLogger("idempotency");
+
+/**
+ * Read the key from the Idempotency-Key header, falling back to the body
+ */
+function getIdempotencyKey(req) {
+  const raw =
+    req.get("Idempotency-Key") ||
+    req.body?.idempotency_key ||
+    req.body?.idempotencyKey;
+
+  if (!raw) return null;
+  const key = String(raw).trim();
+  return key ? key.slice(0, MAX_KEY_LENGTH) : null;
+}
+
+/**
+ * Stable fingerprint of the request body (without the key itself) so a key
+ * reused for a different payload can be rejected
+ */
+function hashRequestBody(body = {}) {
+  const { idempotency_key, idempotencyKey, ...rest } = body;
+  return crypto.createHash("sha256").update(JSON.stringify(rest)).digest("hex");
+}
+
+function isExpired(record) {
+  const createdAt = new Date(record.created_at).getTime();
+  return Date.now() - createdAt > WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+async function findRecord(userId, key) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("user_id", userId)
+    .eq("idempotency_key", key)
+    .maybeSingle();
+
+  if (error)
+    throw new Error(`Failed to read idempotency key: ${error.message}`);
+  return data;
+}
+
+/**
+ * Earlier request inside the window that used the key, or null
+ */
+async function findIdempotencyKey(userId, key) {
+  const existing = await findRecord(userId, key);
+  return existing && !isExpired(existing) ? existing : null;
+}
+
+/**
+ * Reserve a key for this request.
+ * Returns { record } when the caller owns the key, or { existing } when an
+ * earlier request inside the window already used it.
+ */
+async function reserveIdempotencyKey(userId, key, requestHash) {
+  const existing = await findRecord(userId, key);
+  if (existing) {
+    if (!isExpired(existing)) return { existing };
+
+    // Outside the window: forget the old submission and start over
+    await supabase.from(TABLE).delete().eq("id", existing.id);
+  }
+
+  const { data: record, error } = await supabase
+    .from(TABLE)
+    .insert([
+      {
+        user_id: userId,
+        idempotency_key: key,
+        request_hash: requestHash,
+        status: "in_progress",
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (error) {
+    // Unique violation: a concurrent duplicate won the race
+    if (error.code === "23505") {
+      const winner = await findRecord(userId, key);
+      if (winner) return { existing: winner };
+    }
+    throw new Error(`Failed to reserve idempotency key: ${error.message}`);
+  }
+
+  return { record };
+}
+
+/**
+ * Store the response of a successful enqueue so duplicates can replay it
+ */
+async function completeIdempotencyKey(recordId, jobBatchId, response) {
+  const { error } = await supabase
+    .from(TABLE)
+    .update({
+      status: "completed",
+      job_batch_id: jobBatchId,
+      response,
+      completed_at: new Date().toISOString(),
+    })
+    .eq("id", recordId);
+
+  if (error) {
+    log.error("Failed to store idempotent response", {
+      recordId,
+      err: error,
+    });
+  }
+}
+
+/**
+ * Drop the reservation after a failed enqueue so the client can retry
+ */
+async function releaseIdempotencyKey(recordId) {
+  const { error } = await supabase.from(TABLE).delete().eq("id", recordId);
+  if (error) {
+    log.error("Failed to release idempotency key", { recordId, err: error });
+  }
+}
+
+module.exports = {
+  getIdempotencyKey,
+  hashRequestBody,
+  findIdempotencyKey,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
@@ -0,0 +1,42 @@
+// utils/jobBatches.js
+// Shared job_batches lookups used by the API, both workers and the DataForSEO callback
+const { supabase } = require("../config");
+
+/**
+ * Fetch the current status of a job batch (null if it does not exist)
+ */
+async function getJobBatchStatus(jobBatchId) {
+  if (!jobBatchId) return null;
+
+  const { data, error } = await supabase
+    .from("job_batches")
+    .select("status")
+    .eq("id", jobBatchId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.status || null;
+}
+
+/**
+ * True when the job batch has been cancelled by the user.
+ * Lookup errors are treated as "not cancelled" so a flaky read never drops work.
+ */
+async function isJobBatchCancelled(jobBatchId) {
+  if (!jobBatchId) return false;
+
+  try {
+    return (await getJobBatchStatus(jobBatchId)) === "cancelled";
+  } catch (error) {
+    console.warn(
+      `Could not check cancellation for job ${jobBatchId}:`,
+      error.message
+    );
+    return false;
+  }
+}
+
+module.exports = {
+  getJobBatchStatus,
+  isJobBatchCancelled,
+};
@@ -0,0 +1,176 @@
+// utils/logger.js
+// Structured JSON logs, one object per line. Every line carries the
+// correlation fields of the work it belongs to (correlationId, jobBatchId,
+// batchNumber, trackingId, promptId, taskId, userId), taken from the async
+// context opened by withLogContext(), so one prompt can be followed from
+// /enqueue through Pub/Sub, the provider and the DataForSEO postback.
+//
+// LOG_LEVEL: debug | info (default) | warn | error
+// LOG_FORMAT: json (default) | pretty (single readable line, for development)
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONTEXT_FIELDS = [
+  "correlationId",
+  "jobBatchId",
+  "batchNumber",
+  "trackingId",
+  "promptId",
+  "taskId",
+  "userId",
+];
+// Fields shared by a whole batch, sent along as Pub/Sub message attributes
+const BATCH_FIELDS = ["correlationId", "jobBatchId", "batchNumber", "userId"];
+// Values of these keys are never written, whatever their shape
+const SECRET_KEY =
+  /(api_?key|openai_?key|secret|password|passphrase|authorization|^token$|access_?token|auth_header)/i;
+// Secrets that slip into messages or error strings
+const SECRET_VALUES = [
+  [/\bsk-[A-Za-z0-9_-]{8,}/g, "sk-[REDACTED]"],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, "$1 [REDACTED]"],
+  [/([?&]token=)[^&\s"]+/g, "$1[REDACTED]"],
+];
+const MAX_DEPTH = 6;
+
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const pretty = process.env.LOG_FORMAT === "pretty";
+const storage = new AsyncLocalStorage();
+
+function redactString(value) {
+  return SECRET_VALUES.reduce(
+    (text, [pattern, replacement]) => text.replace(pattern, replacement),
+    value
+  );
+}
+
+/** Copy of `value` safe to log: secrets masked, errors expanded */
+function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        status: value.status ?? value.response?.status,
+        code: value.code,
+        stack: value.stack,
+      },
+      depth + 1
+    );
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .map(([key, v]) => [
+        key,
+        SECRET_KEY.test(key) && v != null ? "[REDACTED]" : redact(v, depth + 1),
+      ])
+  );
+}
+
+/** Only the known correlation fields, without empty ones */
+function pickContext(fields = {}, names = CONTEXT_FIELDS) {
+  const context = {};
+  names.forEach((field) => {
+    if (fields[field] != null && fields[field] !== "") {
+      context[field] = fields[field];
+    }
+  });
+  return context;
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactString(String(message)),
+    ...storage.getStore(),
+    ...redact(fields || {}),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (pretty) {
+    const { time, msg, component: name, level: lvl, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+    stream.write(`${time} ${lvl.toUpperCase()} [${name}] ${msg}${extra}\n`);
+    return;
+  }
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Logger for one component (worker, server, nightly, ...). `bindings` are
+ * added to every line; child() adds more.
+ */
+function createLogger(component, bindings = {}) {
+  const log = (level) => (message, fields) =>
+    write(level, component, message, { ...bindings, ...fields });
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (more) => createLogger(component, { ...bindings, ...more }),
+  };
+}
+
+/** Run `fn` with these correlation fields added to every log line inside it */
+function withLogContext(fields, fn) {
+  return storage.run({ ...storage.getStore(), ...pickContext(fields) }, fn);
+}
+
+/** Add correlation fields to the current context (e.g. a task id once known) */
+function addLogContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, pickContext(fields));
+}
+
+function getLogContext() {
+  return { ...storage.getStore() };
+}
+
+/** Batch fields of the current context as Pub/Sub message attributes */
+function toMessageAttributes(fields = {}) {
+  const context = {
+    ...pickContext(getLogContext(), BATCH_FIELDS),
+    ...pickContext(fields, BATCH_FIELDS),
+  };
+  return Object.fromEntries(
+    Object.entries(context).map(([key, value]) => [key, String(value)])
+  );
+}
+
+/**
+ * Correlation fields of a received batch: its message attributes, with the
+ * payload as fallback for messages queued before attributes were sent
+ */
+function batchLogContext(message, batch = {}) {
+  const context = pickContext({
+    jobBatchId: batch.jobBatchId,
+    batchNumber: batch.batchNumber,
+    userId: batch.user_id,
+    ...message.attributes,
+  });
+  if (context.batchNumber != null) {
+    context.batchNumber = Number(context.batchNumber);
+  }
+  return context;
+}
+
+module.exports = {
+  createLogger,
+  withLogContext,
+  addLogContext,
+  getLogContext,
+  toMessageAttributes,
+  batchLogContext,
+  redact,
+};
@@ -0,0 +1,40 @@
+// utils/mailer.js
+// Mailgun transport shared by the workers and the DataForSEO callback
+const nodemailer = require("nodemailer");
+const mgTransport = require("nodemailer-mailgun-transport");
+const { mock } = require("../config");
+const { emailsSent } = require("./metrics");
+
+// Count every send in the email metrics; callers still see the error
+function instrument(transport) {
+  const sendMail = transport.sendMail.bind(transport);
+  transport.sendMail = async (mail) => {
+    try {
+      const info = await sendMail(mail);
+      emailsSent.inc({ outcome: "sent" });
+      return info;
+    } catch (error) {
+      emailsSent.inc({ outcome: "failed" });
+      throw error;
+    }
+  };
+  return transport;
+}
+
+function createMailTransport() {
+  if (mock.enabled) {
+    return instrument(require("../mock/mailer").createMockTransport());
+  }
+
+  const transport = nodemailer.createTransport(
+    mgTransport({
+      auth: {
+        api_key: process.env.MG_API_KEY,
+        domain: process.env.MG_DOMAIN,
+      },
+    })
+  );
+  return instrument(transport);
+}
+
+module.exports = { createMailTransport };
@@ -0,0 +1,201 @@
+// utils/metrics.js
+// Prometheus metrics shared by the server and the workers. Each process has
+// its own registry: the server serves it on GET /metrics, the workers on their
+// own port (startMetricsServer), and Prometheus sums across processes.
+//
+// Metrics are not public: with METRICS_TOKEN set, scrapers must send it as a
+// bearer token. Without it the API serves none, and the other processes only
+// listen on METRICS_HOST (loopback by default).
+const crypto = require("crypto");
+const http = require("http");
+const client = require("prom-client");
+const { metrics: settings } = require("../config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("metrics");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: "rank_tracker_" });
+
+const counter = (name, help, labelNames = []) =>
+  new client.Counter({ name, help, labelNames, registers: [register] });
+
+const enqueuedPrompts = counter(
+  "rank_tracker_enqueued_prompts_total",
+  "Prompts queued for a provider",
+  ["source", "engine", "service"]
+);
+
+const providerTasks = counter(
+  "rank_tracker_provider_tasks_total",
+  "Provider task outcomes (what the circuit breakers see)",
+  ["provider", "outcome"]
+);
+
+const providerTaskDuration = new client.Histogram({
+  name: "rank_tracker_provider_task_duration_seconds",
+  help: "Time from submitting a provider task to its answer",
+  labelNames: ["provider", "outcome"],
+  // Bright Data snapshots and DataForSEO tasks take minutes
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800],
+  registers: [register],
+});
+
+const snapshotPolls = counter(
+  "rank_tracker_brightdata_snapshot_polls_total",
+  "Bright Data snapshot status polls by result",
+  ["result"]
+);
+
+const analysisCalls = counter(
+  "rank_tracker_openai_analysis_calls_total",
+  "OpenAI sentiment / salience analysis calls",
+  ["model", "outcome"]
+);
+
+const analysisTokens = counter(
+  "rank_tracker_openai_analysis_tokens_total",
+  "Tokens used by OpenAI analysis calls",
+  ["model", "type"]
+);
+
+const callbacks = counter(
+  "rank_tracker_callbacks_total",
+  "Provider callbacks (DataForSEO postbacks, Bright Data webhooks) by outcome",
+  ["provider", "outcome"]
+);
+
+const deadLettered = counter(
+  "rank_tracker_dead_letters_total",
+  "Queue messages dead-lettered after too many failed deliveries",
+  ["subscription"]
+);
+
+const emailsSent = counter(
+  "rank_tracker_emails_total",
+  "Notification emails by outcome",
+  ["outcome"]
+);
+
+const nightlyRuns = counter(
+  "rank_tracker_nightly_runs_total",
+  "Nightly refresh runs by result",
+  ["result"]
+);
+
+const nightlyLastRun = new client.Gauge({
+  name: "rank_tracker_nightly_last_run_timestamp_seconds",
+  help: "End of the last nightly refresh run, by result",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+/** Count a provider task outcome and, when known, its latency */
+function observeProviderTask(provider, success, latencyMs) {
+  const outcome = success ? "success" : "failure";
+  providerTasks.inc({ provider, outcome });
+  if (Number.isFinite(latencyMs)) {
+    providerTaskDuration.observe({ provider, outcome }, latencyMs / 1000);
+  }
+}
+
+/** Count an analysis call and the tokens it used (chat completion usage) */
+function observeAnalysisCall(model, { usage, error } = {}) {
+  analysisCalls.inc({ model, outcome: error ? "error" : "success" });
+  if (usage) {
+    analysisTokens.inc({ model, type: "prompt" }, usage.prompt_tokens || 0);
+    analysisTokens.inc(
+      { model, type: "completion" },
+      usage.completion_tokens || 0
+    );
+  }
+}
+
+function recordNightlyRun(result) {
+  nightlyRuns.inc({ result });
+  nightlyLastRun.set({ result }, Date.now() / 1000);
+}
+
+/**
+ * Express middleware counting a provider callback once it is answered.
+ * Handlers may name a 2xx outcome in res.locals.callbackOutcome.
+ */
+function countCallbacks(provider) {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      let outcome = res.locals.callbackOutcome || "accepted";
+      if (res.statusCode === 401 || res.statusCode === 403) {
+        outcome = "unauthorized";
+      } else if (res.statusCode >= 500) {
+        outcome = "error";
+      } else if (res.statusCode >= 400) {
+        outcome = "rejected";
+      }
+      callbacks.inc({ provider, outcome });
+    });
+    next();
+  };
+}
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/** Whether an Authorization header carries METRICS_TOKEN (true when unset) */
+function isAuthorized(header) {
+  if (!settings.token) return true;
+  const [scheme, token] = (header || "").split(" ");
+  return (
+    scheme === "Bearer" &&
+    Boolean(token) &&
+    crypto.timingSafeEqual(digest(token), digest(settings.token))
+  );
+}
+
+/** Express handler for GET /metrics; off without METRICS_TOKEN */
+async function metricsHandler(req, res) {
+  if (!settings.token) return res.status(404).end();
+  if (!isAuthorized(req.get("Authorization"))) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+  res.set("Content-Type", register.contentType);
+  res.send(await register.metrics());
+}
+
+/**
+ * Serve /metrics on METRICS_HOST and its own port for processes without an
+ * HTTP server. A port that is already taken only logs a warning.
+ */
+function startMetricsServer(port, name) {
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!isAuthorized(req.headers.authorization)) {
+      res.writeHead(401).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": register.contentType });
+    res.end(await register.metrics());
+  });
+  server.on("error", (err) =>
+    log.warn(`${name} metrics server not started`, { err })
+  );
+  server.listen(port, settings.host, () =>
+    log.info(`${name} metrics on ${settings.host}:${port}/metrics`)
+  );
+  return server;
+}
+
+module.exports = {
+  register,
+  enqueuedPrompts,
+  snapshotPolls,
+  deadLettered,
+  emailsSent,
+  observeProviderTask,
+  observeAnalysisCall,
+  recordNightlyRun,
+  countCallbacks,
+  metricsHandler,
+  startMetricsServer,
+};
@@ -0,0 +1,47 @@
+// utils/plans.js
+// A user's plan (Supabase app_metadata.plan, set by billing or an admin)
+// decides how many of their batches a worker runs at once. Batches carry the
+// plan from enqueue time, so the workers never look it up.
+const { supabase, fairness } = require("../config");
+const { createLogger } = require("./logger");
+
+const DEFAULT_PLAN = "default";
+// Nightly looks plans up once per user and run; keep them for a while
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const log = createLogger("plans");
+const cache = new Map();
+
+/** Plan name with configured limits, or "default" */
+function normalizePlan(plan) {
+  return plan && fairness.plans[plan] ? plan : DEFAULT_PLAN;
+}
+
+/** Plan of an authenticated request user (req.user) */
+function planOf(user) {
+  return normalizePlan(user?.appMetadata?.plan);
+}
+
+/** Plan of a user by id, for work queued without a request (nightly) */
+async function getUserPlan(userId) {
+  const cached = cache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.plan;
+
+  try {
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    if (error) throw error;
+    const plan = normalizePlan(data.user?.app_metadata?.plan);
+    cache.set(userId, { plan, expiresAt: Date.now() + CACHE_TTL_MS });
+    return plan;
+  } catch (err) {
+    log.warn("Could not load plan, using the default limits", { userId, err });
+    return DEFAULT_PLAN;
+  }
+}
+
+/** { user, project } in-flight batch limits of a plan */
+function limitsFor(plan) {
+  return fairness.plans[normalizePlan(plan)];
+}
+
+module.exports = { DEFAULT_PLAN, planOf, getUserPlan, limitsFor };
@@ -0,0 +1,105 @@
+// utils/postbackToken.js
+// HMAC-signed, expiring tokens for DataForSEO postback URLs.
+//
+// The token carries everything the callback needs (user, prompt, model, ...)
+// so nothing is read from forgeable query params. Each token has a nonce that
+// is also sent as the task `tag`; DataForSEO echoes it back in `tasks[0].data`
+// and the callback consumes it once, so captured callbacks cannot be replayed.
+const crypto = require("crypto");
+const { supabase, dataForSeo } = require("../config");
+
+const NONCE_TABLE = "dataforseo_postback_nonces";
+
+function getSecret() {
+  if (!dataForSeo.postbackSecret) {
+    throw new Error("DATAFORSEO_POSTBACK_SECRET is not configured");
+  }
+  return dataForSeo.postbackSecret;
+}
+
+const base64url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+function sign(payloadPart) {
+  return base64url(
+    crypto.createHmac("sha256", getSecret()).update(payloadPart).digest()
+  );
+}
+
+/**
+ * Create a signed token for the given claims.
+ * Returns { token, nonce }; the nonce should be sent as the task tag.
+ */
+function createPostbackToken(claims) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const payload = {
+    ...claims,
+    nonce,
+    exp: Math.floor(Date.now() / 1000) + dataForSeo.postbackTtlSeconds,
+  };
+  const payloadPart = base64url(JSON.stringify(payload));
+  return { token: `${payloadPart}.${sign(payloadPart)}`, nonce };
+}
+
+/**
+ * Verify signature and expiry; returns the claims or throws
+ */
+function verifyPostbackToken(token) {
+  if (!token || typeof token !== "string") {
+    throw new Error("Missing postback token");
+  }
+
+  const [payloadPart, signature] = token.split(".");
+  if (!payloadPart || !signature) throw new Error("Malformed postback token");
+
+  const expected = Buffer.from(sign(payloadPart));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new Error("Invalid postback token signature");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payloadPart, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Malformed postback token payload");
+  }
+
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error("Postback token expired");
+  }
+
+  return claims;
+}
+
+/**
+ * Mark a nonce as used. Returns false when it was already consumed (replay).
+ */
+async function consumePostbackNonce(nonce, taskId) {
+  const { error } = await supabase
+    .from(NONCE_TABLE)
+    .insert([{ nonce, task_id: taskId }]);
+
+  if (!error) return true;
+  if (error.code === "23505") return false;
+  throw new Error(`Failed to record postback nonce: ${error.message}`);
+}
+
+/**
+ * Give a nonce back so DataForSEO can redeliver after we failed to process it
+ */
+async function releasePostbackNonce(nonce) {
+  const { error } = await supabase.from(NONCE_TABLE).delete().eq("nonce", nonce);
+  if (error) {
+    console.error(`Failed to release postback nonce ${nonce}:`, error.message);
+  }
+}
+
+module.exports = {
+  createPostbackToken,
+  verifyPostbackToken,
+  consumePostbackNonce,
+  releasePostbackNonce,
+};
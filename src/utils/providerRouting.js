@@ -0,0 +1,140 @@
+// utils/providerRouting.js
+// Admin-controlled provider routing (see routes/admin.js), persisted in
+// provider_routing / provider_pins so the server, nightly and the workers all
+// route the same way. Each process caches the settings for a short while.
+const { supabase } = require("../config");
+const { createLogger } = require("./logger");
+
+const ROUTABLE_SERVICES = ["brightdata", "dataforseo", "openai"];
+const PIN_SCOPES = ["user", "project"];
+// Health check order when no admin has changed it
+const DEFAULT_ORDER = ["dataforseo", "brightdata"];
+const CACHE_MS = 30 * 1000;
+const DEFAULT_MAINTENANCE_MESSAGE =
+  "Prompt tracking is paused for maintenance. Please try again later.";
+
+const log = createLogger("provider-routing");
+
+const DEFAULT_SETTINGS = {
+  order: DEFAULT_ORDER,
+  pinnedService: null,
+  weights: null,
+  maintenance: { enabled: false, message: null },
+  pins: [],
+  updatedAt: null,
+};
+
+let cached = null;
+let cachedAt = 0;
+
+function toSettings(row, pins) {
+  if (!row) return { ...DEFAULT_SETTINGS, pins };
+  return {
+    order: row.provider_order?.length ? row.provider_order : DEFAULT_ORDER,
+    pinnedService: row.pinned_service || null,
+    weights: row.weights || null,
+    maintenance: {
+      enabled: Boolean(row.maintenance_enabled),
+      message: row.maintenance_message || null,
+    },
+    pins,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+/**
+ * Current routing settings. Falls back to the last known (or default)
+ * settings when the database cannot be read, so routing never blocks.
+ */
+async function getRoutingSettings({ maxAgeMs = CACHE_MS } = {}) {
+  if (cached && Date.now() - cachedAt < maxAgeMs) return cached;
+
+  try {
+    const [routing, pins] = await Promise.all([
+      supabase.from("provider_routing").select("*").eq("id", 1).maybeSingle(),
+      supabase.from("provider_pins").select("scope, scope_id, service, note"),
+    ]);
+    if (routing.error) throw routing.error;
+    if (pins.error) throw pins.error;
+
+    cached = toSettings(routing.data, pins.data || []);
+    cachedAt = Date.now();
+  } catch (err) {
+    log.warn("Could not load provider routing", { err });
+    if (!cached) return DEFAULT_SETTINGS;
+  }
+  return cached;
+}
+
+/** Maintenance mode, with the message to show callers while it is on */
+async function getMaintenance() {
+  const { maintenance } = await getRoutingSettings();
+  return {
+    enabled: maintenance.enabled,
+    message: maintenance.message || DEFAULT_MAINTENANCE_MESSAGE,
+  };
+}
+
+/** Forget the cached settings (after an admin change in this process) */
+function invalidateRoutingCache() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/** Pick one service at random in proportion to its weight */
+function pickWeighted(candidates, weights) {
+  const weighted = candidates.filter((service) => weights[service] > 0);
+  const total = weighted.reduce((sum, service) => sum + weights[service], 0);
+  if (total <= 0) return null;
+
+  let roll = Math.random() * total;
+  for (const service of weighted) {
+    roll -= weights[service];
+    if (roll < 0) return service;
+  }
+  return weighted[weighted.length - 1];
+}
+
+/**
+ * Service for one request among the healthy `candidates` (in health check
+ * order): a project pin, then a user pin, then the global pin, then weighted
+ * routing, then the first candidate. Pins to an unhealthy service are ignored
+ * so pinned customers still get answers.
+ */
+function chooseService(candidates, settings, { userId, projectId } = {}) {
+  if (candidates.length === 0) return null;
+
+  const pin = [
+    settings.pins.find(
+      (p) => p.scope === "project" && p.scope_id === projectId
+    ),
+    settings.pins.find((p) => p.scope === "user" && p.scope_id === userId),
+  ].find(Boolean);
+  if (pin) {
+    if (candidates.includes(pin.service)) return pin.service;
+    log.warn(
+      `${pin.scope} ${pin.scope_id} is pinned to ${pin.service}, which is down`
+    );
+  }
+
+  if (settings.pinnedService && candidates.includes(settings.pinnedService)) {
+    return settings.pinnedService;
+  }
+
+  if (settings.weights) {
+    const picked = pickWeighted(candidates, settings.weights);
+    if (picked) return picked;
+  }
+
+  return candidates[0];
+}
+
+module.exports = {
+  ROUTABLE_SERVICES,
+  PIN_SCOPES,
+  DEFAULT_ORDER,
+  getRoutingSettings,
+  getMaintenance,
+  invalidateRoutingCache,
+  chooseService,
+};
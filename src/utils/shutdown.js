@@ -0,0 +1,65 @@
+// utils/shutdown.js
+// Graceful stop of long-running processes. pm2 sends SIGINT on restart (watch,
+// deploy) and `pm2 stop`, other supervisors send SIGTERM; either way the process
+// drains its work and exits before pm2's kill_timeout sends SIGKILL.
+const { shutdown } = require("../config");
+const { createLogger } = require("./logger");
+
+// Exit even when draining hangs, before pm2 gives up on us
+const EXIT_GRACE_MS = 5000;
+
+const log = createLogger("shutdown");
+// name → drain; src/dev.js runs several workers in one process
+const drains = new Map();
+let shuttingDown = false;
+// Aborted on the stop signal, to cut sleeps short
+const controller = new AbortController();
+
+/** True once a stop signal was received; long waits should give up early */
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+async function stop(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info("Stopping", { signal, drains: [...drains.keys()] });
+  controller.abort();
+
+  setTimeout(() => {
+    log.error("Did not drain in time, exiting");
+    process.exit(1);
+  }, shutdown.timeoutMs + EXIT_GRACE_MS).unref();
+
+  const results = await Promise.allSettled(
+    [...drains].map(async ([name, drain]) => {
+      try {
+        await drain();
+        log.info(`${name} drained`);
+      } catch (err) {
+        log.error(`Draining ${name} failed`, { err });
+        throw err;
+      }
+    })
+  );
+  process.exit(results.some((result) => result.status === "rejected") ? 1 : 0);
+}
+
+/**
+ * Run `drain` on the first SIGTERM / SIGINT, then exit once every registered
+ * drain is done. `drain` should finish within WORKER_SHUTDOWN_TIMEOUT_SECONDS;
+ * a few seconds later the process exits regardless.
+ */
+function onShutdown(name, drain) {
+  if (drains.size === 0) {
+    process.once("SIGTERM", () => stop("SIGTERM"));
+    process.once("SIGINT", () => stop("SIGINT"));
+  }
+  drains.set(name, drain);
+}
+
+module.exports = {
+  isShuttingDown,
+  shutdownSignal: controller.signal,
+  onShutdown,
+};
@@ -0,0 +1,7 @@
+-- Allow job batches to be cancelled by the user (status = 'cancelled')
+ALTER TABLE public.job_batches
+  ADD COLUMN cancelled_at TIMESTAMPTZ;
+
+-- tracking_results rows of a cancelled batch move to status = 'cancelled'
+CREATE INDEX IF NOT EXISTS idx_tracking_results_job_batch_status
+  ON public.tracking_results(job_batch_id, status);
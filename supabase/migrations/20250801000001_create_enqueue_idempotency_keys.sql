@@ -0,0 +1,19 @@
+-- Idempotency keys for POST /enqueue (one row per user + client supplied key)
+CREATE TABLE public.enqueue_idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress', -- in_progress, completed
+  job_batch_id UUID REFERENCES public.job_batches(id) ON DELETE SET NULL,
+  response JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  CONSTRAINT enqueue_idempotency_keys_user_key UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX idx_enqueue_idempotency_keys_created_at
+  ON public.enqueue_idempotency_keys(created_at);
+
+-- Only the backend (service role) reads and writes idempotency keys
+ALTER TABLE public.enqueue_idempotency_keys ENABLE ROW LEVEL SECURITY;
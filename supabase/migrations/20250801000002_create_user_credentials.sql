@@ -0,0 +1,31 @@
+-- Encrypted-at-rest credential store (envelope encryption, see src/utils/credentials.js)
+CREATE TABLE public.user_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  provider TEXT NOT NULL, -- openai
+  encrypted_secret TEXT NOT NULL,   -- secret sealed with the per-row data key
+  encrypted_data_key TEXT NOT NULL, -- data key sealed with the master key below
+  key_id TEXT NOT NULL,             -- master key id used for encrypted_data_key
+  secret_hint TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  rotated_at TIMESTAMPTZ,
+  CONSTRAINT user_credentials_user_provider UNIQUE (user_id, provider)
+);
+
+CREATE INDEX idx_user_credentials_key_id ON public.user_credentials(key_id);
+
+-- Only the backend (service role) may read or write credentials
+ALTER TABLE public.user_credentials ENABLE ROW LEVEL SECURITY;
+
+-- Job batches reference the credential instead of storing the raw key
+ALTER TABLE public.job_batches
+  ALTER COLUMN openai_key DROP NOT NULL;
+
+ALTER TABLE public.job_batches
+  ADD COLUMN openai_credential_id UUID REFERENCES public.user_credentials(id) ON DELETE SET NULL;
+
+-- Scrub plaintext keys of jobs that can no longer be picked up by a worker
+UPDATE public.job_batches
+  SET openai_key = NULL
+  WHERE status NOT IN ('pending', 'processing');
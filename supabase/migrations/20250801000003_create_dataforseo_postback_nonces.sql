@@ -0,0 +1,12 @@
+-- One row per accepted DataForSEO postback; a second delivery of the same
+-- signed token (replay) violates the primary key and is rejected
+CREATE TABLE public.dataforseo_postback_nonces (
+  nonce TEXT PRIMARY KEY,
+  task_id TEXT,
+  consumed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_dataforseo_postback_nonces_consumed_at
+  ON public.dataforseo_postback_nonces(consumed_at);
+
+ALTER TABLE public.dataforseo_postback_nonces ENABLE ROW LEVEL SECURITY;
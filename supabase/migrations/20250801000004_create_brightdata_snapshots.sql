@@ -0,0 +1,17 @@
+-- Bright Data snapshots delivered by webhook: the batch message is kept here
+-- between triggering the snapshot and the "snapshot ready" notification
+CREATE TABLE public.brightdata_snapshots (
+  snapshot_id TEXT PRIMARY KEY,
+  job_batch_id UUID REFERENCES public.job_batches(id) ON DELETE CASCADE,
+  batch JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting', -- waiting, processing, completed, failed, cancelled
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_brightdata_snapshots_status_created_at
+  ON public.brightdata_snapshots(status, created_at);
+
+-- Only the backend (service role) reads and writes snapshot context
+ALTER TABLE public.brightdata_snapshots ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,23 @@
+-- AI answer engines tracked per project (see src/utils/engines.js).
+-- Existing projects and results are ChatGPT.
+ALTER TABLE public.projects
+  ADD COLUMN engines TEXT[] NOT NULL DEFAULT ARRAY['chatgpt']::TEXT[];
+
+ALTER TABLE public.projects
+  ADD CONSTRAINT projects_engines_valid CHECK (
+    cardinality(engines) > 0
+    AND engines <@ ARRAY['chatgpt', 'perplexity', 'gemini', 'google_ai_overview']::TEXT[]
+  );
+
+-- One tracking_results row per prompt and engine
+ALTER TABLE public.tracking_results
+  ADD COLUMN engine TEXT NOT NULL DEFAULT 'chatgpt';
+
+ALTER TABLE public.tracking_results
+  ADD CONSTRAINT tracking_results_engine_valid CHECK (
+    engine IN ('chatgpt', 'perplexity', 'gemini', 'google_ai_overview')
+  );
+
+-- Analytics filter and compare a project's results by engine
+CREATE INDEX IF NOT EXISTS idx_tracking_results_project_engine
+  ON public.tracking_results(project_id, engine);
@@ -0,0 +1,4 @@
+-- Provider switches of a tracking row (src/service/failover.js): one
+-- {from, to, reason, at} entry per hop, oldest first
+ALTER TABLE public.tracking_results
+  ADD COLUMN provider_history JSONB NOT NULL DEFAULT '[]'::JSONB;
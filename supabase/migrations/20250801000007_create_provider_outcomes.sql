@@ -0,0 +1,16 @@
+-- Outcome of every provider task, fed to the per-provider circuit breaker
+-- (src/utils/circuitBreaker.js). Rows older than a day are pruned by the backend.
+CREATE TABLE public.provider_outcomes (
+  id BIGSERIAL PRIMARY KEY,
+  provider TEXT NOT NULL, -- brightdata, dataforseo, openai
+  success BOOLEAN NOT NULL,
+  latency_ms INTEGER,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_provider_outcomes_created_at
+  ON public.provider_outcomes(created_at);
+
+-- Only the backend (service role) reads and writes outcomes
+ALTER TABLE public.provider_outcomes ENABLE ROW LEVEL SECURITY;
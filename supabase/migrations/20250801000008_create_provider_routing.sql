@@ -0,0 +1,31 @@
+-- Admin-controlled provider routing and maintenance mode (src/routes/admin.js).
+-- A single settings row plus per-user / per-project pins, read by the server,
+-- nightly and the workers through src/utils/providerRouting.js.
+CREATE TABLE public.provider_routing (
+  id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  -- Health check order of the scrapers; OpenAI is always the last resort
+  provider_order TEXT[] NOT NULL DEFAULT ARRAY['dataforseo', 'brightdata'],
+  pinned_service TEXT CHECK (pinned_service IN ('brightdata', 'dataforseo', 'openai')),
+  weights JSONB, -- e.g. {"dataforseo": 80, "brightdata": 20}
+  maintenance_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  maintenance_message TEXT,
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO public.provider_routing (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE public.provider_pins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope TEXT NOT NULL CHECK (scope IN ('user', 'project')),
+  scope_id UUID NOT NULL, -- auth.users.id or projects.id
+  service TEXT NOT NULL CHECK (service IN ('brightdata', 'dataforseo', 'openai')),
+  note TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (scope, scope_id)
+);
+
+-- Only the backend (service role) reads and writes routing
+ALTER TABLE public.provider_routing ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.provider_pins ENABLE ROW LEVEL SECURITY;
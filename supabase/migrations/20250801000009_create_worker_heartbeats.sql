@@ -0,0 +1,16 @@
+-- Liveness of the long-running processes (src/utils/heartbeat.js): each
+-- instance upserts its row every HEARTBEAT_INTERVAL_SECONDS and /ready checks
+-- that the worker of the active service has a fresh beat.
+CREATE TABLE public.worker_heartbeats (
+  worker TEXT NOT NULL, -- pm2 app name: worker, dataforseo-worker, openai-worker, ...
+  instance TEXT NOT NULL, -- hostname:pid
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_beat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (worker, instance)
+);
+
+CREATE INDEX idx_worker_heartbeats_last_beat_at
+  ON public.worker_heartbeats(last_beat_at);
+
+-- Only the backend (service role) reads and writes heartbeats
+ALTER TABLE public.worker_heartbeats ENABLE ROW LEVEL SECURITY;
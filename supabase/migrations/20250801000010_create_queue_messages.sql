@@ -0,0 +1,51 @@
+-- Messages of the Postgres queue backend (QUEUE_BACKEND=postgres, see
+-- src/queue/postgres.js). Publishing inserts one row per subscription of the
+-- topic; acking deletes it, nacking pushes available_at back.
+CREATE TABLE public.queue_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  topic TEXT NOT NULL,
+  subscription TEXT NOT NULL,
+  data TEXT NOT NULL,
+  attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  delivery_attempts INTEGER NOT NULL DEFAULT 0,
+  available_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- not delivered before
+  leased_until TIMESTAMPTZ, -- claimed by a consumer until then
+  leased_by TEXT, -- hostname:pid of that consumer
+  published_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_queue_messages_due
+  ON public.queue_messages(subscription, available_at);
+
+-- Only the backend (service role) reads and writes the queue
+ALTER TABLE public.queue_messages ENABLE ROW LEVEL SECURITY;
+
+-- Lease up to p_limit due messages of a subscription. SKIP LOCKED lets
+-- concurrent consumers claim different rows instead of waiting on each other;
+-- a row whose lease ran out (dead consumer) is due again.
+CREATE OR REPLACE FUNCTION claim_queue_messages(
+  p_subscription TEXT,
+  p_consumer TEXT,
+  p_limit INTEGER,
+  p_lease_seconds INTEGER
+)
+RETURNS SETOF public.queue_messages AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.queue_messages AS m
+  SET delivery_attempts = m.delivery_attempts + 1,
+      leased_until = NOW() + make_interval(secs => p_lease_seconds),
+      leased_by = p_consumer
+  WHERE m.id IN (
+    SELECT q.id
+    FROM public.queue_messages AS q
+    WHERE q.subscription = p_subscription
+      AND q.available_at <= NOW()
+      AND (q.leased_until IS NULL OR q.leased_until < NOW())
+    ORDER BY q.available_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING m.*;
+END;
+$$ LANGUAGE plpgsql;
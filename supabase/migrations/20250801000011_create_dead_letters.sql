@@ -0,0 +1,38 @@
+-- Queue messages that keep failing (src/queue/deadLetters.js). A row is
+-- created on the first failed delivery (status retrying) and collects the
+-- error of each attempt; after QUEUE_MAX_DELIVERY_ATTEMPTS it becomes dead
+-- and waits for an admin to replay or discard it.
+CREATE TABLE public.dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription TEXT NOT NULL,
+  topic TEXT,
+  message_id TEXT NOT NULL,
+  data TEXT NOT NULL,
+  attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  delivery_attempts INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{attempt, error, at}], oldest first
+  status TEXT NOT NULL DEFAULT 'retrying'
+    CHECK (status IN ('retrying', 'dead', 'replayed', 'discarded')),
+  job_batch_id UUID,
+  user_id UUID,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  dead_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  resolved_by UUID,
+  UNIQUE (subscription, message_id)
+);
+
+CREATE INDEX idx_dead_letters_status_last_failed_at
+  ON public.dead_letters(status, last_failed_at DESC);
+
+-- Only the backend (service role) reads and writes dead letters
+ALTER TABLE public.dead_letters ENABLE ROW LEVEL SECURITY;
+
+-- Tracking rows failed because their batch was dead-lettered
+ALTER TABLE public.tracking_results
+  ADD COLUMN dead_letter_id UUID REFERENCES public.dead_letters(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tracking_results_dead_letter_id
+  ON public.tracking_results(dead_letter_id)
+  WHERE dead_letter_id IS NOT NULL;
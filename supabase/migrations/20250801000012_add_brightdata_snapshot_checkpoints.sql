@@ -0,0 +1,9 @@
+-- Snapshots the worker polls itself are recorded too (status polling), keyed
+-- by the queue message that triggered them: a batch redelivered after a
+-- shutdown or crash resumes polling its snapshot instead of triggering another
+ALTER TABLE public.brightdata_snapshots
+  ADD COLUMN message_id TEXT;
+
+CREATE UNIQUE INDEX idx_brightdata_snapshots_message_id
+  ON public.brightdata_snapshots(message_id)
+  WHERE message_id IS NOT NULL;
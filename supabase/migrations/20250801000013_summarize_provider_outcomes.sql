@@ -0,0 +1,35 @@
+-- Circuit breaker window of one provider (src/utils/circuitBreaker.js),
+-- aggregated here so busy windows are not cut off at PostgREST's max-rows
+CREATE INDEX idx_provider_outcomes_provider_created_at
+  ON public.provider_outcomes(provider, created_at);
+
+CREATE OR REPLACE FUNCTION summarize_provider_outcomes(
+  p_provider TEXT,
+  p_since TIMESTAMPTZ
+)
+RETURNS TABLE (
+  samples INTEGER,
+  failures INTEGER,
+  avg_latency_ms INTEGER,
+  last_error TEXT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    COUNT(*)::INTEGER,
+    (COUNT(*) FILTER (WHERE NOT o.success))::INTEGER,
+    ROUND(AVG(o.latency_ms))::INTEGER,
+    (
+      SELECT f.error
+      FROM public.provider_outcomes AS f
+      WHERE f.provider = p_provider
+        AND f.created_at >= p_since
+        AND NOT f.success
+      ORDER BY f.created_at DESC
+      LIMIT 1
+    )
+  FROM public.provider_outcomes AS o
+  WHERE o.provider = p_provider
+    AND o.created_at >= p_since;
+END;
+$$ LANGUAGE plpgsql;
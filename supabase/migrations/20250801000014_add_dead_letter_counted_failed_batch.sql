@@ -0,0 +1,4 @@
+-- Whether dead-lettering a message counted its batch in job_batches.failed_batches;
+-- replaying the dead letter only reopens the job when it did
+ALTER TABLE public.dead_letters
+  ADD COLUMN counted_failed_batch BOOLEAN NOT NULL DEFAULT false;
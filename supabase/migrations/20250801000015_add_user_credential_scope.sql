@@ -0,0 +1,16 @@
+-- Keys sent with POST /enqueue no longer replace the key the user saved in the
+-- dashboard: they are stored as job credentials (scope job) next to it, one
+-- row per distinct key, and only the saved one is unique per user and provider
+ALTER TABLE public.user_credentials
+  ADD COLUMN scope TEXT NOT NULL DEFAULT 'saved'
+    CHECK (scope IN ('saved', 'job'));
+
+ALTER TABLE public.user_credentials
+  DROP CONSTRAINT user_credentials_user_provider;
+
+CREATE UNIQUE INDEX idx_user_credentials_saved
+  ON public.user_credentials(user_id, provider)
+  WHERE scope = 'saved';
+
+CREATE INDEX idx_user_credentials_user_provider
+  ON public.user_credentials(user_id, provider);